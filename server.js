@@ -6,18 +6,26 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
 // Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bingo', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => console.log('✅ MongoDB Connected'))
-.catch(err => {
-  console.error('❌ MongoDB Connection Error:', err);
-  process.exit(1);
-});
+function connectDatabase() {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/bingo', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
+  .then(() => {
+    console.log('✅ MongoDB Connected');
+    bootstrapAdminAccount();
+    ensureJackpotPool();
+    loadRoomCatalog();
+  })
+  .catch(err => {
+    console.error('❌ MongoDB Connection Error:', err);
+    process.exit(1);
+  });
+}
 
 // MongoDB Models
 const userSchema = new mongoose.Schema({
@@ -36,14 +44,54 @@ const userSchema = new mongoose.Schema({
   sessionCount: { type: Number, default: 0 },
   telegramId: { type: String, unique: true, sparse: true },
   telegramUsername: { type: String },
-  languageCode: { type: String, default: 'en' }
+  languageCode: { type: String, default: 'en' },
+  isBanned: { type: Boolean, default: false },
+  banReason: { type: String, default: null },
+  bannedBy: { type: String, default: null },
+  bannedAt: { type: Date, default: null },
+  banExpiresAt: { type: Date, default: null }, // null = permanent
+  autoDaub: { type: Boolean, default: false }, // server marks drawn balls on this player's cards
+  autoClaim: { type: Boolean, default: false }, // server claims bingo as soon as a card wins (needs autoDaub)
+  falseClaims: { type: Number, default: 0 },
+  recentFalseClaims: [Date], // last few, for spotting repeat offenders
+  claimFlagged: { type: Boolean, default: false },
+  claimFlaggedAt: { type: Date, default: null },
+  heldBalance: { type: Number, default: 0 }, // taken from balance for withdrawals not yet paid out
+  referredBy: { type: String, default: null, index: true }, // userId of the player whose link they joined with
+  referredAt: { type: Date, default: null },
+  referralRewarded: { type: Boolean, default: false } // the referrer's reward for this player was paid
 });
 
 const roomSchema = new mongoose.Schema({
   stake: { type: Number, required: true },
+  variant: { type: String, enum: ['75', '90'], default: '75' }, // Ball game played - see BINGO_VARIANTS
   players: [String],
   takenBoxes: [Number],
+  cards: [{
+    userId: String,
+    box: Number,
+    grid: [mongoose.Schema.Types.Mixed],
+    marked: [Number], // balls auto-daubed by the server
+    claimLockedUntil: { type: Number, default: null } // after a false claim: no claims until this many balls are drawn
+  }],
   status: { type: String, default: 'waiting' },
+  winPatterns: [String], // Room default - empty means CONFIG.DEFAULT_WIN_PATTERNS
+  nextGamePatterns: [String], // One-off override for the next game only
+  activePatterns: [String], // Locked in when a game starts
+  prizeMode: { type: String, enum: ['single', 'staged'], default: 'single' },
+  stageShares: [Number], // % of the pot per stage in staged mode - empty means CONFIG.PRIZE_STAGES
+  currentStage: { type: Number, default: 0 },
+  stageResults: [{
+    stage: Number,
+    name: String,
+    pattern: String,
+    share: Number,
+    prize: Number,
+    paid: Number,
+    ball: Number,
+    ballCount: Number,
+    winners: [{ userId: String, userName: String, box: Number, prize: Number }]
+  }],
   calledNumbers: [Number],
   currentBall: { type: Number, default: null },
   ballsDrawn: { type: Number, default: 0 },
@@ -59,11 +107,38 @@ const roomSchema = new mongoose.Schema({
     ballsDrawn: Number,
     isFourCorners: Boolean,
     commissionCollected: Number,
-    basePrize: Number
+    basePrize: Number,
+    winPattern: String,
+    winningLine: [Number],
+    winningNumbers: [Number],
+    completingBall: Number,
+    ballCount: Number,
+    winnersCount: Number,
+    box: Number,
+    cards: Number,
+    jackpot: Number,
+    stage: String,
+    variant: String,
+    serverSeed: String,
+    serverSeedHash: String,
+    clientSeed: String
   }],
   lastBoxUpdate: { type: Date, default: Date.now },
+  serverSeed: { type: String, default: null },
+  serverSeedHash: { type: String, default: null },
+  clientSeed: { type: String, default: null },
   countdownStartTime: { type: Date, default: null },
-  countdownStartedWith: { type: Number, default: 0 }
+  countdownStartedWith: { type: Number, default: 0 },
+  // Private rooms - `stake` is then a generated room key and `price` what each card costs
+  isPrivate: { type: Boolean, default: false },
+  inviteCode: { type: String, default: null },
+  price: { type: Number, default: null },
+  maxPlayers: { type: Number, default: null },
+  startRule: { type: String, enum: ['auto', 'minPlayers', 'host'], default: 'auto' },
+  minPlayers: { type: Number, default: null },
+  hostUserId: { type: String, default: null }, // player who created it - null when an admin did
+  createdBy: { type: String, default: null },
+  tournamentId: { type: mongoose.Schema.Types.ObjectId, default: null } // set on a tournament's own room
 });
 
 const transactionSchema = new mongoose.Schema({
@@ -88,10 +163,182 @@ const statsSchema = new mongoose.Schema({
   totalFourCorners: { type: Number, default: 0 }
 });
 
+// Admin accounts - passwords are scrypt hashes, sessions store only a hash of the token
+const adminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  passwordHash: { type: String, required: true },
+  passwordSalt: { type: String, required: true },
+  role: { type: String, enum: ['viewer', 'cashier', 'superadmin'], default: 'viewer' },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  lastLoginAt: { type: Date, default: null }
+});
+
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  username: { type: String, required: true },
+  role: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 } // MongoDB removes expired sessions
+});
+
+const auditLogSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true },
+  actor: { type: String, default: 'system', index: true }, // admin username or 'system'
+  actorRole: { type: String, default: null },
+  userId: { type: String, default: null, index: true }, // player the action affected
+  room: { type: Number, default: null },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+// One cross-room progressive jackpot - every change to `amount` has a JACKPOT ledger entry
+const jackpotPoolSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  amount: { type: Number, default: 0 },
+  cap: { type: Number, default: 0 }, // 0 = no cap
+  sharePercent: { type: Number, default: 0 }, // % of each card's stake taken from the commission
+  pattern: { type: String, default: 'blackout' },
+  maxBalls: { type: Number, default: 50 },
+  enabled: { type: Boolean, default: true },
+  totalContributed: { type: Number, default: 0 },
+  totalPaid: { type: Number, default: 0 },
+  lastWin: {
+    userNames: [String],
+    amount: Number,
+    room: Number,
+    ballCount: Number,
+    wonAt: Date
+  },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// A series of games played in the tournament's own room - buy-ins form the prize pool,
+// points are scored per game and the top places are paid when the last game ends
+const tournamentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  buyIn: { type: Number, required: true },
+  gamesTotal: { type: Number, required: true },
+  gamesPlayed: { type: Number, default: 0 },
+  variant: { type: String, enum: ['75', '90'], default: '75' },
+  prizeMode: { type: String, enum: ['single', 'staged'], default: 'staged' },
+  points: {
+    win: { type: Number, default: 0 }, // winning the game (single prize or full house)
+    line: { type: Number, default: 0 }, // each earlier stage won in a staged game
+    fourCorners: { type: Number, default: 0 } // extra for a win with four corners
+  },
+  prizeShares: [Number], // % of the prize pool for 1st, 2nd, 3rd...
+  commissionPercent: { type: Number, default: 0 },
+  maxEntrants: { type: Number, required: true },
+  startsAt: { type: Date, required: true },
+  gameGapSeconds: { type: Number, default: 60 }, // time to pick a ticket before each game
+  status: { type: String, enum: ['scheduled', 'running', 'finished', 'cancelled'], default: 'scheduled', index: true },
+  room: { type: Number, default: null }, // key of the tournament's room once it is running
+  nextGameAt: { type: Date, default: null },
+  entrants: [{
+    userId: String,
+    userName: String,
+    points: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    lines: { type: Number, default: 0 },
+    fourCorners: { type: Number, default: 0 },
+    gamesPlayed: { type: Number, default: 0 },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  prizePool: { type: Number, default: 0 },
+  payouts: [{ place: Number, userId: String, userName: String, points: Number, amount: Number }],
+  cancelReason: { type: String, default: null },
+  createdBy: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+});
+
+// Public room catalog - one entry per stake, edited from admin.html at runtime
+const roomTypeSchema = new mongoose.Schema({
+  stake: { type: Number, required: true, unique: true },
+  name: { type: String, required: true },
+  commission: { type: Number, required: true }, // ETB per card kept by the house
+  boxCount: { type: Number, default: 100 }, // tickets on sale per game
+  countdownSeconds: { type: Number, default: 30 },
+  drawIntervalSeconds: { type: Number, default: 3 },
+  winPatterns: [String], // empty means CONFIG.DEFAULT_WIN_PATTERNS
+  variant: { type: String, enum: ['75', '90'], default: '75' },
+  enabled: { type: Boolean, default: true },
+  updatedBy: { type: String, default: null },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Payout requests - the amount leaves the balance into User.heldBalance until it is paid or rejected
+const withdrawalRequestSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  userName: { type: String, required: true },
+  telegramId: { type: String, default: null },
+  amount: { type: Number, required: true },
+  method: { type: String, required: true }, // key of CONFIG.WITHDRAWAL_METHODS
+  account: { type: String, required: true }, // phone or account number to pay to
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'paid', 'cancelled'], default: 'pending', index: true },
+  source: { type: String, enum: ['bot', 'app'], default: 'app' },
+  reviewedBy: { type: String, default: null },
+  reviewedAt: { type: Date, default: null },
+  rejectReason: { type: String, default: null },
+  paidBy: { type: String, default: null },
+  paidAt: { type: Date, default: null },
+  payoutReference: { type: String, default: null }, // receipt / transaction number of the payment sent
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Top-ups players report through the bot - a cashier checks the receipt photo, then credits it
+const depositRequestSchema = new mongoose.Schema({
+  userId: { type: String, required: true, index: true },
+  userName: { type: String, required: true },
+  telegramId: { type: String, required: true },
+  amount: { type: Number, required: true },
+  reference: { type: String, required: true }, // transaction number of the player's payment
+  receiptFileId: { type: String, required: true }, // Telegram file_id of the receipt photo
+  status: { type: String, enum: ['pending', 'verified', 'rejected'], default: 'pending', index: true },
+  reviewedBy: { type: String, default: null },
+  reviewedAt: { type: Date, default: null },
+  rejectReason: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Money moved through a payment provider - `reference` is ours, `providerReference` the gateway's
+const paymentSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['deposit', 'payout'], required: true },
+  provider: { type: String, required: true },
+  reference: { type: String, required: true, unique: true },
+  providerReference: { type: String, default: null },
+  userId: { type: String, required: true, index: true },
+  userName: { type: String, required: true },
+  amount: { type: Number, required: true },
+  account: { type: String, default: null }, // payout destination
+  withdrawalId: { type: mongoose.Schema.Types.ObjectId, default: null }, // the request a payout settles
+  checkoutUrl: { type: String, default: null },
+  status: { type: String, enum: ['created', 'pending', 'completed', 'failed'], default: 'created' },
+  failureReason: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null }
+});
+// A provider reference can settle only one payment
+paymentSchema.index({ provider: 1, providerReference: 1 }, { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } });
+
 const User = mongoose.model('User', userSchema);
 const Room = mongoose.model('Room', roomSchema);
 const Transaction = mongoose.model('Transaction', transactionSchema);
 const Stats = mongoose.model('Stats', statsSchema);
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+const JackpotPool = mongoose.model('JackpotPool', jackpotPoolSchema);
+const Tournament = mongoose.model('Tournament', tournamentSchema);
+const RoomType = mongoose.model('RoomType', roomTypeSchema);
+const WithdrawalRequest = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
+const DepositRequest = mongoose.model('DepositRequest', depositRequestSchema);
+const Payment = mongoose.model('Payment', paymentSchema);
 
 const app = express();
 const server = http.createServer(app);
@@ -124,7 +371,8 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
 }));
 
-app.use(express.json());
+// Keeps the raw body too - payment callbacks are signed over the exact bytes sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Custom headers for WebSocket and Telegram
@@ -139,10 +387,25 @@ app.use((req, res, next) => {
 
 // ========== GAME CONFIGURATION ==========
 const CONFIG = {
-  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || "admin1234",
+  ADMIN_SESSION_HOURS: parseInt(process.env.ADMIN_SESSION_HOURS) || 12,
   INITIAL_BALANCE: 0.00,
+  // Seed for the RoomType catalog the first time the server starts - after that rooms are edited from admin
   ROOM_STAKES: [10, 20, 50, 100],
+  ROOM_NAMES: {
+    10: 'Bronze',
+    20: 'Silver',
+    50: 'Gold',
+    100: 'Elite'
+  },
+  // Ball game each room plays: '75' (5x5 cards) or '90' (3x9 tickets, always staged prizes)
+  ROOM_VARIANTS: {
+    10: '75',
+    20: '75',
+    50: '75',
+    100: '75'
+  },
   MAX_PLAYERS_PER_ROOM: 100,
+  MAX_CARDS_PER_PLAYER: 4,
   GAME_TIMER: 3,
   MIN_PLAYERS_TO_START: 1,
   HOUSE_COMMISSION: {
@@ -152,24 +415,106 @@ const CONFIG = {
     100: 20
   },
   FOUR_CORNERS_BONUS: 50,
+  // Progressive jackpot defaults - used when the pool is first created, then edited from admin
+  JACKPOT_SHARE_PERCENT: 2,
+  JACKPOT_PATTERN: 'blackout',
+  JACKPOT_MAX_BALLS: 50,
+  JACKPOT_CAP: 50000,
+  DEFAULT_WIN_PATTERNS: ['line', 'fourCorners'],
+  // Staged prize rooms pay each stage its share (%) of the pot and keep drawing until the last one
+  PRIZE_STAGES: [
+    { pattern: 'line', name: 'One Line', share: 20 },
+    { pattern: 'twoLines', name: 'Two Lines', share: 30 },
+    { pattern: 'blackout', name: 'Full House', share: 50 }
+  ],
   COUNTDOWN_TIMER: 30,
+  // Private rooms use keys from PRIVATE_ROOM_KEY_BASE up so they never clash with ROOM_STAKES
+  PRIVATE_ROOM_KEY_BASE: 100000,
+  PRIVATE_ROOM_MIN_STAKE: 5,
+  PRIVATE_ROOM_MAX_STAKE: 1000,
+  PRIVATE_ROOM_COMMISSION_PERCENT: 20,
+  PRIVATE_ROOMS_PER_PLAYER: 2,
+  PRIVATE_ROOM_IDLE_HOURS: 24, // An empty private room closes after this long
+  BOT_USERNAME: process.env.BOT_USERNAME || 'ethio_games1_bot',
+  // Tournament defaults - the admin can override points and prize shares per tournament
+  TOURNAMENT_POINTS: { win: 10, line: 3, fourCorners: 5 },
+  TOURNAMENT_PRIZE_SHARES: [50, 30, 20],
+  TOURNAMENT_COMMISSION_PERCENT: 10,
+  TOURNAMENT_MIN_ENTRANTS: 2, // Cancelled and refunded at start time with fewer
+  TOURNAMENT_MAX_GAMES: 20,
+  TOURNAMENT_GAME_GAP_SECONDS: 60,
+  TOURNAMENT_SCHEDULER_INTERVAL: 10000,
   ROOM_STATUS_UPDATE_INTERVAL: 3000,
   MAX_TRANSACTIONS: 1000,
   AUTO_SAVE_INTERVAL: 60000,
   SESSION_TIMEOUT: 86400000,
-  GAME_TIMEOUT_MINUTES: 7 // ⭐⭐ NEW: 7 minute timeout for games
+  GAME_TIMEOUT_MINUTES: 7, // ⭐⭐ NEW: 7 minute timeout for games
+  CLAIM_WINDOW_MS: 2000, // Draw pauses this long after the first valid claim so same-ball winners can share
+  // False claims lock the card: 'balls' for FALSE_CLAIM_LOCK_BALLS draws, 'game' for the rest of the game, or 'none'
+  FALSE_CLAIM_PENALTY: ['none', 'balls', 'game'].includes(process.env.FALSE_CLAIM_PENALTY) ? process.env.FALSE_CLAIM_PENALTY : 'balls',
+  FALSE_CLAIM_LOCK_BALLS: parseInt(process.env.FALSE_CLAIM_LOCK_BALLS) || 5,
+  FALSE_CLAIM_FLAG_THRESHOLD: 3, // False claims within the window below that flag a player in admin
+  FALSE_CLAIM_FLAG_WINDOW_HOURS: 24,
+  CLAIM_RATE_LIMIT: 6, // Claim attempts per user per CLAIM_RATE_WINDOW_MS - enough for one per card
+  CLAIM_RATE_WINDOW_MS: 10000,
+  WITHDRAWAL_MIN: 20,
+  WITHDRAWAL_MAX: 10000,
+  WITHDRAWAL_MAX_OPEN: 1, // Pending or approved requests a player may have at once
+  WITHDRAWAL_METHODS: { telebirr: 'Telebirr', cbebirr: 'CBE Birr', bank: 'Bank Transfer' },
+  DEPOSIT_MIN: 10,
+  DEPOSIT_MAX: 50000,
+  DEPOSIT_MAX_PENDING: 3, // Unchecked deposit requests a player may have at once
+  DEPOSIT_INSTRUCTIONS: process.env.DEPOSIT_INSTRUCTIONS || 'Ask @ethio_games1_admin for the account to pay to',
+  // Paid to the referrer once, when the referred player first deposits ('deposit') or buys a card ('play'); 0 turns it off
+  REFERRAL_REWARD: process.env.REFERRAL_REWARD !== undefined ? parseFloat(process.env.REFERRAL_REWARD) || 0 : 10,
+  REFERRAL_REWARD_TRIGGER: process.env.REFERRAL_REWARD_TRIGGER === 'play' ? 'play' : 'deposit',
+  REFERRAL_JOIN_WINDOW_HOURS: 24, // A referral link only counts for accounts younger than this that haven't played yet
+  TRANSFER_MIN: 10,
+  TRANSFER_MAX: 5000,
+  TRANSFER_DAILY_LIMIT: 10000, // ETB a player may send in any 24 hours
+  TRANSFER_DAILY_COUNT: 10, // Transfers a player may send in any 24 hours
+  TRANSFER_FEE_PERCENT: parseFloat(process.env.TRANSFER_FEE_PERCENT) || 0, // Paid by the sender on top of the amount, goes to the house
+  // Automated top-ups and payouts: '' turns them off, 'mock' is a local stand-in for testing offline
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || '',
+  PAYMENT_MOCK_SECRET: process.env.PAYMENT_MOCK_SECRET || '', // The mock provider stays off until this is set
+  PUBLIC_URL: (process.env.PUBLIC_URL || 'https://bingo-telegram-game.onrender.com').replace(/\/$/, ''),
+  BOT_CONVERSATION_MINUTES: 10, // A half-finished bot form (amount, account...) is forgotten after this
+  TELEGRAM_AUTH_MAX_AGE: parseInt(process.env.TELEGRAM_AUTH_MAX_AGE) || 86400, // Seconds a signed initData stays valid
+  DEMO_MODE: process.env.DEMO_MODE === 'true' // Allow unsigned guest_ IDs (local testing only)
 };
 
 // ========== GLOBAL STATE ==========
 let socketToUser = new Map();
 let adminSockets = new Set();
+let adminSessions = new Map(); // socketId -> { username, role, expiresAt }
 let activityLog = [];
 let roomTimers = new Map();
 let connectedSockets = new Set();
 let roomSubscriptions = new Map();
-let processingClaims = new Map(); // ⭐⭐ NEW: Track claims being processed
+let claimWindows = new Map(); // roomStake -> claims collected for the current ball
+let claimAttempts = new Map(); // userId -> timestamps of recent claim attempts
+let roomCatalog = new Map(); // stake -> RoomType, reloaded whenever an admin edits it
+let botConversations = new Map(); // Telegram chatId -> { flow, step, data, expiresAt } for multi-step bot forms
+let periodicTasks = []; // [task, intervalMs] - started by startServer, so requiring this file runs none
+
+function schedulePeriodicTask(task, intervalMs) {
+  periodicTasks.push([task, intervalMs]);
+}
 
 // ========== REAL-TIME BOX TRACKING FUNCTIONS ==========
+// Public rooms are watched from every lobby; private rooms only by the sockets subscribed to them
+function emitToRoomWatchers(roomStake, event, data) {
+  if (!isPrivateRoomKey(roomStake)) {
+    io.emit(event, data);
+    return;
+  }
+  
+  (roomSubscriptions.get(roomStake) || new Set()).forEach(socketId => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket) socket.emit(event, data);
+  });
+}
+
 function broadcastTakenBoxes(roomStake, takenBoxes, newBox = null, playerName = null) {
   const updateData = {
     room: roomStake,
@@ -184,8 +529,8 @@ function broadcastTakenBoxes(roomStake, takenBoxes, newBox = null, playerName =
     updateData.message = `${playerName} selected box ${newBox}!`;
   }
   
-  // Broadcast to all connected sockets
-  io.emit('boxesTakenUpdate', updateData);
+  // Broadcast to everyone watching the room
+  emitToRoomWatchers(roomStake, 'boxesTakenUpdate', updateData);
   
   // Also update all admin panels
   adminSockets.forEach(socketId => {
@@ -213,21 +558,6 @@ function cleanupRoomTimer(stake) {
   }
 }
 
-// ⭐⭐ NEW: Clear stale processing claims
-function cleanupProcessingClaims() {
-  const now = Date.now();
-  const tenSecondsAgo = now - 10000;
-  
-  processingClaims.forEach((timestamp, roomStake) => {
-    if (timestamp < tenSecondsAgo) {
-      processingClaims.delete(roomStake);
-      console.log(`🧹 Cleaned up stale processing claim for room ${roomStake}`);
-    }
-  });
-}
-
-// Run cleanup every 10 seconds
-setInterval(cleanupProcessingClaims, 10000);
 
 // ========== IMPROVED HELPER FUNCTIONS ==========
 function getBingoLetter(number) {
@@ -239,6 +569,116 @@ function getBingoLetter(number) {
   return '';
 }
 
+// Small multiply-with-carry generator - the same seed always gives the same sequence
+function seededRandom(s) {
+  const mask = 0xffffffff;
+  let m_w = (123456789 + s) & mask;
+  let m_z = (987654321 - s) & mask;
+  
+  return function() {
+    m_z = (36969 * (m_z & 65535) + (m_z >> 16)) & mask;
+    m_w = (18000 * (m_w & 65535) + (m_w >> 16)) & mask;
+    const result = ((m_z << 16) + (m_w & 65535)) >>> 0;
+    return result / 4294967296;
+  };
+}
+
+// Deterministic box -> card mapping. The box number seeds the generator so the
+// same box always yields the same card; the server is the only source of truth.
+function generateBingoCard(box) {
+  const letters = ['B', 'I', 'N', 'G', 'O'];
+  const ranges = {
+    'B': { min: 1, max: 15 },
+    'I': { min: 16, max: 30 },
+    'N': { min: 31, max: 45 },
+    'G': { min: 46, max: 60 },
+    'O': { min: 61, max: 75 }
+  };
+  
+  const random = seededRandom(box * 777);
+  const availableNumbers = {};
+  
+  for (const letter of letters) {
+    const range = ranges[letter];
+    availableNumbers[letter] = [];
+    for (let i = range.min; i <= range.max; i++) {
+      availableNumbers[letter].push(i);
+    }
+    
+    for (let i = availableNumbers[letter].length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [availableNumbers[letter][i], availableNumbers[letter][j]] = [availableNumbers[letter][j], availableNumbers[letter][i]];
+    }
+  }
+  
+  const grid = [];
+  for (let row = 0; row < 5; row++) {
+    for (let col = 0; col < 5; col++) {
+      const index = row * 5 + col;
+      if (col === 2 && row === 2) {
+        grid[index] = 'FREE';
+        continue;
+      }
+      grid[index] = availableNumbers[letters[col]].shift();
+    }
+  }
+  
+  return grid;
+}
+
+// Deterministic box -> 90-ball ticket: 3 rows x 9 columns (27 cells row by row), 5 numbers
+// per row and 1-3 per column, column 1 holding 1-9, column 2 10-19 ... column 9 80-90.
+// Blank cells are null.
+function generate90BallTicket(box) {
+  const rows = 3;
+  const columns = 9;
+  const random = seededRandom(box * 907);
+  
+  function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+  
+  // Every column gets one number and the other 6 go to random columns that still have room
+  const counts = Array(columns).fill(1);
+  for (let extra = 0; extra < 6; extra++) {
+    const open = counts.map((count, col) => col).filter(col => counts[col] < rows);
+    counts[open[Math.floor(random() * open.length)]]++;
+  }
+  
+  // Fullest columns first, each one placed in the rows still missing the most numbers
+  const rowNeeds = Array(rows).fill(5);
+  const grid = Array(rows * columns).fill(null);
+  const columnOrder = counts.map((count, col) => col).sort((a, b) => counts[b] - counts[a] || a - b);
+  
+  for (const col of columnOrder) {
+    const min = col === 0 ? 1 : col * 10;
+    const max = col === columns - 1 ? 90 : col * 10 + 9;
+    const numbers = shuffle(Array.from({ length: max - min + 1 }, (_, i) => min + i))
+      .slice(0, counts[col])
+      .sort((a, b) => a - b);
+    const cardRows = shuffle([0, 1, 2])
+      .sort((a, b) => rowNeeds[b] - rowNeeds[a])
+      .slice(0, counts[col])
+      .sort((a, b) => a - b);
+    
+    cardRows.forEach((row, index) => {
+      grid[row * columns + col] = numbers[index];
+      rowNeeds[row]--;
+    });
+  }
+  
+  return grid;
+}
+
+// The card a box buys in this room's variant
+function generateRoomCard(room, box) {
+  return room.variant === '90' ? generate90BallTicket(box) : generateBingoCard(box);
+}
+
 function generateReferralCode(userId) {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
   let code = '';
@@ -295,8 +735,11 @@ async function getRoom(stake) {
     let room = await Room.findOne({ stake: stake, status: { $in: ['waiting', 'starting', 'playing'] } });
     
     if (!room) {
+      const roomType = getRoomType(stake);
       room = new Room({
         stake: stake,
+        variant: roomType ? roomType.variant : '75',
+        winPatterns: roomType ? roomType.winPatterns : [],
         players: [],
         takenBoxes: [],
         status: 'waiting',
@@ -312,77 +755,796 @@ async function getRoom(stake) {
   }
 }
 
-// ========== FIXED: getConnectedUsers - PROPERLY TRACKS ALL CONNECTED USERS ==========
-function getConnectedUsers() {
-  const connectedUsers = new Set();
+// ========== ROOM CATALOG ==========
+// Public rooms come from the RoomType collection, cached in roomCatalog so the hot
+// paths (draws, countdowns, broadcasts) stay synchronous. The CONFIG values are the
+// seed for an empty catalog and the fallback for private and tournament rooms.
+async function loadRoomCatalog() {
+  try {
+    if (await RoomType.countDocuments() === 0) {
+      await RoomType.insertMany(CONFIG.ROOM_STAKES.map(stake => ({
+        stake: stake,
+        name: CONFIG.ROOM_NAMES[stake] || `${stake} ETB`,
+        commission: CONFIG.HOUSE_COMMISSION[stake] || 0,
+        boxCount: CONFIG.MAX_PLAYERS_PER_ROOM,
+        countdownSeconds: CONFIG.COUNTDOWN_TIMER,
+        drawIntervalSeconds: CONFIG.GAME_TIMER,
+        winPatterns: CONFIG.DEFAULT_WIN_PATTERNS,
+        variant: CONFIG.ROOM_VARIANTS[stake] || '75',
+        updatedBy: 'system'
+      })));
+      console.log(`🏠 Room catalog seeded with ${CONFIG.ROOM_STAKES.length} rooms`);
+    }
+    
+    const roomTypes = await RoomType.find().sort({ stake: 1 }).lean();
+    roomCatalog = new Map(roomTypes.map(roomType => [roomType.stake, roomType]));
+    console.log(`🏠 Room catalog loaded: ${roomTypes.filter(roomType => roomType.enabled).map(roomType => roomType.stake).join('/')} ETB`);
+  } catch (error) {
+    console.error('❌ Error loading room catalog:', error);
+  }
+}
+
+function getRoomType(stake) {
+  return roomCatalog.get(Number(stake)) || null;
+}
+
+// Rooms players can join, cheapest first
+function getEnabledRoomTypes() {
+  return [...roomCatalog.values()].filter(roomType => roomType.enabled).sort((a, b) => a.stake - b.stake);
+}
+
+function isRoomTypeEnabled(stake) {
+  return getRoomType(stake)?.enabled === true;
+}
+
+function getRoomCountdown(room) {
+  return getRoomType(room.stake)?.countdownSeconds || CONFIG.COUNTDOWN_TIMER;
+}
+
+function getDrawInterval(room) {
+  return getRoomType(room.stake)?.drawIntervalSeconds || CONFIG.GAME_TIMER;
+}
+
+// Tickets on sale per game - numbered 1..boxCount
+function getBoxCount(room) {
+  return getRoomType(room.stake)?.boxCount || CONFIG.MAX_PLAYERS_PER_ROOM;
+}
+
+// A slow draw interval needs longer than CONFIG.GAME_TIMEOUT_MINUTES to get through every ball
+function getGameTimeoutMs(room) {
+  const drawAllMs = (getRoomVariant(room).balls * getDrawInterval(room) + 60) * 1000;
+  return Math.max(CONFIG.GAME_TIMEOUT_MINUTES * 60 * 1000, drawAllMs);
+}
+
+// Checks the admin form - returns { error } or { settings }
+function validateRoomTypeSettings(data = {}) {
+  const stake = parseInt(data.stake);
+  const name = String(data.name || '').trim().substring(0, 30);
+  const commission = Math.round(parseFloat(data.commission) * 100) / 100;
+  const boxCount = parseInt(data.boxCount);
+  const countdownSeconds = parseInt(data.countdownSeconds);
+  const drawIntervalSeconds = parseInt(data.drawIntervalSeconds);
+  const variant = data.variant || '75';
   
-  // Get from socketToUser map (direct WebSocket connections that sent 'init')
-  socketToUser.forEach((userId, socketId) => {
-    const socket = io.sockets.sockets.get(socketId);
-    if (socket && socket.connected) {
-      connectedUsers.add(userId);
+  if (!Number.isInteger(stake) || stake < 1 || stake >= CONFIG.PRIVATE_ROOM_KEY_BASE) {
+    return { error: 'Stake must be a whole number of ETB' };
+  }
+  if (!name) {
+    return { error: 'Room name is required' };
+  }
+  if (!Number.isFinite(commission) || commission < 0 || commission >= stake) {
+    return { error: 'Commission must be at least 0 and less than the stake' };
+  }
+  if (!Number.isInteger(boxCount) || boxCount < 1 || boxCount > CONFIG.MAX_PLAYERS_PER_ROOM) {
+    return { error: `Box count must be between 1 and ${CONFIG.MAX_PLAYERS_PER_ROOM}` };
+  }
+  if (!Number.isInteger(countdownSeconds) || countdownSeconds < 5 || countdownSeconds > 300) {
+    return { error: 'Countdown must be between 5 and 300 seconds' };
+  }
+  if (!Number.isInteger(drawIntervalSeconds) || drawIntervalSeconds < 1 || drawIntervalSeconds > 30) {
+    return { error: 'Draw interval must be between 1 and 30 seconds' };
+  }
+  if (!BINGO_VARIANTS[variant]) {
+    return { error: 'Unknown bingo variant' };
+  }
+  
+  const winPatterns = variant === '75' ? normalizeWinPatterns(data.winPatterns) : [];
+  if (variant === '75' && !winPatterns) {
+    return { error: 'Choose at least one valid win pattern' };
+  }
+  
+  return {
+    settings: { stake, name, commission, boxCount, countdownSeconds, drawIntervalSeconds, variant, winPatterns, enabled: data.enabled !== false }
+  };
+}
+
+// Writes catalog changes (creating the entry if needed) and refreshes the cache
+async function saveRoomType(stake, changes, updatedBy) {
+  const roomType = await RoomType.findOneAndUpdate(
+    { stake: stake },
+    { $set: { ...changes, updatedBy: updatedBy, updatedAt: new Date() } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  ).lean();
+  roomCatalog.set(roomType.stake, roomType);
+  return roomType;
+}
+
+// What admin.html lists - the cached catalog with every room, enabled or not
+function describeRoomCatalog() {
+  return [...roomCatalog.values()].map(roomType => ({
+    stake: roomType.stake,
+    name: roomType.name,
+    commission: roomType.commission,
+    boxCount: roomType.boxCount,
+    countdownSeconds: roomType.countdownSeconds,
+    drawIntervalSeconds: roomType.drawIntervalSeconds,
+    winPatterns: roomType.winPatterns,
+    variant: roomType.variant,
+    enabled: roomType.enabled,
+    updatedBy: roomType.updatedBy,
+    updatedAt: roomType.updatedAt
+  }));
+}
+
+// ========== PRIVATE ROOMS ==========
+// A private room is an ordinary Room whose `stake` is a generated key at or above
+// CONFIG.PRIVATE_ROOM_KEY_BASE, so every timer, map and event keyed by stake keeps
+// working, while `price` holds the custom stake per card. Players get in with the
+// invite code and the room never shows up in the public roomStatus broadcast.
+const PRIVATE_ROOM_START_RULES = {
+  auto: 'Starts as soon as someone buys a ticket',
+  minPlayers: 'Starts when enough players have joined',
+  host: 'Starts when the host says so'
+};
+
+function isPrivateRoomKey(roomStake) {
+  return Number(roomStake) >= CONFIG.PRIVATE_ROOM_KEY_BASE;
+}
+
+// What one card costs in this room
+function getRoomPrice(room) {
+  return room.isPrivate ? room.price : room.stake;
+}
+
+// House commission per card - private rooms take a percentage of their custom stake
+function getRoomCommission(room) {
+  if (room.isPrivate) {
+    return Math.round(room.price * CONFIG.PRIVATE_ROOM_COMMISSION_PERCENT) / 100;
+  }
+  return getRoomType(room.stake)?.commission ?? CONFIG.HOUSE_COMMISSION[room.stake] ?? 0;
+}
+
+// "10 ETB room" or "private room K7Q2XM (25 ETB)" for messages and ledger descriptions
+function getRoomLabel(room) {
+  if (room.tournamentId) return `tournament room ${room.stake}`;
+  return room.isPrivate ? `private room ${room.inviteCode} (${room.price} ETB)` : `${room.stake} ETB room`;
+}
+
+// Tournament games are one card each so the standings compare players, not wallets
+function getMaxCards(room) {
+  return room.tournamentId ? 1 : CONFIG.MAX_CARDS_PER_PLAYER;
+}
+
+// Opens the mini app straight into the room; the bot also understands /start room_<code>
+function getPrivateRoomLink(inviteCode) {
+  return `https://t.me/${CONFIG.BOT_USERNAME}?startapp=room_${inviteCode}`;
+}
+
+function normalizeInviteCode(code) {
+  return String(code || '').trim().toUpperCase().replace(/^ROOM_/, '');
+}
+
+// Checks the create form - returns { error } or { settings }
+function validatePrivateRoomSettings(data = {}) {
+  const price = Math.round(parseFloat(data.stake) * 100) / 100;
+  const maxPlayers = parseInt(data.maxPlayers);
+  const startRule = data.startRule || 'auto';
+  const minPlayers = parseInt(data.minPlayers);
+  const variant = data.variant || '75';
+  
+  if (!Number.isFinite(price) || price < CONFIG.PRIVATE_ROOM_MIN_STAKE || price > CONFIG.PRIVATE_ROOM_MAX_STAKE) {
+    return { error: `Stake must be between ${CONFIG.PRIVATE_ROOM_MIN_STAKE} and ${CONFIG.PRIVATE_ROOM_MAX_STAKE} ETB` };
+  }
+  if (!Number.isInteger(maxPlayers) || maxPlayers < 2 || maxPlayers > CONFIG.MAX_PLAYERS_PER_ROOM) {
+    return { error: `Max players must be between 2 and ${CONFIG.MAX_PLAYERS_PER_ROOM}` };
+  }
+  if (!PRIVATE_ROOM_START_RULES[startRule]) {
+    return { error: 'Unknown start rule' };
+  }
+  if (startRule === 'minPlayers' && (!Number.isInteger(minPlayers) || minPlayers < 2 || minPlayers > maxPlayers)) {
+    return { error: `Players needed to start must be between 2 and ${maxPlayers}` };
+  }
+  if (!BINGO_VARIANTS[variant]) {
+    return { error: 'Unknown bingo variant' };
+  }
+  
+  return {
+    settings: {
+      price: price,
+      maxPlayers: maxPlayers,
+      startRule: startRule,
+      minPlayers: startRule === 'minPlayers' ? minPlayers : null,
+      variant: variant
     }
-  });
+  };
+}
+
+async function createPrivateRoom(settings, { hostUserId = null, createdBy }) {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
   
-  // Also check ALL connected sockets for users who connected but haven't sent 'init' yet
-  io.sockets.sockets.forEach((socket) => {
-    if (socket && socket.connected && socket.userId && socket.userId !== 'pending') {
-      // Check if socket has a userId property (set on connection via query)
-      connectedUsers.add(socket.userId);
+  for (let attempt = 0; attempt < 10; attempt++) {
+    let inviteCode = '';
+    for (let i = 0; i < 6; i++) {
+      inviteCode += chars.charAt(crypto.randomInt(chars.length));
     }
-  });
+    const key = CONFIG.PRIVATE_ROOM_KEY_BASE + crypto.randomInt(900000);
+    if (await Room.exists({ $or: [{ stake: key }, { inviteCode: inviteCode }] })) continue;
+    
+    const room = new Room({
+      stake: key,
+      variant: settings.variant,
+      players: [],
+      takenBoxes: [],
+      status: 'waiting',
+      lastBoxUpdate: new Date(),
+      isPrivate: true,
+      inviteCode: inviteCode,
+      price: settings.price,
+      maxPlayers: settings.maxPlayers,
+      startRule: settings.startRule,
+      minPlayers: settings.minPlayers,
+      hostUserId: hostUserId,
+      createdBy: createdBy
+    });
+    await room.save();
+    return room;
+  }
   
-  return Array.from(connectedUsers);
+  throw new Error('Could not allocate a private room - please try again');
 }
 
-// ⭐⭐ FIXED: Function to get online players in a specific room
-async function getOnlinePlayersInRoom(roomStake) {
+// What the creator and invited players see about a private room
+function describePrivateRoom(room) {
+  return {
+    room: room.stake,
+    inviteCode: room.inviteCode,
+    link: getPrivateRoomLink(room.inviteCode),
+    price: room.price,
+    maxPlayers: room.maxPlayers,
+    startRule: room.startRule,
+    startRuleText: PRIVATE_ROOM_START_RULES[room.startRule],
+    minPlayers: room.minPlayers,
+    players: room.players.length,
+    status: room.status,
+    hostUserId: room.hostUserId,
+    variant: describeVariant(room)
+  };
+}
+
+// Whether a new ticket should start the countdown - host-start rooms wait for their host
+function shouldStartCountdown(room, onlinePlayerCount) {
+  if (room.status !== 'waiting') return false;
+  if (room.isPrivate && room.startRule === 'host') return false;
+  if (room.isPrivate && room.startRule === 'minPlayers') return onlinePlayerCount >= room.minPlayers;
+  return onlinePlayerCount >= CONFIG.MIN_PLAYERS_TO_START;
+}
+
+// ========== PLAYER BANS ==========
+// Expired bans are lifted the first time they are checked
+async function isUserBanned(user) {
+  if (!user || !user.isBanned) return false;
+  
+  if (user.banExpiresAt && user.banExpiresAt <= new Date()) {
+    await User.updateOne({ userId: user.userId }, { $set: { isBanned: false, banReason: null, bannedBy: null, bannedAt: null, banExpiresAt: null } });
+    user.isBanned = false;
+    user.banReason = null;
+    user.bannedBy = null;
+    user.bannedAt = null;
+    user.banExpiresAt = null;
+    console.log(`✅ Ban expired for ${user.userName}`);
+    return false;
+  }
+  
+  return true;
+}
+
+function getBanInfo(user) {
+  const until = user.banExpiresAt ? ` until ${user.banExpiresAt.toISOString().replace('T', ' ').substring(0, 16)} UTC` : '';
+  return {
+    reason: user.banReason || null,
+    expiresAt: user.banExpiresAt || null,
+    message: `You are banned${until}${user.banReason ? ` - ${user.banReason}` : ''}`
+  };
+}
+
+// ========== WALLET SERVICE ==========
+// Every balance change goes through here: the balance is updated with a
+// conditional atomic $inc and its ledger entry is written in the same MongoDB
+// transaction, so a crash or a second socket can never create or lose money.
+// (MongoDB transactions need a replica set - Atlas clusters are one.)
+const WALLET_ERRORS = {
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  USER_NOT_FOUND: 'USER_NOT_FOUND',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  CONFLICT: 'CONFLICT'
+};
+
+function walletError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Runs work(session) in one transaction and returns its result
+async function withWalletSession(work) {
+  const session = await mongoose.startSession();
   try {
-    const room = await Room.findOne({ stake: roomStake });
-    if (!room) return [];
-    
-    const onlinePlayers = [];
-    const connectedUserIds = getConnectedUsers();
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Applies one signed amount to a user inside an open session.
+// `guard` adds conditions the user document must still match (e.g. currentRoom: null),
+// `set`/`inc` are extra field updates applied in the same write.
+async function moveFunds(session, { userId, amount, type, room = null, admin = false, description, guard = {}, set = null, inc = {} }) {
+  amount = Math.round(Number(amount) * 100) / 100;
+  if (!Number.isFinite(amount)) {
+    throw walletError(WALLET_ERRORS.INVALID_AMOUNT, 'Invalid amount');
+  }
+  
+  const filter = { userId: userId, ...guard };
+  if (amount < 0) {
+    filter.balance = { $gte: -amount };
+  }
+  
+  const update = { $inc: { balance: amount, ...inc } };
+  if (set) {
+    update.$set = set;
+  }
+  
+  const user = await User.findOneAndUpdate(filter, update, { new: true, session });
+  if (!user) {
+    const current = await User.findOne({ userId: userId }).session(session);
+    if (!current) {
+      throw walletError(WALLET_ERRORS.USER_NOT_FOUND, 'User not found');
+    }
+    if (amount < 0 && current.balance < -amount) {
+      throw walletError(WALLET_ERRORS.INSUFFICIENT_FUNDS, 'Insufficient funds');
+    }
+    throw walletError(WALLET_ERRORS.CONFLICT, 'Account changed while processing - please try again');
+  }
+  
+  await recordLedgerEntry(session, {
+    type: type,
+    userId: userId,
+    userName: user.userName,
+    amount: amount,
+    room: room,
+    admin: admin,
+    description: description
+  });
+  
+  return user;
+}
+
+async function recordLedgerEntry(session, entry) {
+  await Transaction.create([entry], { session });
+}
+
+// Single balance change with its ledger entry - returns the updated user
+async function changeBalance(params) {
+  return withWalletSession(session => moveFunds(session, params));
+}
+
+// Closes a round that stopped without a final winner, in one transaction: the room is claimed
+// and reset by a conditional update (`guard` adds what it must still match), then every player
+// still in it gets back what getStakeRefund owes them. Whoever comes second - the no-winner
+// timer, the cleanup interval, an admin - finds the room already reset and refunds nothing.
+// Resolves to { room, refunds } with the room as it was before the reset and refunds a
+// Map userId -> { user, amount }, or null if the room no longer matched.
+async function closeRoomWithRefunds(room, { guard = {}, reset = {}, type, description }) {
+  let closed = null;
+  let refunds = new Map();
+  
+  await withWalletSession(async (session) => {
+    refunds = new Map();
+    closed = await Room.findOneAndUpdate(
+      { _id: room._id, ...guard },
+      {
+        $set: {
+          players: [],
+          takenBoxes: [],
+          cards: [],
+          serverSeed: null,
+          serverSeedHash: null,
+          clientSeed: null,
+          lastBoxUpdate: new Date(),
+          ...reset
+        }
+      },
+      { new: false, session }
+    );
+    if (!closed) return;
     
-    // Check each player in the room
-    for (const playerId of room.players) {
-      // Check if player is in connected users
-      if (connectedUserIds.includes(playerId)) {
-        onlinePlayers.push(playerId);
+    for (const userId of closed.players) {
+      // Someone no longer in the room (already refunded, or moved on) is skipped, not refunded twice
+      if (!await User.exists({ userId: userId, currentRoom: closed.stake }).session(session)) {
+        console.log(`⚠️ ${userId} is no longer in room ${closed.stake} - no refund`);
+        continue;
       }
+      
+      const amount = getStakeRefund(closed, userId);
+      const user = await moveFunds(session, {
+        userId: userId,
+        amount: amount,
+        type: type,
+        room: closed.stake,
+        description: description,
+        guard: { currentRoom: closed.stake },
+        set: { currentRoom: null, box: null }
+      });
+      refunds.set(userId, { user, amount });
     }
     
-    return onlinePlayers;
-  } catch (error) {
-    console.error('Error getting online players in room:', error);
-    return [];
-  }
+    await recordUnfinishedStagesEarnings(session, closed);
+  });
+  
+  return closed ? { room: closed, refunds } : null;
 }
 
-// ========== BROADCAST FUNCTIONS ==========
-async function broadcastRoomStatus() {
-  try {
-    const rooms = await Room.find({ status: { $in: ['waiting', 'starting', 'playing'] } });
-    const roomStatus = {};
+// Takes a player out of a room that hasn't started and refunds every card's stake
+// in one transaction - only if they were really in it, so a second leave from another
+// socket finds nothing to refund. Resolves to { user, refunded, cards }.
+async function removePlayerAndRefund(room, userId, description) {
+  let refunded = false;
+  let cards = 0;
+  
+  const user = await withWalletSession(async (session) => {
+    refunded = false;
+    cards = 0;
     
-    for (const room of rooms) {
-      const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
-      const commissionPerPlayer = CONFIG.HOUSE_COMMISSION[room.stake] || 0;
-      const contributionPerPlayer = room.stake - commissionPerPlayer;
-      const potentialPrize = contributionPerPlayer * onlinePlayers.length;
-      const houseFee = commissionPerPlayer * onlinePlayers.length;
-      const potentialPrizeWithBonus = potentialPrize + CONFIG.FOUR_CORNERS_BONUS;
-      
-      // ⭐⭐ NEW: Mark room as locked if game is playing
+    // Read inside the transaction so a card bought concurrently causes a retry, not a missed refund
+    const current = await Room.findOne({ _id: room._id, players: userId, status: { $ne: 'playing' } }).session(session);
+    if (!current) {
+      return User.findOneAndUpdate({ userId: userId }, { $set: { currentRoom: null, box: null } }, { new: true, session });
+    }
+    
+    let playerBoxes = getPlayerCards(current, userId).map(card => card.box);
+    if (playerBoxes.length === 0) {
+      // Joined before cards were stored - the box is only on the user
+      const existingUser = await User.findOne({ userId: userId }).session(session);
+      playerBoxes = existingUser?.box ? [existingUser.box] : [];
+    }
+    cards = Math.max(playerBoxes.length, 1);
+    
+    await Room.updateOne(
+      { _id: current._id },
+      {
+        $pull: { players: userId, takenBoxes: { $in: playerBoxes }, cards: { userId: userId } },
+        $set: { lastBoxUpdate: new Date() }
+      },
+      { session }
+    );
+    
+    refunded = true;
+    return moveFunds(session, {
+      userId: userId,
+      amount: getRoomPrice(room) * cards,
+      type: 'REFUND',
+      room: room.stake,
+      description: cards > 1 ? `${description} (${cards} cards)` : description,
+      set: { currentRoom: null, box: null }
+    });
+  });
+  
+  return { user, refunded, cards };
+}
+
+// ========== ADMIN ACCOUNTS & ROLES ==========
+// viewer: read-only dashboard, cashier: + add funds, verify deposits and pay withdrawals, superadmin: everything
+const ADMIN_PERMISSIONS = {
+  view: ['viewer', 'cashier', 'superadmin'],
+  addFunds: ['cashier', 'superadmin'],
+  forceDraw: ['superadmin'],
+  forceStart: ['superadmin'],
+  forceEnd: ['superadmin'],
+  clearBoxes: ['superadmin'],
+  ban: ['superadmin'],
+  roomSettings: ['superadmin'],
+  kick: ['superadmin'],
+  disconnectUser: ['superadmin'],
+  manageAdmins: ['superadmin'],
+  jackpot: ['superadmin'],
+  withdrawals: ['cashier', 'superadmin'],
+  deposits: ['cashier', 'superadmin']
+};
+
+function hashAdminPassword(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, 64, (error, derivedKey) => {
+      if (error) reject(error);
+      else resolve(derivedKey.toString('hex'));
+    });
+  });
+}
+
+async function verifyAdminPassword(admin, password) {
+  const hash = await hashAdminPassword(password, admin.passwordSalt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(admin.passwordHash, 'hex'));
+}
+
+async function createAdminAccount(username, password, role, createdBy = null) {
+  const passwordSalt = crypto.randomBytes(16).toString('hex');
+  const passwordHash = await hashAdminPassword(password, passwordSalt);
+  const admin = new AdminUser({ username, passwordHash, passwordSalt, role, createdBy });
+  await admin.save();
+  return admin;
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// First start: create a superadmin from ADMIN_USERNAME / ADMIN_PASSWORD
+async function bootstrapAdminAccount() {
+  try {
+    if (await AdminUser.countDocuments() > 0) return;
+    
+    if (!process.env.ADMIN_PASSWORD) {
+      console.warn('⚠️ No admin accounts exist - set ADMIN_USERNAME and ADMIN_PASSWORD to create the first superadmin');
+      return;
+    }
+    
+    const username = (process.env.ADMIN_USERNAME || 'admin').toLowerCase();
+    await createAdminAccount(username, process.env.ADMIN_PASSWORD, 'superadmin', 'bootstrap');
+    console.log(`👑 Created superadmin account "${username}" from environment`);
+  } catch (error) {
+    console.error('❌ Error creating bootstrap admin:', error);
+  }
+}
+
+// Binds an admin session to a socket
+function attachAdminSession(socket, session) {
+  adminSockets.add(socket.id);
+  adminSessions.set(socket.id, {
+    username: session.username,
+    role: session.role,
+    expiresAt: session.expiresAt
+  });
+}
+
+function detachAdminSession(socketId) {
+  adminSockets.delete(socketId);
+  adminSessions.delete(socketId);
+}
+
+// Returns the caller's admin session if its role allows `permission`, otherwise reports why and returns null
+function requireAdmin(socket, permission) {
+  const admin = adminSessions.get(socket.id);
+  
+  if (!admin) {
+    socket.emit('admin:error', 'Unauthorized - Please authenticate first');
+    return null;
+  }
+  
+  if (admin.expiresAt <= new Date()) {
+    detachAdminSession(socket.id);
+    socket.emit('admin:sessionExpired');
+    socket.emit('admin:error', 'Session expired - please log in again');
+    return null;
+  }
+  
+  if (!ADMIN_PERMISSIONS[permission]?.includes(admin.role)) {
+    console.log(`🚫 Admin ${admin.username} (${admin.role}) denied ${permission}`);
+    socket.emit('admin:error', `Your role (${admin.role}) is not allowed to do this`);
+    return null;
+  }
+  
+  return admin;
+}
+
+// ========== TELEGRAM WEBAPP AUTHENTICATION ==========
+// Validates the signed initData string from Telegram.WebApp.initData
+// (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app)
+function verifyTelegramInitData(initData) {
+  if (!initData || typeof initData !== 'string') {
+    return { valid: false, reason: 'Missing Telegram initData' };
+  }
+  
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) {
+    return { valid: false, reason: 'Missing initData hash' };
+  }
+  params.delete('hash');
+  
+  if (!TELEGRAM_TOKEN) {
+    return { valid: false, reason: 'Telegram login is not configured on this server' };
+  }
+  
+  const dataCheckString = Array.from(params.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(TELEGRAM_TOKEN).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+  
+  if (!crypto.timingSafeEqual(expectedHash, Buffer.from(hash, 'hex'))) {
+    return { valid: false, reason: 'Invalid initData signature' };
+  }
+  
+  const authDate = parseInt(params.get('auth_date'));
+  if (!authDate || Math.floor(Date.now() / 1000) - authDate > CONFIG.TELEGRAM_AUTH_MAX_AGE) {
+    return { valid: false, reason: 'Telegram session expired - please reopen the game' };
+  }
+  
+  let telegramUser = null;
+  try {
+    telegramUser = JSON.parse(params.get('user'));
+  } catch (error) {
+    telegramUser = null;
+  }
+  
+  if (!telegramUser || !telegramUser.id) {
+    return { valid: false, reason: 'initData has no user' };
+  }
+  
+  return { valid: true, user: telegramUser, startParam: params.get('start_param') || null };
+}
+
+// ========== PROVABLY FAIR DRAWS ==========
+// Commit-reveal: the SHA-256 of a random server seed is published before the
+// game starts, the ball order is derived from that seed plus the players'
+// boxes, and the seed is revealed at gameOver so anyone can replay the draw.
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+function commitServerSeed(room) {
+  room.serverSeed = crypto.randomBytes(32).toString('hex');
+  room.serverSeedHash = hashServerSeed(room.serverSeed);
+  room.clientSeed = null;
+  console.log(`🔐 Room ${room.stake} committed to seed hash ${room.serverSeedHash}`);
+}
+
+function clearServerSeed(room) {
+  room.serverSeed = null;
+  room.serverSeedHash = null;
+  room.clientSeed = null;
+}
+
+// Public inputs every player can see: the boxes bought for this game
+function buildClientSeed(takenBoxes) {
+  return [...takenBoxes].map(Number).sort((a, b) => a - b).join(',');
+}
+
+// Fisher-Yates shuffle of 1..ballCount driven by HMAC-SHA256(serverSeed, "clientSeed:i")
+function deriveDrawOrder(serverSeed, clientSeed, ballCount = 75) {
+  const balls = Array.from({ length: ballCount }, (_, i) => i + 1);
+  
+  for (let i = balls.length - 1; i > 0; i--) {
+    const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${i}`).digest();
+    const j = digest.readUInt32BE(0) % (i + 1);
+    [balls[i], balls[j]] = [balls[j], balls[i]];
+  }
+  
+  return balls;
+}
+
+function getNextBall(room) {
+  return deriveDrawOrder(room.serverSeed, room.clientSeed, getRoomVariant(room).balls)[room.ballsDrawn];
+}
+
+function getFairnessReveal(room) {
+  return {
+    serverSeed: room.serverSeed,
+    serverSeedHash: room.serverSeedHash,
+    clientSeed: room.clientSeed,
+    balls: getRoomVariant(room).balls,
+    calledNumbers: [...room.calledNumbers]
+  };
+}
+
+// ========== FIXED: getConnectedUsers - PROPERLY TRACKS ALL CONNECTED USERS ==========
+function getConnectedUsers() {
+  const connectedUsers = new Set();
+  
+  // Get from socketToUser map (direct WebSocket connections that sent 'init')
+  socketToUser.forEach((userId, socketId) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (socket && socket.connected) {
+      connectedUsers.add(userId);
+    }
+  });
+  
+  // Also check ALL connected sockets for users who connected but haven't sent 'init' yet
+  io.sockets.sockets.forEach((socket) => {
+    if (socket && socket.connected && socket.userId && socket.userId !== 'pending') {
+      // Check if socket has a userId property (set on connection via query)
+      connectedUsers.add(socket.userId);
+    }
+  });
+  
+  return Array.from(connectedUsers);
+}
+
+// ⭐⭐ FIXED: Function to get online players in a specific room
+async function getOnlinePlayersInRoom(roomStake) {
+  try {
+    const room = await Room.findOne({ stake: roomStake });
+    if (!room) return [];
+    
+    const onlinePlayers = [];
+    const connectedUserIds = getConnectedUsers();
+    
+    // Check each player in the room
+    for (const playerId of room.players) {
+      // Check if player is in connected users
+      if (connectedUserIds.includes(playerId)) {
+        onlinePlayers.push(playerId);
+      }
+    }
+    
+    return onlinePlayers;
+  } catch (error) {
+    console.error('Error getting online players in room:', error);
+    return [];
+  }
+}
+
+// ========== BROADCAST FUNCTIONS ==========
+async function broadcastRoomStatus() {
+  try {
+    // Private rooms are only reachable through their invite code
+    const activeRooms = await Room.find({ status: { $in: ['waiting', 'starting', 'playing'] }, isPrivate: { $ne: true } });
+    const roomStatus = {};
+    
+    // Every enabled catalog room is listed, with an empty waiting room until someone joins it
+    const rooms = getEnabledRoomTypes().map(roomType =>
+      activeRooms.find(room => room.stake === roomType.stake) ||
+      new Room({ stake: roomType.stake, variant: roomType.variant, winPatterns: roomType.winPatterns, players: [], takenBoxes: [], status: 'waiting' })
+    );
+    
+    // The jackpot is shared by every room, so each room entry carries the same live amount
+    const jackpotPool = await getJackpotPool();
+    const jackpot = jackpotPool && jackpotPool.enabled ? {
+      amount: jackpotPool.amount,
+      patternName: WIN_PATTERNS[jackpotPool.pattern]?.name || jackpotPool.pattern,
+      maxBalls: jackpotPool.maxBalls
+    } : null;
+    
+    for (const room of rooms) {
+      const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
+      const onlineCards = countRoomCards(room, onlinePlayers);
+      const roomType = getRoomType(room.stake);
+      const commissionPerPlayer = getRoomCommission(room);
+      const contributionPerPlayer = room.stake - commissionPerPlayer;
+      const potentialPrize = contributionPerPlayer * onlineCards;
+      const houseFee = commissionPerPlayer * onlineCards;
+      const potentialPrizeWithBonus = potentialPrize + CONFIG.FOUR_CORNERS_BONUS;
+      
+      // ⭐⭐ NEW: Mark room as locked if game is playing
       const isLocked = room.status === 'playing';
       
       roomStatus[room.stake] = {
         stake: room.stake,
+        name: roomType.name,
+        boxCount: roomType.boxCount,
+        countdownSeconds: roomType.countdownSeconds,
         playerCount: onlinePlayers.length,
         totalPlayers: room.players.length,
         status: isLocked ? 'locked' : room.status, // Show locked status to clients
         locked: isLocked, // Add locked flag
         takenBoxes: room.takenBoxes.length,
+        cardCount: onlineCards,
+        maxCardsPerPlayer: CONFIG.MAX_CARDS_PER_PLAYER,
         commissionPerPlayer: commissionPerPlayer,
         contributionPerPlayer: contributionPerPlayer,
         potentialPrize: potentialPrize,
@@ -391,7 +1553,12 @@ async function broadcastRoomStatus() {
         currentBall: room.currentBall,
         ballsDrawn: room.ballsDrawn,
         minPlayers: CONFIG.MIN_PLAYERS_TO_START,
-        fourCornersBonus: CONFIG.FOUR_CORNERS_BONUS
+        fourCornersBonus: CONFIG.FOUR_CORNERS_BONUS,
+        variant: describeVariant(room),
+        winPatterns: getRoomWinPatterns(room).map(key => getRoomVariant(room).patterns[key].name),
+        prizeMode: room.prizeMode,
+        stages: isStagedRoom(room) ? getRoomStages(room).map(stage => `${stage.name} ${stage.share}%`) : null,
+        jackpot: jackpot
       };
     }
     
@@ -448,24 +1615,51 @@ async function updateAdminPanel() {
         totalWins: user.totalWins || 0,
         lastSeen: user.lastSeen,
         telegramId: user.telegramId || '',
-        joinedAt: user.joinedAt
+        joinedAt: user.joinedAt,
+        isBanned: user.isBanned || false,
+        falseClaims: user.falseClaims || 0,
+        claimFlagged: user.claimFlagged || false
       };
     });
     
+    // Banned players - listed separately since they may not be in the top 100
+    const bannedUsers = await User.find({ isBanned: true }).sort({ bannedAt: -1 }).limit(100);
+    const bannedArray = bannedUsers.map(user => ({
+      userId: user.userId,
+      userName: user.userName,
+      banReason: user.banReason,
+      bannedBy: user.bannedBy,
+      bannedAt: user.bannedAt,
+      banExpiresAt: user.banExpiresAt
+    }));
+    
+    // Repeat false claimers waiting for review
+    const flaggedUsers = await User.find({ claimFlagged: true }).sort({ claimFlaggedAt: -1 }).limit(100);
+    const flaggedArray = flaggedUsers.map(user => ({
+      userId: user.userId,
+      userName: user.userName,
+      falseClaims: user.falseClaims || 0,
+      lastFalseClaimAt: user.recentFalseClaims?.length ? user.recentFalseClaims[user.recentFalseClaims.length - 1] : null,
+      claimFlaggedAt: user.claimFlaggedAt,
+      isBanned: user.isBanned || false
+    }));
+    
     // Get room data
     const roomsData = {};
     const rooms = await Room.find({ status: { $in: ['waiting', 'starting', 'playing'] } });
     
     for (const room of rooms) {
       const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
-      const commissionPerPlayer = CONFIG.HOUSE_COMMISSION[room.stake] || 0;
-      const contributionPerPlayer = room.stake - commissionPerPlayer;
-      const potentialPrize = contributionPerPlayer * onlinePlayers.length;
-      const houseFee = commissionPerPlayer * onlinePlayers.length;
+      const onlineCards = countRoomCards(room, onlinePlayers);
+      const commissionPerPlayer = getRoomCommission(room);
+      const contributionPerPlayer = getRoomPrice(room) - commissionPerPlayer;
+      const potentialPrize = contributionPerPlayer * onlineCards;
+      const houseFee = commissionPerPlayer * onlineCards;
       
       roomsData[room.stake] = {
         stake: room.stake,
         playerCount: onlinePlayers.length,
+        cardCount: onlineCards,
         totalPlayers: room.players.length,
         takenBoxes: room.takenBoxes,
         status: room.status,
@@ -479,6 +1673,17 @@ async function updateAdminPanel() {
         players: room.players,
         onlinePlayers: onlinePlayers,
         startTime: room.startTime, // ⭐⭐ NEW: For timeout checking
+        variant: room.variant,
+        privateRoom: room.isPrivate && !room.tournamentId ? { ...describePrivateRoom(room), createdBy: room.createdBy } : null,
+        tournamentId: room.tournamentId,
+        name: getRoomType(room.stake)?.name || null,
+        enabled: room.isPrivate || isRoomTypeEnabled(room.stake),
+        winPatterns: normalizeWinPatterns(room.winPatterns) || CONFIG.DEFAULT_WIN_PATTERNS,
+        nextGamePatterns: room.nextGamePatterns,
+        activePatterns: room.status === 'playing' ? room.activePatterns : [],
+        prizeMode: room.prizeMode,
+        prizeStages: getRoomStages(room),
+        stages: describePrizeStages(room),
         gameDuration: room.startTime ? Math.floor((Date.now() - room.startTime) / 1000 / 60) : 0 // ⭐⭐ NEW: Minutes since start
       };
     }
@@ -492,6 +1697,11 @@ async function updateAdminPanel() {
     // Get real-time connected sockets count
     const connectedSocketsCount = connectedSockets.size;
     
+    const jackpot = describeJackpot(await getJackpotPool());
+    const tournaments = (await listTournaments()).map(tournament => describeTournament(tournament));
+    const withdrawals = await listWithdrawalsForAdmin();
+    const deposits = await listDepositsForAdmin();
+    
     // Send to all admin sockets
     const adminData = {
       totalPlayers: connectedPlayers,
@@ -509,7 +1719,15 @@ async function updateAdminPanel() {
       if (socket) {
         socket.emit('admin:update', adminData);
         socket.emit('admin:players', userArray);
+        socket.emit('admin:bannedUsers', bannedArray);
+        socket.emit('admin:flaggedClaimers', flaggedArray);
         socket.emit('admin:rooms', roomsData);
+        socket.emit('admin:jackpot', jackpot);
+        socket.emit('admin:tournaments', tournaments);
+        socket.emit('admin:withdrawals', withdrawals);
+        socket.emit('admin:paymentProvider', getPaymentProvider() ? CONFIG.PAYMENT_PROVIDER : null);
+        socket.emit('admin:deposits', deposits);
+        socket.emit('admin:roomCatalog', describeRoomCatalog());
         
         // Send recent transactions
         Transaction.find().sort({ createdAt: -1 }).limit(50)
@@ -527,12 +1745,17 @@ async function updateAdminPanel() {
   }
 }
 
-function logActivity(type, details, adminSocketId = null) {
+// Every admin and system action goes to the AuditLog collection; the last 200 stay in memory for the live feed
+function logActivity(type, details, adminSocketId = null, changes = {}) {
+  const admin = adminSocketId ? adminSessions.get(adminSocketId) : null;
   const activity = {
     id: Date.now().toString(),
     timestamp: new Date().toISOString(),
     type: type,
+    actor: admin ? admin.username : 'system',
     details: details,
+    before: changes.before ?? null,
+    after: changes.after ?? null,
     adminSocketId: adminSocketId
   };
   activityLog.unshift(activity);
@@ -541,6 +1764,19 @@ function logActivity(type, details, adminSocketId = null) {
     activityLog = activityLog.slice(0, 200);
   }
   
+  const room = parseInt(details.room ?? details.roomStake);
+  AuditLog.create({
+    type: type,
+    actor: activity.actor,
+    actorRole: admin ? admin.role : null,
+    userId: details.userId || null,
+    room: Number.isFinite(room) ? room : null,
+    before: activity.before,
+    after: activity.after,
+    details: details,
+    createdAt: activity.timestamp
+  }).catch(error => console.error('❌ Error saving audit log entry:', error));
+  
   // Send to admin panels
   adminSockets.forEach(socketId => {
     const socket = io.sockets.sockets.get(socketId);
@@ -550,14 +1786,29 @@ function logActivity(type, details, adminSocketId = null) {
   });
 }
 
+// Builds an AuditLog query from the admin panel's filters
+function buildAuditLogQuery(filters = {}) {
+  const query = {};
+  if (filters.actor) query.actor = String(filters.actor).toLowerCase();
+  if (filters.type) query.type = String(filters.type);
+  if (filters.userId) query.userId = String(filters.userId);
+  
+  const from = filters.from ? new Date(filters.from) : null;
+  const to = filters.to ? new Date(filters.to) : null;
+  if (from && !isNaN(from)) query.createdAt = { $gte: from };
+  if (to && !isNaN(to)) query.createdAt = { ...query.createdAt, $lte: to };
+  
+  return query;
+}
+
 // ========== ⭐⭐ NEW: AUTO-CLEAR LONG RUNNING GAMES (7 MINUTES) ==========
 async function cleanupLongRunningGames() {
   try {
     const sevenMinutesAgo = new Date(Date.now() - CONFIG.GAME_TIMEOUT_MINUTES * 60 * 1000);
-    const longRunningRooms = await Room.find({
+    const longRunningRooms = (await Room.find({
       status: 'playing',
       startTime: { $lt: sevenMinutesAgo }
-    });
+    })).filter(room => Date.now() - room.startTime > getGameTimeoutMs(room));
     
     for (const room of longRunningRooms) {
       console.log(`⏰ Room ${room.stake} has been playing for ${CONFIG.GAME_TIMEOUT_MINUTES}+ minutes. Auto-ending...`);
@@ -565,69 +1816,52 @@ async function cleanupLongRunningGames() {
       // Clear game timer
       cleanupRoomTimer(room.stake);
       
-      // Store players list
-      const playersInRoom = [...room.players];
+      // Refund and reset in one go - skipped if the game already ended some other way
+      const closed = await closeRoomWithRefunds(room, {
+        guard: { status: 'playing', serverSeedHash: room.serverSeedHash },
+        reset: { status: 'waiting', calledNumbers: [], currentBall: null, ballsDrawn: 0, startTime: null, endTime: new Date() },
+        type: 'TIMEOUT_REFUND',
+        description: `Game auto-ended after ${CONFIG.GAME_TIMEOUT_MINUTES} minutes - stake refunded`
+      });
+      if (!closed) continue;
       
-      // Return funds to all players
-      for (const userId of playersInRoom) {
-        const user = await User.findOne({ userId: userId });
-        if (user) {
-          const oldBalance = user.balance;
-          user.balance += room.stake; // Return their stake
-          user.currentRoom = null;
-          user.box = null;
-          await user.save();
-          
-          console.log(`💰 Auto-refunded ${room.stake} ETB to ${user.userName} after ${CONFIG.GAME_TIMEOUT_MINUTES}min timeout`);
-          
-          // Record transaction
-          const transaction = new Transaction({
-            type: 'TIMEOUT_REFUND',
-            userId: userId,
-            userName: user.userName,
-            amount: room.stake,
-            room: room.stake,
-            description: `Game auto-ended after ${CONFIG.GAME_TIMEOUT_MINUTES} minutes - stake refunded`
-          });
-          await transaction.save();
-          
-          // Notify player if online
-          for (const [socketId, uId] of socketToUser.entries()) {
-            if (uId === userId) {
-              const socket = io.sockets.sockets.get(socketId);
-              if (socket) {
-                socket.emit('gameTimeout', {
-                  room: room.stake,
-                  reason: `Game auto-ended after ${CONFIG.GAME_TIMEOUT_MINUTES} minutes`,
-                  refunded: room.stake
-                });
-                socket.emit('balanceUpdate', user.balance);
-                socket.emit('boxesCleared', { 
-                  room: room.stake, 
-                  reason: 'game_timeout' 
-                });
-              }
+      // Notify the refunded players
+      const playersInRoom = [...closed.room.players];
+      for (const [userId, { user, amount: refunded }] of closed.refunds) {
+        console.log(`💰 Auto-refunded ${refunded} ETB to ${user.userName} after ${CONFIG.GAME_TIMEOUT_MINUTES}min timeout`);
+        
+        // Notify player if online
+        for (const [socketId, uId] of socketToUser.entries()) {
+          if (uId === userId) {
+            const socket = io.sockets.sockets.get(socketId);
+            if (socket) {
+              socket.emit('gameTimeout', {
+                room: room.stake,
+                reason: `Game auto-ended after ${CONFIG.GAME_TIMEOUT_MINUTES} minutes`,
+                refunded: refunded,
+                fairness: getFairnessReveal(room)
+              });
+              socket.emit('balanceUpdate', user.balance);
+              socket.emit('boxesCleared', { 
+                room: room.stake, 
+                reason: 'game_timeout' 
+              });
             }
           }
         }
       }
       
-      // Clear room data
-      room.players = [];
-      room.takenBoxes = [];
-      room.status = 'waiting';
-      room.calledNumbers = [];
-      room.currentBall = null;
-      room.ballsDrawn = 0;
-      room.startTime = null;
-      room.endTime = new Date();
-      room.lastBoxUpdate = new Date();
-      await room.save();
-      
       // Broadcast empty boxes
       broadcastTakenBoxes(room.stake, []);
       
       console.log(`✅ Auto-cleared room ${room.stake} after ${CONFIG.GAME_TIMEOUT_MINUTES} minutes`);
+      
+      await onTournamentGameOver(room, playersInRoom);
+      
+      logActivity('GAME_TIMEOUT', { room: room.stake, players: playersInRoom.length, minutes: CONFIG.GAME_TIMEOUT_MINUTES }, null, {
+        before: { status: 'playing', players: playersInRoom },
+        after: { status: 'waiting', refundedPlayers: closed.refunds.size }
+      });
     }
   } catch (error) {
     console.error('❌ Error in cleanupLongRunningGames:', error);
@@ -646,6 +1880,14 @@ async function startGameTimer(room) {
   room.currentBall = null;
   room.ballsDrawn = 0;
   room.startTime = new Date();
+  
+  // Lock the draw order: seed committed during countdown + boxes bought. A seed made
+  // only now would never have been shown before the outcome was fixed.
+  if (!room.serverSeed || !room.serverSeedHash) {
+    throw new Error(`Room ${room.stake} has no committed server seed`);
+  }
+  room.clientSeed = buildClientSeed(room.takenBoxes);
+  lockWinPatterns(room);
   await room.save();
   
   console.log(`✅ Room ${room.stake} set to playing, starting ball timer...`);
@@ -661,37 +1903,24 @@ async function startGameTimer(room) {
         return;
       }
       
-      // Check if 75 balls have been drawn
-      if (currentRoom.ballsDrawn >= 75) {
-        console.log(`⏰ Game timeout for room ${room.stake}: 75 balls drawn`);
+      // Hold the next ball while same-ball claims are being collected
+      if (claimWindows.has(room.stake)) {
+        return;
+      }
+      
+      // Check if every ball has been drawn
+      const ballCount = getRoomVariant(currentRoom).balls;
+      if (currentRoom.ballsDrawn >= ballCount) {
+        console.log(`⏰ Game timeout for room ${room.stake}: ${ballCount} balls drawn`);
         clearInterval(timer);
         roomTimers.delete(room.stake);
         await endGameWithNoWinner(currentRoom);
         return;
       }
       
-      // Generate a ball that hasn't been called
-      let ball;
-      let letter;
-      let attempts = 0;
-      
-      do {
-        ball = Math.floor(Math.random() * 75) + 1;
-        letter = getBingoLetter(ball);
-        attempts++;
-        
-        if (attempts > 150) {
-          // If we can't find a unique ball, use the first available
-          for (let i = 1; i <= 75; i++) {
-            if (!currentRoom.calledNumbers.includes(i)) {
-              ball = i;
-              letter = getBingoLetter(i);
-              break;
-            }
-          }
-          break;
-        }
-      } while (currentRoom.calledNumbers.includes(ball));
+      // Next ball from the committed draw order
+      const ball = getNextBall(currentRoom);
+      const letter = getBallLetter(currentRoom, ball);
       
       console.log(`🎱 Drawing ball ${letter}-${ball} for room ${room.stake} (Ball #${currentRoom.ballsDrawn + 1})`);
       
@@ -739,6 +1968,8 @@ async function startGameTimer(room) {
         }
       });
       
+      await autoDaubBall(currentRoom, ball);
+      
       broadcastRoomStatus();
       
     } catch (error) {
@@ -746,194 +1977,1245 @@ async function startGameTimer(room) {
       clearInterval(timer);
       roomTimers.delete(room.stake);
     }
-  }, CONFIG.GAME_TIMER * 1000);
+  }, getDrawInterval(room) * 1000);
   
   roomTimers.set(room.stake, timer);
-  console.log(`✅ Game timer started for room ${room.stake}, interval: ${CONFIG.GAME_TIMER}s`);
+  console.log(`✅ Game timer started for room ${room.stake}, interval: ${getDrawInterval(room)}s`);
 }
 
-// ✅✅✅ FIXED: Check if a player has bingo - PROPERLY HANDLES NUMBER COMPARISON
-function checkBingo(markedNumbers, grid) {
-  const patterns = [
-    // Rows
-    [0,1,2,3,4],
-    [5,6,7,8,9],
-    [10,11,12,13,14],
-    [15,16,17,18,19],
-    [20,21,22,23,24],
-    
-    // Columns
-    [0,5,10,15,20],
-    [1,6,11,16,21],
-    [2,7,12,17,22],
-    [3,8,13,18,23],
-    [4,9,14,19,24],
-    
-    // Diagonals
-    [0,6,12,18,24],
-    [4,8,12,16,20],
-    
-    // Four corners
-    [0,4,20,24]
-  ];
-  
-  for (const pattern of patterns) {
-    const isBingo = pattern.every(index => {
-      const cellValue = grid[index];
-      
-      // Handle FREE space
-      if (cellValue === 'FREE') {
-        const hasFree = markedNumbers.includes('FREE') || markedNumbers.some(m => m === 'FREE');
-        return hasFree;
-      }
-      
-      // Check if the number is in markedNumbers
-      // Convert both to numbers for comparison since client might send strings
-      const cellValueNum = Number(cellValue);
-      const isMarked = markedNumbers.some(marked => {
-        // Handle 'FREE' string
-        if (marked === 'FREE') return false;
-        // Convert marked to number and compare
-        const markedNum = Number(marked);
-        return markedNum === cellValueNum;
-      });
-      
-      return isMarked;
-    });
-    
-    if (isBingo) {
-      return {
-        isBingo: true,
-        pattern: pattern,
-        isFourCorners: pattern.length === 4 && pattern[0] === 0 && pattern[1] === 4 && pattern[2] === 20 && pattern[3] === 24
-      };
-    }
+// ========== WIN PATTERNS ==========
+// Cells are indexed 0-24 row by row; a pattern is won when any one of its cell sets is fully marked
+const WIN_PATTERNS = {
+  line: {
+    name: 'Any Line',
+    sets: [
+      // Rows
+      [0,1,2,3,4],
+      [5,6,7,8,9],
+      [10,11,12,13,14],
+      [15,16,17,18,19],
+      [20,21,22,23,24],
+      
+      // Columns
+      [0,5,10,15,20],
+      [1,6,11,16,21],
+      [2,7,12,17,22],
+      [3,8,13,18,23],
+      [4,9,14,19,24],
+      
+      // Diagonals
+      [0,6,12,18,24],
+      [4,8,12,16,20]
+    ]
+  },
+  fourCorners: { name: 'Four Corners', sets: [[0,4,20,24]] },
+  x: { name: 'X', sets: [[0,4,6,8,12,16,18,20,24]] },
+  postageStamp: { name: 'Postage Stamp', sets: [[0,1,5,6], [3,4,8,9], [15,16,20,21], [18,19,23,24]] },
+  letterL: { name: 'Letter L', sets: [[0,5,10,15,20,21,22,23,24]] },
+  letterT: { name: 'Letter T', sets: [[0,1,2,3,4,7,12,17,22]] },
+  outerFrame: { name: 'Outer Frame', sets: [[0,1,2,3,4,5,9,10,14,15,19,20,21,22,23,24]] },
+  blackout: { name: 'Full House', sets: [Array.from({ length: 25 }, (_, index) => index)] }
+};
+
+// Any two complete lines - every pair of line sets merged into one
+WIN_PATTERNS.twoLines = {
+  name: 'Two Lines',
+  sets: WIN_PATTERNS.line.sets.flatMap((first, index) =>
+    WIN_PATTERNS.line.sets.slice(index + 1).map(second => [...new Set([...first, ...second])])
+  )
+};
+
+// 90-ball tickets are 3 rows x 9 columns, cells 0-26 row by row. Blank cells (null)
+// count as marked, so a line is a whole row and full house is the whole ticket.
+const WIN_PATTERNS_90 = {
+  line: { name: 'One Line', sets: [0, 1, 2].map(row => Array.from({ length: 9 }, (_, col) => row * 9 + col)) }
+};
+WIN_PATTERNS_90.twoLines = {
+  name: 'Two Lines',
+  sets: [[0, 1], [0, 2], [1, 2]].map(([first, second]) => [...WIN_PATTERNS_90.line.sets[first], ...WIN_PATTERNS_90.line.sets[second]])
+};
+WIN_PATTERNS_90.blackout = { name: 'Full House', sets: [Array.from({ length: 27 }, (_, index) => index)] };
+
+// Ball games a room can play. A 90-ball room always pays the CONFIG.PRIZE_STAGES
+// (one line, two lines, full house), whose pattern keys exist in both registries.
+const BINGO_VARIANTS = {
+  '75': { key: '75', name: '75-Ball', balls: 75, rows: 5, columns: 5, letters: true, patterns: WIN_PATTERNS },
+  '90': { key: '90', name: '90-Ball', balls: 90, rows: 3, columns: 9, letters: false, patterns: WIN_PATTERNS_90 }
+};
+
+function getRoomVariant(room) {
+  return BINGO_VARIANTS[room.variant] || BINGO_VARIANTS['75'];
+}
+
+// Card layout info for clients
+function describeVariant(room) {
+  const variant = getRoomVariant(room);
+  return { key: variant.key, name: variant.name, balls: variant.balls, rows: variant.rows, columns: variant.columns };
+}
+
+// B-I-N-G-O letter for 75-ball rooms - 90-ball calls are just the number
+function getBallLetter(room, ball) {
+  return getRoomVariant(room).letters ? getBingoLetter(ball) : '';
+}
+
+// Drops unknown or duplicate keys; returns null when nothing valid is left
+function normalizeWinPatterns(keys, patterns = WIN_PATTERNS) {
+  if (!Array.isArray(keys)) return null;
+  const valid = [...new Set(keys.map(String))].filter(key => patterns[key]);
+  return valid.length > 0 ? valid : null;
+}
+
+// Patterns the next game in this room will use - staged rooms start with their first stage
+function getUpcomingWinPatterns(room) {
+  if (isStagedRoom(room)) {
+    return [getRoomStages(room)[0].pattern];
   }
-  
-  return { isBingo: false };
+  return normalizeWinPatterns(room.nextGamePatterns) || normalizeWinPatterns(room.winPatterns) || CONFIG.DEFAULT_WIN_PATTERNS;
 }
 
-// ========== FIXED END GAME WITH NO WINNER ==========
-async function endGameWithNoWinner(room) {
-  try {
-    console.log(`🎮 Ending game with no winner for room ${room.stake}`);
-    
-    // Clear game timer FIRST
-    cleanupRoomTimer(room.stake);
-    
-    // Store players list before clearing
-    const playersInRoom = [...room.players];
-    
-    // Return funds to all players
-    for (const userId of playersInRoom) {
-      const user = await User.findOne({ userId: userId });
-      if (user) {
-        const oldBalance = user.balance;
-        user.balance += room.stake; // Return their stake
-        user.currentRoom = null;
-        user.box = null;
-        await user.save();
+// Patterns that count in the game being played (or the upcoming one before it starts)
+function getRoomWinPatterns(room) {
+  if (room.status === 'playing') {
+    return normalizeWinPatterns(room.activePatterns, getRoomVariant(room).patterns) || CONFIG.DEFAULT_WIN_PATTERNS;
+  }
+  return getUpcomingWinPatterns(room);
+}
+
+// Fixes the patterns for the game that is starting and consumes any one-off override
+function lockWinPatterns(room) {
+  room.activePatterns = getUpcomingWinPatterns(room);
+  room.nextGamePatterns = [];
+  room.currentStage = 0;
+  room.stageResults = [];
+}
+
+function describeWinPatterns(keys, patterns = WIN_PATTERNS) {
+  return keys.map(key => ({ key: key, name: patterns[key].name, sets: patterns[key].sets }));
+}
+
+// False for the FREE space and the blank cells of a 90-ball ticket
+function isNumberCell(cell) {
+  return cell !== 'FREE' && cell !== null && cell !== undefined;
+}
+
+// ✅✅✅ FIXED: Check if a player has bingo - PROPERLY HANDLES NUMBER COMPARISON
+function checkBingo(markedNumbers, grid, patternKeys = CONFIG.DEFAULT_WIN_PATTERNS, patterns = WIN_PATTERNS) {
+  const [first] = findCompletedPatterns(markedNumbers, grid, patternKeys, patterns);
+  return first ? { isBingo: true, ...first } : { isBingo: false };
+}
+
+// Every cell set the marks complete on a card, in pattern order - a card can hold an
+// old unclaimed line and a new pattern at the same time
+function findCompletedPatterns(markedNumbers, grid, patternKeys = CONFIG.DEFAULT_WIN_PATTERNS, patterns = WIN_PATTERNS) {
+  const completed = [];
+  for (const patternKey of patternKeys) {
+    for (const pattern of patterns[patternKey].sets) {
+      const isBingo = pattern.every(index => {
+        const cellValue = grid[index];
         
-        console.log(`💰 Refunded ${room.stake} ETB to ${user.userName}, balance: ${oldBalance} → ${user.balance}`);
+        // Blank 90-ball cells have nothing to mark
+        if (cellValue === null || cellValue === undefined) {
+          return true;
+        }
         
-        // Record transaction
-        const transaction = new Transaction({
-          type: 'REFUND',
-          userId: userId,
-          userName: user.userName,
-          amount: room.stake,
-          room: room.stake,
-          description: `Game ended with no winner - stake refunded`
-        });
-        await transaction.save();
+        // Handle FREE space
+        if (cellValue === 'FREE') {
+          return markedNumbers.includes('FREE');
+        }
         
-        // Notify player if online
-        for (const [socketId, uId] of socketToUser.entries()) {
-          if (uId === userId) {
-            const socket = io.sockets.sockets.get(socketId);
-            if (socket) {
-              socket.emit('gameOver', {
-                room: room.stake,
-                winnerId: 'HOUSE',
-                winnerName: 'House',
-                prize: 0,
-                basePrize: 0,
-                bonus: 0,
-                playersCount: playersInRoom.length,
-                isFourCornersWin: false,
-                gameEnded: true,
-                reason: 'no_winner',
-                commissionPerPlayer: CONFIG.HOUSE_COMMISSION[room.stake] || 0
-              });
-              socket.emit('balanceUpdate', user.balance);
-            }
+        // Convert both to numbers for comparison since client might send strings
+        const cellValueNum = Number(cellValue);
+        return markedNumbers.some(marked => marked !== 'FREE' && Number(marked) === cellValueNum);
+      });
+      
+      if (isBingo) {
+        completed.push({
+          pattern: pattern,
+          patternKey: patternKey,
+          patternName: patterns[patternKey].name,
+          isFourCorners: patternKey === 'fourCorners'
+        });
+      }
+    }
+  }
+  
+  return completed;
+}
+
+// A player's cards in a room, in the order they were bought
+function getPlayerCards(room, userId) {
+  return room.cards.filter(card => card.userId === userId);
+}
+
+// Cards that paid a stake - rooms from before stored cards count one per player
+function countRoomCards(room, userIds = room.players) {
+  return userIds.reduce((total, userId) => total + Math.max(getPlayerCards(room, userId).length, 1), 0);
+}
+
+// Keep only marks that are on the card and were really drawn in this game
+function verifyMarkedNumbers(markedNumbers, grid, calledNumbers) {
+  const called = new Set(calledNumbers);
+  const onCard = new Set(grid.filter(isNumberCell).map(Number));
+  const verified = markedNumbers.filter(marked => marked !== 'FREE' && called.has(marked) && onCard.has(marked));
+  verified.push('FREE');
+  return verified;
+}
+
+// Find which drawn ball completed a winning line and how many balls it took
+function getCompletingBall(pattern, grid, calledNumbers) {
+  let completingBall = null;
+  let ballCount = 0;
+  
+  pattern.forEach(index => {
+    if (!isNumberCell(grid[index])) return;
+    const position = calledNumbers.indexOf(Number(grid[index])) + 1;
+    if (position > ballCount) {
+      ballCount = position;
+      completingBall = Number(grid[index]);
+    }
+  });
+  
+  return { completingBall, ballCount };
+}
+
+// ========== PROGRESSIVE JACKPOT ==========
+// Part of every settled game's commission grows one pool shared by all rooms.
+// A winning card that also completed the jackpot pattern within maxBalls draws
+// takes the pool. Every change to the pool has a ledger entry under userId JACKPOT.
+const JACKPOT_KEY = 'main';
+
+async function ensureJackpotPool() {
+  try {
+    await JackpotPool.updateOne(
+      { key: JACKPOT_KEY },
+      {
+        $setOnInsert: {
+          amount: 0,
+          cap: CONFIG.JACKPOT_CAP,
+          sharePercent: CONFIG.JACKPOT_SHARE_PERCENT,
+          pattern: CONFIG.JACKPOT_PATTERN,
+          maxBalls: CONFIG.JACKPOT_MAX_BALLS
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error('❌ Error creating jackpot pool:', error);
+  }
+}
+
+function getJackpotPool(session = null) {
+  return JackpotPool.findOne({ key: JACKPOT_KEY }).session(session);
+}
+
+function recordJackpotEntry(session, { type, amount, room = null, admin = false, description }) {
+  return recordLedgerEntry(session, {
+    type: type,
+    userId: 'JACKPOT',
+    userName: 'Jackpot',
+    amount: amount,
+    room: room,
+    admin: admin,
+    description: description
+  });
+}
+
+// What the lobby and the admin panel show
+function describeJackpot(pool) {
+  if (!pool) return null;
+  return {
+    amount: pool.amount,
+    cap: pool.cap,
+    enabled: pool.enabled,
+    sharePercent: pool.sharePercent,
+    pattern: pool.pattern,
+    patternName: WIN_PATTERNS[pool.pattern]?.name || pool.pattern,
+    maxBalls: pool.maxBalls,
+    totalContributed: pool.totalContributed,
+    totalPaid: pool.totalPaid,
+    lastWin: pool.lastWin?.wonAt ? pool.lastWin : null
+  };
+}
+
+// The jackpot's cut of a game's commission - never more than the commission, never past the cap
+function getJackpotContribution(pool, room, totalCards) {
+  if (!pool || !pool.enabled || pool.sharePercent <= 0) return 0;
+  
+  const commissionPerPlayer = getRoomCommission(room);
+  const perCard = Math.min(getRoomPrice(room) * pool.sharePercent / 100, commissionPerPlayer);
+  let contribution = perCard * totalCards;
+  if (pool.cap > 0) {
+    contribution = Math.min(contribution, Math.max(pool.cap - pool.amount, 0));
+  }
+  return Math.floor(contribution * 100) / 100;
+}
+
+async function addJackpotContribution(session, pool, room, totalCards) {
+  const contribution = getJackpotContribution(pool, room, totalCards);
+  if (contribution <= 0) return 0;
+  
+  await JackpotPool.updateOne(
+    { _id: pool._id },
+    { $inc: { amount: contribution, totalContributed: contribution }, $set: { updatedAt: new Date() } },
+    { session }
+  );
+  pool.amount = Math.round((pool.amount + contribution) * 100) / 100;
+  
+  await recordJackpotEntry(session, {
+    type: 'JACKPOT_CONTRIBUTION',
+    amount: contribution,
+    room: room.stake,
+    description: `Jackpot share of commission from ${totalCards} cards in ${getRoomLabel(room)}`
+  });
+  return contribution;
+}
+
+// Fewest balls in which a claimed card completed the jackpot pattern - null if it didn't within maxBalls
+// 90-ball rooms only qualify when the jackpot pattern is one of their own (e.g. Full House)
+function getJackpotBallCount(pool, claim, calledNumbers, patterns = WIN_PATTERNS) {
+  if (!pool || !pool.enabled || pool.amount <= 0 || !patterns[pool.pattern]) return null;
+  
+  const marked = new Set(claim.markedNumbers);
+  let best = null;
+  for (const pattern of patterns[pool.pattern].sets) {
+    const complete = pattern.every(index => !isNumberCell(claim.grid[index]) || marked.has(Number(claim.grid[index])));
+    if (!complete) continue;
+    
+    const { ballCount } = getCompletingBall(pattern, claim.grid, calledNumbers);
+    if (best === null || ballCount < best) best = ballCount;
+  }
+  return best !== null && best <= pool.maxBalls ? best : null;
+}
+
+// Splits the whole pool between the jackpot cards - the rounding remainder stays in the pool
+async function payJackpot(session, pool, jackpotWinners, roomStake) {
+  const share = splitPrize(pool.amount, jackpotWinners.length);
+  if (share <= 0) return 0;
+  
+  const patternName = WIN_PATTERNS[pool.pattern]?.name || pool.pattern;
+  for (const winner of jackpotWinners) {
+    await moveFunds(session, {
+      userId: winner.userId,
+      amount: share,
+      type: 'JACKPOT_WIN',
+      room: roomStake,
+      description: `Progressive jackpot - ${patternName} in ${winner.jackpotBallCount} balls on card ${winner.box}${jackpotWinners.length > 1 ? ` (shared by ${jackpotWinners.length} cards)` : ''}`
+    });
+    winner.jackpot = share;
+  }
+  
+  const total = Math.round(share * jackpotWinners.length * 100) / 100;
+  const userNames = [...new Set(jackpotWinners.map(winner => winner.userName))];
+  await JackpotPool.updateOne(
+    { _id: pool._id },
+    {
+      $inc: { amount: -total, totalPaid: total },
+      $set: {
+        lastWin: {
+          userNames: userNames,
+          amount: total,
+          room: roomStake,
+          ballCount: Math.min(...jackpotWinners.map(winner => winner.jackpotBallCount)),
+          wonAt: new Date()
+        },
+        updatedAt: new Date()
+      }
+    },
+    { session }
+  );
+  pool.amount = Math.round((pool.amount - total) * 100) / 100;
+  
+  await recordJackpotEntry(session, {
+    type: 'JACKPOT_PAYOUT',
+    amount: -total,
+    room: roomStake,
+    description: `Jackpot paid to ${userNames.join(', ')} in ${roomStake} ETB room`
+  });
+  return total;
+}
+
+// Tells every player about a jackpot win and writes it to the audit log
+function announceJackpot(roomStake, winners, pool, amount) {
+  const jackpotWinners = winners.filter(winner => winner.jackpot > 0);
+  console.log(`💎 JACKPOT of ${amount} ETB won in room ${roomStake}`);
+  
+  io.emit('jackpotWon', {
+    room: roomStake,
+    amount: amount,
+    winnerNames: [...new Set(jackpotWinners.map(winner => winner.userName))],
+    patternName: WIN_PATTERNS[pool.pattern]?.name || pool.pattern,
+    ballCount: Math.min(...jackpotWinners.map(winner => winner.jackpotBallCount))
+  });
+  
+  logActivity('JACKPOT_WIN', {
+    room: roomStake,
+    amount: amount,
+    winners: jackpotWinners.map(winner => ({ userId: winner.userId, userName: winner.userName, box: winner.box, jackpot: winner.jackpot }))
+  }, null, {
+    before: { jackpot: Math.round((pool.amount + amount) * 100) / 100 },
+    after: { jackpot: pool.amount }
+  });
+}
+
+// ========== STAGED PRIZES ==========
+// In a staged room the pot is paid out in parts: one line, two lines, full house.
+// Each stage's winners share that stage's % of the pot and the draw carries on;
+// the game ends when the last stage is won or all the balls are out.
+// 90-ball rooms are always staged.
+function isStagedRoom(room) {
+  return room.prizeMode === 'staged' || room.variant === '90';
+}
+
+// CONFIG.PRIZE_STAGES with the room's own shares when it has a full set
+function getRoomStages(room) {
+  const shares = room.stageShares && room.stageShares.length === CONFIG.PRIZE_STAGES.length ? room.stageShares : null;
+  return CONFIG.PRIZE_STAGES.map((stage, index) => ({ ...stage, share: shares ? shares[index] : stage.share }));
+}
+
+// Stage list and progress for clients - null for single-prize rooms
+function describePrizeStages(room) {
+  if (!isStagedRoom(room)) return null;
+  const playing = room.status === 'playing';
+  return {
+    current: playing ? room.currentStage : 0,
+    stages: getRoomStages(room).map(stage => ({ name: stage.name, pattern: stage.pattern, share: stage.share })),
+    results: playing ? room.stageResults.map(result => ({
+      stage: result.stage,
+      name: result.name,
+      prize: result.prize,
+      ball: result.ball,
+      winners: result.winners.map(winner => ({ userId: winner.userId, userName: winner.userName, box: winner.box, prize: winner.prize }))
+    })) : []
+  };
+}
+
+// % of the pot the stages of the running game have already paid
+function getPaidStageShare(room) {
+  if (room.status !== 'playing' || !isStagedRoom(room)) return 0;
+  return room.stageResults.reduce((total, result) => total + result.share, 0);
+}
+
+// What a player gets back when a game stops without a final winner: every card's stake,
+// or in a staged game that already paid a stage, only the part of the pot still unpaid
+function getStakeRefund(room, userId) {
+  const cards = countRoomCards(room, [userId]);
+  const paidShare = getPaidStageShare(room);
+  if (paidShare === 0) return getRoomPrice(room) * cards;
+  
+  const contributionPerCard = getRoomPrice(room) - getRoomCommission(room);
+  return Math.floor(contributionPerCard * (100 - paidShare) * cards) / 100;
+}
+
+// A staged game that stops early still earned its commission (and the stages' rounding) -
+// pass the room as it was before the reset, while it still holds the players and stage results
+async function recordUnfinishedStagesEarnings(session, room) {
+  if (getPaidStageShare(room) === 0) return;
+  
+  const totalCards = countRoomCards(room);
+  const paid = room.stageResults.reduce((total, result) => total + result.paid, 0);
+  const refunded = room.players.reduce((total, userId) => total + getStakeRefund(room, userId), 0);
+  const houseEarnings = Math.round((getRoomPrice(room) * totalCards - paid - refunded) * 100) / 100;
+  
+  await recordLedgerEntry(session, {
+    type: 'HOUSE_EARNINGS',
+    userId: 'HOUSE',
+    userName: 'House',
+    amount: houseEarnings,
+    room: room.stake,
+    description: `Commission from ${totalCards} cards in ${getRoomLabel(room)} - game ended after ${room.stageResults.length} of ${getRoomStages(room).length} stages`
+  });
+}
+
+// Pays the current stage to the claims in the window and moves the game on to the next stage
+async function payPrizeStage(roomData, claims, claimWindow, stagePrize, baseShare) {
+  const roomStake = roomData.stake;
+  const stageIndex = roomData.currentStage;
+  const stages = getRoomStages(roomData);
+  const stage = stages[stageIndex];
+  const nextStage = stages[stageIndex + 1];
+  const winners = [];
+  let jackpotPool = null;
+  let jackpotPaid = 0;
+  
+  console.log(`🏅 STAGE ${stageIndex + 1}/${stages.length} (${stage.name}) won in ${roomStake} ETB room: ${stagePrize} ETB, ${baseShare} ETB each`);
+  
+  const historyLength = roomData.gameHistory.length;
+  const resultsLength = roomData.stageResults.length;
+  await withWalletSession(async (session) => {
+    winners.length = 0;
+    roomData.gameHistory.splice(historyLength);
+    roomData.stageResults.splice(resultsLength);
+    jackpotPool = await getJackpotPool(session);
+    
+    for (const claim of claims) {
+      let user;
+      try {
+        user = await moveFunds(session, {
+          userId: claim.userId,
+          amount: baseShare,
+          type: 'WIN',
+          room: roomStake,
+          description: `${stage.name} win on card ${claim.box} in ${getRoomLabel(roomData)}${claims.length > 1 ? ` (shared by ${claims.length} winning cards)` : ''}`,
+          inc: { totalWins: 1 }
+        });
+      } catch (error) {
+        if (error.code === WALLET_ERRORS.USER_NOT_FOUND) continue;
+        throw error;
+      }
+      
+      winners.push({
+        userId: user.userId,
+        userName: user.userName,
+        box: claim.box,
+        prize: baseShare,
+        winPattern: claim.winPattern,
+        winPatternName: claim.winPatternName,
+        winningLine: claim.winningLine,
+        winningNumbers: claim.winningNumbers,
+        completingBall: claim.completingBall,
+        ballCount: claim.ballCount,
+        jackpot: 0,
+        // Tournament cards are free, so they don't play for the jackpot
+        jackpotBallCount: roomData.tournamentId ? null : getJackpotBallCount(jackpotPool, claim, roomData.calledNumbers, getRoomVariant(roomData).patterns)
+      });
+    }
+    
+    const jackpotWinners = winners.filter(winner => winner.jackpotBallCount !== null);
+    jackpotPaid = jackpotWinners.length > 0 ? await payJackpot(session, jackpotPool, jackpotWinners, roomStake) : 0;
+    
+    roomData.stageResults.push({
+      stage: stageIndex,
+      name: stage.name,
+      pattern: stage.pattern,
+      share: stage.share,
+      prize: stagePrize,
+      paid: Math.round(baseShare * winners.length * 100) / 100,
+      ball: claimWindow.ball,
+      ballCount: roomData.calledNumbers.length,
+      winners: winners.map(winner => ({ userId: winner.userId, userName: winner.userName, box: winner.box, prize: winner.prize }))
+    });
+    
+    winners.forEach(winner => {
+      roomData.gameHistory.push({
+        timestamp: new Date(),
+        winner: winner.userId,
+        winnerName: winner.userName,
+        prize: winner.prize,
+        basePrize: winner.prize,
+        players: roomData.players.length,
+        ballsDrawn: roomData.ballsDrawn,
+        winnersCount: winners.length,
+        box: winner.box,
+        cards: countRoomCards(roomData),
+        jackpot: winner.jackpot,
+        stage: stage.name,
+        variant: roomData.variant,
+        winPattern: winner.winPattern,
+        winningLine: winner.winningLine,
+        winningNumbers: winner.winningNumbers,
+        completingBall: winner.completingBall,
+        ballCount: winner.ballCount,
+        serverSeedHash: roomData.serverSeedHash
+      });
+    });
+    
+    roomData.currentStage = stageIndex + 1;
+    roomData.activePatterns = [nextStage.pattern];
+    await roomData.save({ session });
+  });
+  
+  // Everyone in the room sees the stage result; the next ball follows once the window closes
+  const stageData = {
+    room: roomStake,
+    stage: stageIndex,
+    stageName: stage.name,
+    prize: stagePrize,
+    winners: winners,
+    ball: claimWindow.ball,
+    nextStage: { index: stageIndex + 1, name: nextStage.name, share: nextStage.share },
+    patterns: describeWinPatterns(roomData.activePatterns, getRoomVariant(roomData).patterns),
+    stages: describePrizeStages(roomData),
+    jackpot: jackpotPaid > 0 ? { amount: jackpotPaid, patternName: WIN_PATTERNS[jackpotPool.pattern]?.name || jackpotPool.pattern } : null
+  };
+  
+  for (const playerId of roomData.players) {
+    const won = winners.some(winner => winner.userId === playerId);
+    const player = won ? await User.findOne({ userId: playerId }) : null;
+    
+    for (const [socketId, uId] of socketToUser.entries()) {
+      if (uId === playerId) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && socket.connected) {
+          socket.emit('stageWon', stageData);
+          if (player) {
+            socket.emit('balanceUpdate', player.balance);
           }
         }
       }
     }
+  }
+  
+  await awardTournamentPoints(roomData, winners, 'line');
+  
+  broadcastRoomStatus();
+  updateAdminPanel();
+  
+  logActivity('STAGE_WIN', {
+    room: roomStake,
+    stage: stage.name,
+    prize: stagePrize,
+    winners: winners.map(winner => ({ userId: winner.userId, userName: winner.userName, box: winner.box, prize: winner.prize })),
+    completingBall: claimWindow.ball,
+    jackpot: jackpotPaid
+  });
+  
+  if (jackpotPaid > 0) {
+    announceJackpot(roomStake, winners, jackpotPool, jackpotPaid);
+  }
+}
+
+// ========== FIXED END GAME WITH NO WINNER ==========
+async function endGameWithNoWinner(room) {
+  try {
+    console.log(`🎮 Ending game with no winner for room ${room.stake}`);
+    
+    // Clear game timer FIRST
+    cleanupRoomTimer(room.stake);
+    
+    const paidShare = getPaidStageShare(room);
+    const stageSummary = describePrizeStages(room);
+    
+    // Refund and reset the room for the next game in one go - only if this game is still on
+    const closed = await closeRoomWithRefunds(room, {
+      guard: { status: 'playing', serverSeedHash: room.serverSeedHash },
+      reset: { status: 'waiting', calledNumbers: [], currentBall: null, ballsDrawn: 0, startTime: null, endTime: new Date() },
+      type: 'REFUND',
+      description: paidShare > 0
+        ? `Game ended before the last stage was won - unpaid ${100 - paidShare}% of the pot refunded`
+        : `Game ended with no winner - stake refunded`
+    });
+    if (!closed) {
+      console.log(`⚠️ Room ${room.stake} was already closed - nothing to refund`);
+      return;
+    }
+    const playersInRoom = [...closed.room.players];
     
-    // Reset room for next game
-    room.players = [];
-    room.takenBoxes = [];
-    room.status = 'waiting';
-    room.calledNumbers = [];
-    room.currentBall = null;
-    room.ballsDrawn = 0;
-    room.startTime = null;
-    room.endTime = new Date();
-    room.lastBoxUpdate = new Date();
-    await room.save();
+    // Notify the refunded players
+    for (const [userId, { user, amount }] of closed.refunds) {
+      console.log(`💰 Refunded ${amount} ETB to ${user.userName}, balance now ${user.balance}`);
+      
+      for (const [socketId, uId] of socketToUser.entries()) {
+        if (uId === userId) {
+          const socket = io.sockets.sockets.get(socketId);
+          if (socket) {
+            socket.emit('gameOver', {
+              room: room.stake,
+              winnerId: 'HOUSE',
+              winnerName: 'House',
+              prize: 0,
+              basePrize: 0,
+              bonus: 0,
+              playersCount: playersInRoom.length,
+              isFourCornersWin: false,
+              gameEnded: true,
+              reason: paidShare > 0 ? 'stages_unfinished' : 'no_winner',
+              stages: stageSummary,
+              refunded: amount,
+              commissionPerPlayer: getRoomCommission(room),
+              fairness: getFairnessReveal(room)
+            });
+            socket.emit('balanceUpdate', user.balance);
+          }
+        }
+      }
+    }
     
     // Broadcast empty boxes
     broadcastTakenBoxes(room.stake, []);
-    io.emit('boxesCleared', { room: room.stake, reason: 'game_ended_no_winner' });
+    emitToRoomWatchers(room.stake, 'boxesCleared', { room: room.stake, reason: 'game_ended_no_winner' });
     
     console.log(`✅ Game ended with no winner for room ${room.stake}. Boxes cleared for next game.`);
     
+    await onTournamentGameOver(room, playersInRoom);
+    
     // Update displays
     broadcastRoomStatus();
     updateAdminPanel();
     
+    logActivity('GAME_NO_WINNER', { room: room.stake, players: playersInRoom.length }, null, {
+      before: { status: 'playing', players: playersInRoom },
+      after: { status: 'waiting', refundedPlayers: closed.refunds.size }
+    });
+    
   } catch (error) {
     console.error('❌ Error ending game with no winner:', error);
   }
 }
 
-// ========== ⭐⭐ FIXED COUNTDOWN FUNCTION - AUTO STARTS GAME ⭐⭐ ==========
-async function startCountdownForRoom(room) {
+// ========== FALSE CLAIMS & CLAIM RATE LIMIT ==========
+// Sliding window per user - rejected attempts count too, so spamming doesn't reset it
+function isClaimRateLimited(userId) {
+  const now = Date.now();
+  const attempts = (claimAttempts.get(userId) || []).filter(time => now - time < CONFIG.CLAIM_RATE_WINDOW_MS);
+  attempts.push(now);
+  claimAttempts.set(userId, attempts);
+  return attempts.length > CONFIG.CLAIM_RATE_LIMIT;
+}
+
+function isCardClaimLocked(room, card) {
+  return card.claimLockedUntil !== null && card.claimLockedUntil !== undefined && room.ballsDrawn < card.claimLockedUntil;
+}
+
+function describeClaimLock(room, card) {
+  if (card.claimLockedUntil > getRoomVariant(room).balls) {
+    return `Card ${card.box} is locked for the rest of this game after a false claim`;
+  }
+  const ballsLeft = card.claimLockedUntil - room.ballsDrawn;
+  return `Card ${card.box} is locked for ${ballsLeft} more ball${ballsLeft === 1 ? '' : 's'} after a false claim`;
+}
+
+// Locks the card per CONFIG.FALSE_CLAIM_PENALTY and counts the false claim against the player.
+// Flags them for admin review once they reach CONFIG.FALSE_CLAIM_FLAG_THRESHOLD within the window.
+// Never throws - the claim was already rejected, the penalty is best effort.
+async function penalizeFalseClaim(roomData, user, playerCard) {
   try {
-    console.log(`⏱️ STARTING COUNTDOWN for room ${room.stake} at ${new Date().toISOString()}`);
-    
-    // Stop any existing countdown first
-    const countdownKey = `countdown_${room.stake}`;
-    if (roomTimers.has(countdownKey)) {
-      clearInterval(roomTimers.get(countdownKey));
-      roomTimers.delete(countdownKey);
+    let lockedUntil = null;
+    if (CONFIG.FALSE_CLAIM_PENALTY !== 'none') {
+      lockedUntil = CONFIG.FALSE_CLAIM_PENALTY === 'game'
+        ? getRoomVariant(roomData).balls + 1 // never reached - the game ends first
+        : roomData.ballsDrawn + CONFIG.FALSE_CLAIM_LOCK_BALLS;
+      
+      await Room.updateOne(
+        { _id: roomData._id, status: 'playing' },
+        { $set: { 'cards.$[card].claimLockedUntil': lockedUntil } },
+        { arrayFilters: [{ 'card.userId': user.userId, 'card.box': playerCard.box }] }
+      );
+      playerCard.claimLockedUntil = lockedUntil;
     }
     
-    // Update room status
-    room.status = 'starting';
-    room.countdownStartTime = new Date();
-    room.countdownStartedWith = room.players.length;
-    await room.save();
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - CONFIG.FALSE_CLAIM_FLAG_WINDOW_HOURS * 3600000);
+    const updated = await User.findOneAndUpdate(
+      { userId: user.userId },
+      {
+        $inc: { falseClaims: 1 },
+        $push: { recentFalseClaims: { $each: [now], $slice: -CONFIG.FALSE_CLAIM_FLAG_THRESHOLD * 2 } }
+      },
+      { new: true }
+    );
+    const recentCount = (updated?.recentFalseClaims || []).filter(time => time >= windowStart).length;
     
-    let countdown = CONFIG.COUNTDOWN_TIMER;
-    const countdownInterval = setInterval(async () => {
-      try {
-        // Get fresh room data
-        const currentRoom = await Room.findById(room._id);
-        if (!currentRoom || currentRoom.status !== 'starting') {
-          console.log(`⏹️ Countdown stopped: Room ${room.stake} status changed to ${currentRoom?.status || 'deleted'}`);
-          clearInterval(countdownInterval);
-          roomTimers.delete(countdownKey);
-          return;
+    console.log(`🚫 False claim by ${user.userName} on card ${playerCard.box} in room ${roomData.stake} (${recentCount} in ${CONFIG.FALSE_CLAIM_FLAG_WINDOW_HOURS}h)`);
+    
+    if (updated && !updated.claimFlagged && recentCount >= CONFIG.FALSE_CLAIM_FLAG_THRESHOLD) {
+      await User.updateOne({ userId: user.userId }, { $set: { claimFlagged: true, claimFlaggedAt: now } });
+      console.log(`🚩 ${user.userName} flagged for repeated false claims`);
+      logActivity('CLAIM_FLAGGED', { userId: user.userId, userName: user.userName, room: roomData.stake, falseClaims: updated.falseClaims, recentFalseClaims: recentCount }, null, {
+        before: { claimFlagged: false },
+        after: { claimFlagged: true }
+      });
+      updateAdminPanel();
+    }
+    
+    if (lockedUntil !== null) {
+      emitToUser(user.userId, 'claimLocked', {
+        room: roomData.stake,
+        box: playerCard.box,
+        untilBall: lockedUntil,
+        forGame: CONFIG.FALSE_CLAIM_PENALTY === 'game',
+        message: describeClaimLock(roomData, playerCard)
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Error applying false claim penalty for ${user.userId}:`, error);
+  }
+}
+
+// ========== CLAIM WINDOW - SHARED WINS ==========
+// The first valid claim on a ball pauses the draw for CONFIG.CLAIM_WINDOW_MS.
+// Every valid claim collected meanwhile shares basePrize (and the four corners
+// bonus goes to the four-corner winners), then the game ends - or, in a staged
+// room, they share the stage's part of the pot and the draw resumes.
+// `ball` is the room's current ball - only cards it completed join the split
+function openClaimWindow(room, ball) {
+  const roomStake = room.stake;
+  const claimWindow = {
+    ball: ball,
+    seedHash: room.serverSeedHash, // identifies this game so a late settle can't pay into the next one
+    claims: new Map(),
+    timeout: setTimeout(() => settleClaimWindow(roomStake), CONFIG.CLAIM_WINDOW_MS)
+  };
+  claimWindows.set(roomStake, claimWindow);
+  
+  console.log(`⏸️ Claim window opened for room ${roomStake} on ball ${ball}`);
+  
+  room.players.forEach(userId => {
+    for (const [socketId, uId] of socketToUser.entries()) {
+      if (uId === userId) {
+        const socket = io.sockets.sockets.get(socketId);
+        if (socket && socket.connected) {
+          socket.emit('claimWindow', {
+            room: roomStake,
+            ball: ball,
+            closesIn: CONFIG.CLAIM_WINDOW_MS
+          });
         }
-        
-        // Get online players
-        const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
-        
-        // Send countdown to ALL players in room AND subscribed sockets
-        console.log(`⏱️ Room ${room.stake}: Countdown ${countdown}s, ${onlinePlayers.length} online players`);
+      }
+    }
+  });
+  
+  return claimWindow;
+}
+
+// Checks a card against the room's patterns and adds it to the claim window - used by
+// claimBingo and by auto-claim. Resolves to the callback payload for the player.
+function registerClaim(roomData, user, playerCard, markedNumbers) {
+  const roomStake = roomData.stake;
+  
+  if (isCardClaimLocked(roomData, playerCard)) {
+    return { success: false, locked: true, message: describeClaimLock(roomData, playerCard) };
+  }
+  
+  // Balls the server auto-daubed count as marked too
+  const allMarks = [...markedNumbers, ...(playerCard.marked || [])];
+  
+  // Only numbers that were actually called in this game count towards the claim
+  const verifiedNumbers = verifyMarkedNumbers(allMarks, playerCard.grid, roomData.calledNumbers);
+  const rejectedMarks = markedNumbers.filter(m => m !== 'FREE' && !verifiedNumbers.includes(m));
+  if (rejectedMarks.length > 0) {
+    console.log(`⚠️ Ignoring ${rejectedMarks.length} marks that were never called: ${rejectedMarks.join(', ')}`);
+  }
+  
+  // Check if bingo is valid
+  const completed = findCompletedPatterns(verifiedNumbers, playerCard.grid, getRoomWinPatterns(roomData), getRoomVariant(roomData).patterns);
+  if (completed.length === 0) {
+    console.log('❌ Invalid bingo claim - no winning pattern found');
+    return { success: false, invalid: true, message: 'Invalid bingo claim - no winning pattern' };
+  }
+  
+  // The window belongs to the current ball: cards that ball completed share the pot,
+  // a line finished on an earlier ball doesn't - whoever happens to claim first
+  const openWindow = claimWindows.get(roomStake);
+  if (openWindow?.settling) {
+    return { success: false, message: 'Prizes for this ball are being paid - check the result and claim again if you still have a pattern' };
+  }
+  const windowBall = openWindow ? openWindow.ball : roomData.currentBall;
+  const completions = completed.map(match => ({ ...match, ...getCompletingBall(match.pattern, playerCard.grid, roomData.calledNumbers) }));
+  const bingoCheck = completions.find(match => match.completingBall === windowBall);
+  if (!bingoCheck) {
+    return { success: false, message: `Card ${playerCard.box} completed its pattern on ball ${completions[0].completingBall} - only cards completed by ball ${windowBall} share this prize` };
+  }
+  
+  const { completingBall, ballCount } = bingoCheck;
+  const winningNumbers = bingoCheck.pattern
+    .map(index => playerCard.grid[index])
+    .filter(isNumberCell)
+    .map(Number);
+  const claimWindow = openWindow || openClaimWindow(roomData, windowBall);
+  const claimKey = `${user.userId}:${playerCard.box}`;
+  if (claimWindow.claims.has(claimKey)) {
+    return { success: true, duplicate: true, message: `Your BINGO claim for card ${playerCard.box} is already registered` };
+  }
+  
+  claimWindow.claims.set(claimKey, {
+    userId: user.userId,
+    userName: user.userName,
+    box: playerCard.box,
+    isFourCorners: bingoCheck.isFourCorners,
+    winPattern: bingoCheck.patternKey,
+    winPatternName: bingoCheck.patternName,
+    winningLine: bingoCheck.pattern,
+    winningNumbers: winningNumbers,
+    completingBall: completingBall,
+    ballCount: ballCount,
+    markedNumbers: verifiedNumbers, // kept for the jackpot check when the window settles
+    grid: playerCard.grid
+  });
+  
+  console.log(`✅ Valid claim by ${user.userName} on card ${playerCard.box} in room ${roomStake} (${claimWindow.claims.size} on ball ${claimWindow.ball})`);
+  
+  return {
+    success: true,
+    message: 'BINGO claim received and being processed',
+    box: playerCard.box,
+    winPatternName: bingoCheck.patternName,
+    isFourCornersWin: bingoCheck.isFourCorners
+  };
+}
+
+// Split to whole cents - what rounding leaves over stays with the house
+function splitPrize(amount, ways) {
+  return Math.floor((amount / ways) * 100) / 100;
+}
+
+async function settleClaimWindow(roomStake) {
+  const claimWindow = claimWindows.get(roomStake);
+  if (!claimWindow || claimWindow.settling) return;
+  // Stays in claimWindows while paying so the draw and new claims wait for the result
+  claimWindow.settling = true;
+  clearTimeout(claimWindow.timeout);
+  
+  try {
+    const roomData = await Room.findOne({ stake: roomStake, status: 'playing' });
+    if (!roomData || roomData.serverSeedHash !== claimWindow.seedHash) {
+      console.log(`⚠️ Claim window closed but room ${roomStake} is no longer playing`);
+      return;
+    }
+    
+    const claims = [...claimWindow.claims.values()].filter(claim => roomData.players.includes(claim.userId));
+    if (claims.length === 0) {
+      console.log(`▶️ No claimants left in room ${roomStake}, resuming draw`);
+      return;
+    }
+    
+    // The pot grows with every card sold, not with every player
+    const totalPlayers = roomData.players.length;
+    const totalCards = countRoomCards(roomData);
+    const commissionPerPlayer = getRoomCommission(roomData);
+    const contributionPerPlayer = getRoomPrice(roomData) - commissionPerPlayer;
+    const basePrize = contributionPerPlayer * totalCards;
+    
+    // Staged rooms pay this stage's share now and the game goes on until the last stage
+    const staged = isStagedRoom(roomData);
+    const stages = getRoomStages(roomData);
+    const stage = staged ? stages[roomData.currentStage] : null;
+    const prizePool = staged ? Math.floor(basePrize * stage.share) / 100 : basePrize;
+    const paidBefore = staged ? roomData.stageResults.reduce((total, result) => total + result.paid, 0) : 0;
+    
+    const fourCornersCount = claims.filter(claim => claim.isFourCorners).length;
+    const baseShare = splitPrize(prizePool, claims.length);
+    
+    if (staged && roomData.currentStage < stages.length - 1) {
+      await payPrizeStage(roomData, claims, claimWindow, prizePool, baseShare);
+      return;
+    }
+    
+    // Four corners scores tournament points instead of the cash bonus
+    const bonusShare = fourCornersCount > 0 && !roomData.tournamentId ? splitPrize(CONFIG.FOUR_CORNERS_BONUS, fourCornersCount) : 0;
+    const grossHouseEarnings = Math.round((commissionPerPlayer * totalCards + basePrize - paidBefore - baseShare * claims.length) * 100) / 100;
+    let houseEarnings = grossHouseEarnings;
+    let jackpotContribution = 0;
+    let jackpotPaid = 0;
+    let jackpotPool = null;
+    
+    console.log(`🎰 WIN CALCULATION for ${roomStake} ETB room:`);
+    console.log(`   Total players: ${totalPlayers}, cards: ${totalCards}`);
+    console.log(`   Winners: ${claims.length} (${fourCornersCount} four corners)`);
+    console.log(`   Base prize: ${basePrize} ETB, ${baseShare} ETB each`);
+    console.log(`   Bonus: ${bonusShare} ETB per four corners winner`);
+    
+    // Store players list, earlier stages and the seed reveal BEFORE clearing
+    const playersInRoom = [...roomData.players];
+    const fairness = getFairnessReveal(roomData);
+    const stageSummary = describePrizeStages(roomData);
+    const winners = [];
+    
+    // ⭐⭐ FIXED: Clear game timer FIRST
+    cleanupRoomTimer(roomStake);
+    
+    // Prizes, house earnings and the room reset commit together or not at all
+    // (the callback can be retried on transient errors, so it starts from a clean slate)
+    const historyLength = roomData.gameHistory.length;
+    await withWalletSession(async (session) => {
+      winners.length = 0;
+      roomData.gameHistory.splice(historyLength);
+      
+      // The jackpot's share comes out of the commission before anything is paid
+      jackpotPool = await getJackpotPool(session);
+      jackpotContribution = await addJackpotContribution(session, jackpotPool, roomData, totalCards);
+      houseEarnings = Math.round((grossHouseEarnings - jackpotContribution) * 100) / 100;
+      
+      for (const claim of claims) {
+        const bonus = claim.isFourCorners ? bonusShare : 0;
+        const prize = Math.round((baseShare + bonus) * 100) / 100;
+        
+        let user;
+        try {
+          user = await moveFunds(session, {
+            userId: claim.userId,
+            amount: prize,
+            type: claim.isFourCorners ? 'WIN_FOUR_CORNERS' : 'WIN',
+            room: roomStake,
+            description: `Bingo win on card ${claim.box} in ${getRoomLabel(roomData)} with ${totalCards} cards${claims.length > 1 ? ` (shared by ${claims.length} winning cards)` : ''}${claim.isFourCorners ? ' (Four Corners Bonus)' : ''}`,
+            set: { currentRoom: null, box: null },
+            inc: { totalWins: 1, totalBingos: 1 }
+          });
+        } catch (error) {
+          if (error.code === WALLET_ERRORS.USER_NOT_FOUND) continue;
+          throw error;
+        }
+        
+        console.log(`💰 User ${user.userName} won ${prize} ETB (now ${user.balance})`);
+        
+        winners.push({
+          userId: user.userId,
+          userName: user.userName,
+          box: claim.box,
+          prize: prize,
+          basePrize: baseShare,
+          bonus: bonus,
+          isFourCornersWin: claim.isFourCorners,
+          winPattern: claim.winPattern,
+          winPatternName: claim.winPatternName,
+          winningLine: claim.winningLine,
+          winningNumbers: claim.winningNumbers,
+          completingBall: claim.completingBall,
+          ballCount: claim.ballCount,
+          stage: stage ? stage.name : null,
+          jackpot: 0,
+          jackpotBallCount: roomData.tournamentId ? null : getJackpotBallCount(jackpotPool, claim, roomData.calledNumbers, getRoomVariant(roomData).patterns)
+        });
+      }
+      
+      const jackpotWinners = winners.filter(winner => winner.jackpotBallCount !== null);
+      jackpotPaid = jackpotWinners.length > 0 ? await payJackpot(session, jackpotPool, jackpotWinners, roomStake) : 0;
+      
+      // Record house earnings
+      await recordLedgerEntry(session, {
+        type: 'HOUSE_EARNINGS',
+        userId: 'HOUSE',
+        userName: 'House',
+        amount: houseEarnings,
+        room: roomStake,
+        description: `Commission from ${totalCards} cards (${totalPlayers} players) in ${getRoomLabel(roomData)}${jackpotContribution > 0 ? ` after ${jackpotContribution} ETB to the jackpot` : ''}`
+      });
+      
+      winners.forEach(winner => {
+        roomData.gameHistory.push({
+          timestamp: new Date(),
+          winner: winner.userId,
+          winnerName: winner.userName,
+          prize: winner.prize,
+          bonus: winner.bonus,
+          basePrize: winner.basePrize,
+          players: playersInRoom.length,
+          ballsDrawn: roomData.ballsDrawn,
+          isFourCorners: winner.isFourCornersWin,
+          commissionCollected: houseEarnings,
+          winnersCount: winners.length,
+          box: winner.box,
+          cards: totalCards,
+          jackpot: winner.jackpot,
+          stage: winner.stage,
+          variant: roomData.variant,
+          winPattern: winner.winPattern,
+          winningLine: winner.winningLine,
+          winningNumbers: winner.winningNumbers,
+          completingBall: winner.completingBall,
+          ballCount: winner.ballCount,
+          serverSeed: fairness.serverSeed,
+          serverSeedHash: fairness.serverSeedHash,
+          clientSeed: fairness.clientSeed
+        });
+      });
+      
+      // ✅ CRITICAL FIX: Now clear room data
+      roomData.players = [];
+      roomData.takenBoxes = [];
+      roomData.cards = [];
+      clearServerSeed(roomData);
+      roomData.status = 'waiting';
+      roomData.calledNumbers = [];
+      roomData.currentBall = null;
+      roomData.ballsDrawn = 0;
+      roomData.startTime = null;
+      roomData.endTime = new Date();
+      roomData.lastBoxUpdate = new Date();
+      roomData.currentStage = 0;
+      roomData.stageResults = [];
+      await roomData.save({ session });
+    });
+    
+    if (stageSummary) {
+      stageSummary.results.push({
+        stage: stageSummary.current,
+        name: stage.name,
+        prize: prizePool,
+        ball: claimWindow.ball,
+        winners: winners.map(winner => ({ userId: winner.userId, userName: winner.userName, box: winner.box, prize: winner.prize }))
+      });
+    }
+    
+    // Totals keep the single-winner fields meaningful for older clients
+    const totalPaid = Math.round(winners.reduce((sum, winner) => sum + winner.prize, 0) * 100) / 100;
+    const gameOverData = {
+      room: roomStake,
+      winnerId: winners[0]?.userId,
+      winnerName: [...new Set(winners.map(winner => winner.userName))].join(', '),
+      winners: winners,
+      prize: totalPaid,
+      basePrize: basePrize,
+      bonus: bonusShare * fourCornersCount,
+      playersCount: playersInRoom.length,
+      cardsCount: totalCards,
+      isFourCornersWin: fourCornersCount > 0,
+      gameEnded: true,
+      reason: 'bingo_win',
+      stage: stage ? stage.name : null,
+      stages: stageSummary,
+      commissionPerPlayer: commissionPerPlayer,
+      contributionPerPlayer: contributionPerPlayer,
+      houseEarnings: houseEarnings,
+      jackpot: jackpotPaid > 0 ? {
+        amount: jackpotPaid,
+        patternName: WIN_PATTERNS[jackpotPool.pattern]?.name || jackpotPool.pattern,
+        winners: winners.filter(winner => winner.jackpot > 0).length
+      } : null,
+      completingBall: claimWindow.ball,
+      ballCount: fairness.calledNumbers.length,
+      fairness: fairness
+    };
+    
+    // Update all other players and notify everyone
+    for (const playerId of playersInRoom) {
+      const player = await User.findOne({ userId: playerId });
+      if (player && !winners.some(winner => winner.userId === playerId)) {
+        player.currentRoom = null;
+        player.box = null;
+        await player.save();
+      }
+      
+      for (const [sId, uId] of socketToUser.entries()) {
+        if (uId === playerId) {
+          const s = io.sockets.sockets.get(sId);
+          if (s) {
+            s.emit('gameOver', gameOverData);
+            if (player) {
+              s.emit('balanceUpdate', player.balance);
+            }
+          }
+        }
+      }
+    }
+    
+    // ✅ BROADCAST EMPTY BOXES and send boxesCleared event
+    broadcastTakenBoxes(roomStake, []);
+    emitToRoomWatchers(roomStake, 'boxesCleared', { room: roomStake, reason: 'game_ended_bingo_win' });
+    
+    console.log(`🎮 Game ended with ${winners.length} winner(s) in room ${roomStake}. Boxes cleared for next game.`);
+    
+    if (jackpotPaid > 0) {
+      announceJackpot(roomStake, winners, jackpotPool, jackpotPaid);
+    }
+    
+    await awardTournamentPoints(roomData, winners, 'win');
+    await onTournamentGameOver(roomData, playersInRoom);
+    
+    broadcastRoomStatus();
+    updateAdminPanel();
+    
+    logActivity('BINGO_WIN', { 
+      winners: winners.map(winner => ({ userId: winner.userId, userName: winner.userName, box: winner.box, prize: winner.prize, bonus: winner.bonus })),
+      room: roomStake, 
+      prize: totalPaid, 
+      basePrize: basePrize,
+      isFourCorners: fourCornersCount > 0,
+      players: playersInRoom.length,
+      commissionCollected: houseEarnings,
+      jackpotContribution: jackpotContribution,
+      completingBall: claimWindow.ball,
+      ballCount: fairness.calledNumbers.length
+    });
+    
+  } catch (error) {
+    console.error('❌ Error settling claim window:', error);
+  } finally {
+    if (claimWindows.get(roomStake) === claimWindow) {
+      claimWindows.delete(roomStake);
+    }
+  }
+}
+
+// ========== AUTO-DAUB & AUTO-CLAIM ==========
+// Players who opt in have each drawn ball marked on their stored cards by the server,
+// and with auto-claim their bingo is submitted the moment a card completes a pattern.
+function emitToUser(userId, event, data) {
+  for (const [socketId, uId] of socketToUser.entries()) {
+    if (uId === userId) {
+      const socket = io.sockets.sockets.get(socketId);
+      if (socket && socket.connected) {
+        socket.emit(event, data);
+      }
+    }
+  }
+}
+
+// Called by the game timer after every ball - never throws, so a failure can't stop the draw
+async function autoDaubBall(room, ball) {
+  try {
+    const autoPlayers = await User.find({ userId: { $in: room.players }, autoDaub: true });
+    if (autoPlayers.length === 0) return;
+    
+    await Room.updateOne(
+      { _id: room._id, status: 'playing' },
+      { $addToSet: { 'cards.$[card].marked': ball } },
+      { arrayFilters: [{ 'card.userId': { $in: autoPlayers.map(player => player.userId) }, 'card.grid': ball }] }
+    );
+    
+    const updatedRoom = await Room.findById(room._id);
+    if (!updatedRoom || updatedRoom.status !== 'playing') return;
+    
+    for (const player of autoPlayers) {
+      const cards = getPlayerCards(updatedRoom, player.userId);
+      const daubedBoxes = cards.filter(card => card.grid.includes(ball)).map(card => card.box);
+      if (daubedBoxes.length > 0) {
+        emitToUser(player.userId, 'autoDaub', { room: updatedRoom.stake, ball: ball, boxes: daubedBoxes });
+      }
+      
+      if (!player.autoClaim || await isUserBanned(player)) continue;
+      
+      for (const card of cards) {
+        const marks = verifyMarkedNumbers(card.marked, card.grid, updatedRoom.calledNumbers);
+        if (!checkBingo(marks, card.grid, getRoomWinPatterns(updatedRoom), getRoomVariant(updatedRoom).patterns).isBingo) continue;
+        
+        const result = registerClaim(updatedRoom, player, card, []);
+        if (result.success && !result.duplicate) {
+          console.log(`🤖 Auto-claimed bingo for ${player.userName} on card ${card.box}`);
+          emitToUser(player.userId, 'autoClaimed', { room: updatedRoom.stake, box: card.box, ball: ball, winPatternName: result.winPatternName });
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Error auto-daubing ball ${ball} in room ${room.stake}:`, error);
+  }
+}
+
+// ========== ⭐⭐ FIXED COUNTDOWN FUNCTION - AUTO STARTS GAME ⭐⭐ ==========
+async function startCountdownForRoom(room) {
+  try {
+    console.log(`⏱️ STARTING COUNTDOWN for room ${room.stake} at ${new Date().toISOString()}`);
+    
+    // Stop any existing countdown first
+    const countdownKey = `countdown_${room.stake}`;
+    if (roomTimers.has(countdownKey)) {
+      clearInterval(roomTimers.get(countdownKey));
+      roomTimers.delete(countdownKey);
+    }
+    
+    // Update room status
+    room.status = 'starting';
+    room.countdownStartTime = new Date();
+    room.countdownStartedWith = room.players.length;
+    commitServerSeed(room);
+    await room.save();
+    
+    let countdown = getRoomCountdown(room);
+    const countdownInterval = setInterval(async () => {
+      try {
+        // Get fresh room data
+        const currentRoom = await Room.findById(room._id);
+        if (!currentRoom || currentRoom.status !== 'starting') {
+          console.log(`⏹️ Countdown stopped: Room ${room.stake} status changed to ${currentRoom?.status || 'deleted'}`);
+          clearInterval(countdownInterval);
+          roomTimers.delete(countdownKey);
+          return;
+        }
+        
+        // Get online players
+        const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
+        
+        // Send countdown to ALL players in room AND subscribed sockets
+        console.log(`⏱️ Room ${room.stake}: Countdown ${countdown}s, ${onlinePlayers.length} online players`);
         
         // Send to ALL players in the room AND subscribed sockets
         const socketsToSend = new Set();
@@ -964,7 +3246,8 @@ async function startCountdownForRoom(room) {
             socket.emit('gameCountdown', {
               room: room.stake,
               timer: countdown,
-              onlinePlayers: onlinePlayers.length
+              onlinePlayers: onlinePlayers.length,
+              serverSeedHash: currentRoom.serverSeedHash
             });
             socket.emit('lobbyUpdate', {
               room: room.stake,
@@ -1014,6 +3297,9 @@ async function startCountdownForRoom(room) {
             finalRoom.countdownStartedWith = 0;
             await finalRoom.save();
             
+            // Start the game timer IMMEDIATELY (locks the draw order before announcing it)
+            await startGameTimer(finalRoom);
+            
             // Notify ALL players in the room AND subscribed sockets
             const finalSocketsToSend = new Set();
             
@@ -1042,7 +3328,12 @@ async function startCountdownForRoom(room) {
               if (socket && socket.connected) {
                 socket.emit('gameStarted', { 
                   room: room.stake,
-                  players: finalOnlinePlayers.length
+                  players: finalOnlinePlayers.length,
+                  serverSeedHash: finalRoom.serverSeedHash,
+                  clientSeed: finalRoom.clientSeed,
+                  variant: describeVariant(finalRoom),
+                  patterns: describeWinPatterns(finalRoom.activePatterns, getRoomVariant(finalRoom).patterns),
+                  stages: describePrizeStages(finalRoom)
                 });
                 
                 // Send final countdown message
@@ -1054,9 +3345,6 @@ async function startCountdownForRoom(room) {
               }
             });
             
-            // Start the game timer IMMEDIATELY
-            await startGameTimer(finalRoom);
-            
             // Broadcast room status update
             broadcastRoomStatus();
             
@@ -1069,6 +3357,9 @@ async function startCountdownForRoom(room) {
             finalRoom.countdownStartedWith = 0;
             await finalRoom.save();
             
+            // A tournament game with nobody online is skipped; tickets carry over to the next one
+            await onTournamentGameOver(finalRoom, []);
+            
             // Notify players about reset
             const resetSocketsToSend = new Set();
             
@@ -1125,414 +3416,2685 @@ async function startCountdownForRoom(room) {
   }
 }
 
-// ========== IMPROVED SOCKET.IO EVENT HANDLERS ==========
-io.on('connection', (socket) => {
-  console.log(`✅ Socket.IO Connected: ${socket.id} - User: ${socket.handshake.query?.userId || 'Unknown'}`);
-  connectedSockets.add(socket.id);
+// ========== TOURNAMENTS ==========
+// A tournament is a scheduled series of games in its own hidden room (a private room
+// key with free cards, entrants only). The buy-ins are the prize pool: every game
+// scores points - win, each earlier stage as a line, four corners - and when the last
+// game ends the top places share the pool. The scheduler below opens each game and
+// hands it to startCountdownForRoom once the entrants have had time to pick a ticket.
+function validateTournamentSettings(data = {}) {
+  const name = String(data.name || '').trim().substring(0, 60);
+  const buyIn = Math.round(parseFloat(data.buyIn) * 100) / 100;
+  const gamesTotal = parseInt(data.gamesTotal);
+  const maxEntrants = parseInt(data.maxEntrants);
+  const startsAt = new Date(data.startsAt);
+  const gameGapSeconds = parseInt(data.gameGapSeconds) || CONFIG.TOURNAMENT_GAME_GAP_SECONDS;
+  const variant = data.variant || '75';
+  const prizeMode = variant === '90' ? 'staged' : (data.prizeMode || 'staged');
+  const points = { ...CONFIG.TOURNAMENT_POINTS };
+  Object.keys(points).forEach(key => {
+    if (data.points && data.points[key] !== undefined && data.points[key] !== '') {
+      points[key] = parseInt(data.points[key]);
+    }
+  });
+  const prizeShares = Array.isArray(data.prizeShares) && data.prizeShares.length > 0
+    ? data.prizeShares.map(share => parseFloat(share))
+    : CONFIG.TOURNAMENT_PRIZE_SHARES;
   
-  // Enhanced connection tracking - store userId on socket if available in query
-  const query = socket.handshake.query;
-  if (query.userId) {
-    console.log(`👤 User connected via query: ${query.userId}`);
-    socket.userId = query.userId;
+  if (!name) {
+    return { error: 'Tournament name is required' };
+  }
+  if (!Number.isFinite(buyIn) || buyIn < 0) {
+    return { error: 'Invalid buy-in' };
+  }
+  if (!Number.isInteger(gamesTotal) || gamesTotal < 1 || gamesTotal > CONFIG.TOURNAMENT_MAX_GAMES) {
+    return { error: `Number of games must be between 1 and ${CONFIG.TOURNAMENT_MAX_GAMES}` };
+  }
+  if (!Number.isInteger(maxEntrants) || maxEntrants < CONFIG.TOURNAMENT_MIN_ENTRANTS || maxEntrants > CONFIG.MAX_PLAYERS_PER_ROOM) {
+    return { error: `Max players must be between ${CONFIG.TOURNAMENT_MIN_ENTRANTS} and ${CONFIG.MAX_PLAYERS_PER_ROOM}` };
+  }
+  if (isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+    return { error: 'Start time must be in the future' };
+  }
+  if (gameGapSeconds < 15 || gameGapSeconds > 3600) {
+    return { error: 'Time between games must be between 15 seconds and an hour' };
+  }
+  if (!BINGO_VARIANTS[variant] || !['single', 'staged'].includes(prizeMode)) {
+    return { error: 'Unknown bingo variant or prize mode' };
+  }
+  if (Object.values(points).some(value => !Number.isInteger(value) || value < 0)) {
+    return { error: 'Points must be whole numbers of 0 or more' };
+  }
+  if (prizeShares.some(share => !Number.isFinite(share) || share <= 0) ||
+      Math.abs(prizeShares.reduce((total, share) => total + share, 0) - 100) > 0.001) {
+    return { error: 'Prize shares must be positive and add up to 100%' };
   }
   
-  // Send connection test immediately
-  socket.emit('connectionTest', { 
-    status: 'connected', 
-    serverTime: new Date().toISOString(),
-    socketId: socket.id,
-    server: 'Bingo Elite Telegram',
-    userId: query.userId || 'unknown'
-  });
+  return {
+    settings: { name, buyIn, gamesTotal, maxEntrants, startsAt, gameGapSeconds, variant, prizeMode, points, prizeShares }
+  };
+}
+
+// What the entrants share: all buy-ins less the house commission
+function getTournamentPrizePool(tournament) {
+  const buyIns = tournament.buyIn * tournament.entrants.length;
+  return Math.floor(buyIns * (100 - tournament.commissionPercent)) / 100;
+}
+
+// Points first, then wins, lines and four corners; whoever registered first stays ahead on a full tie
+function getTournamentStandings(tournament) {
+  return [...tournament.entrants]
+    .sort((a, b) => b.points - a.points || b.wins - a.wins || b.lines - a.lines ||
+      b.fourCorners - a.fourCorners || a.joinedAt - b.joinedAt)
+    .map(entrant => ({
+      userId: entrant.userId,
+      userName: entrant.userName,
+      points: entrant.points,
+      wins: entrant.wins,
+      lines: entrant.lines,
+      fourCorners: entrant.fourCorners,
+      gamesPlayed: entrant.gamesPlayed
+    }));
+}
+
+function isSameTournamentScore(a, b) {
+  return a.points === b.points && a.wins === b.wins && a.lines === b.lines && a.fourCorners === b.fourCorners;
+}
+
+// Splits the pool by place - players tied on score share the places they cover,
+// and nobody who scored nothing is paid. Rounding leftovers stay with the house.
+function getTournamentPayouts(tournament) {
+  const standings = getTournamentStandings(tournament).filter(entrant => entrant.points > 0);
+  const pool = tournament.prizePool;
+  const payouts = [];
   
-  // ========== ADMIN AUTHENTICATION ==========
-  socket.on('admin:auth', (password) => {
-    console.log(`🔐 Admin authentication attempt from socket ${socket.id}`);
+  let place = 0;
+  while (place < standings.length && place < tournament.prizeShares.length) {
+    let tiedUntil = place + 1;
+    while (tiedUntil < standings.length && isSameTournamentScore(standings[place], standings[tiedUntil])) {
+      tiedUntil++;
+    }
     
-    if (password === CONFIG.ADMIN_PASSWORD) {
-      adminSockets.add(socket.id);
-      socket.emit('admin:authSuccess');
-      updateAdminPanel();
-      
-      logActivity('ADMIN_LOGIN', { socketId: socket.id }, socket.id);
-      console.log(`✅ Admin authenticated: ${socket.id}`);
-    } else {
-      console.log(`❌ Admin auth failed for socket ${socket.id}`);
-      socket.emit('admin:authError', 'Invalid password');
+    const share = tournament.prizeShares.slice(place, tiedUntil).reduce((total, value) => total + value, 0);
+    const amount = Math.floor((pool * share / 100 / (tiedUntil - place)) * 100) / 100;
+    for (let i = place; i < tiedUntil; i++) {
+      payouts.push({ place: place + 1, userId: standings[i].userId, userName: standings[i].userName, points: standings[i].points, amount: amount });
     }
+    place = tiedUntil;
+  }
+  
+  return payouts;
+}
+
+// Lobby and standings view - `userId` marks whether that player is registered
+function describeTournament(tournament, userId = null) {
+  return {
+    id: tournament._id.toString(),
+    name: tournament.name,
+    buyIn: tournament.buyIn,
+    gamesTotal: tournament.gamesTotal,
+    gamesPlayed: tournament.gamesPlayed,
+    variant: tournament.variant,
+    prizeMode: tournament.prizeMode,
+    points: { win: tournament.points.win, line: tournament.points.line, fourCorners: tournament.points.fourCorners },
+    prizeShares: tournament.prizeShares,
+    prizePool: tournament.status === 'scheduled' ? getTournamentPrizePool(tournament) : tournament.prizePool,
+    maxEntrants: tournament.maxEntrants,
+    entrantCount: tournament.entrants.length,
+    startsAt: tournament.startsAt,
+    nextGameAt: tournament.nextGameAt,
+    status: tournament.status,
+    room: tournament.room,
+    registered: userId ? tournament.entrants.some(entrant => entrant.userId === userId) : false,
+    standings: getTournamentStandings(tournament),
+    payouts: tournament.payouts.map(payout => ({ place: payout.place, userId: payout.userId, userName: payout.userName, points: payout.points, amount: payout.amount })),
+    cancelReason: tournament.cancelReason
+  };
+}
+
+// Scheduled and running tournaments plus those that ended in the last day
+async function listTournaments() {
+  const since = new Date(Date.now() - 86400000);
+  return Tournament.find({
+    $or: [
+      { status: { $in: ['scheduled', 'running'] } },
+      { finishedAt: { $gte: since } }
+    ]
+  }).sort({ startsAt: 1 }).limit(50);
+}
+
+// Lobby list changed - clients re-request it with their own registration flags
+function broadcastTournamentsChanged() {
+  io.emit('tournamentsChanged');
+}
+
+function emitToTournament(tournament, event, data) {
+  tournament.entrants.forEach(entrant => emitToUser(entrant.userId, event, data));
+}
+
+async function createTournamentRoom(tournament) {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const key = CONFIG.PRIVATE_ROOM_KEY_BASE + crypto.randomInt(900000);
+    if (await Room.exists({ stake: key })) continue;
+    
+    // Host start rule with no host: only the scheduler starts its countdowns
+    const room = new Room({
+      stake: key,
+      variant: tournament.variant,
+      prizeMode: tournament.prizeMode,
+      players: [],
+      takenBoxes: [],
+      status: 'waiting',
+      lastBoxUpdate: new Date(),
+      isPrivate: true,
+      price: 0,
+      maxPlayers: tournament.maxEntrants,
+      startRule: 'host',
+      createdBy: 'tournament',
+      tournamentId: tournament._id
+    });
+    await room.save();
+    return room;
+  }
+  
+  throw new Error('Could not allocate a tournament room');
+}
+
+// Start time reached: lock the prize pool, open the room and give entrants time to pick tickets
+async function startTournament(tournament) {
+  const started = await Tournament.findOneAndUpdate(
+    { _id: tournament._id, status: 'scheduled' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { new: true }
+  );
+  if (!started) return;
+  
+  const room = await createTournamentRoom(started);
+  started.room = room.stake;
+  started.prizePool = getTournamentPrizePool(started);
+  started.nextGameAt = new Date(Date.now() + started.gameGapSeconds * 1000);
+  await started.save();
+  
+  console.log(`🏆 Tournament "${started.name}" started in room ${room.stake} with ${started.entrants.length} players, pool ${started.prizePool} ETB`);
+  
+  emitToTournament(started, 'tournament:gameScheduled', {
+    tournament: describeTournament(started),
+    game: 1,
+    startsAt: started.nextGameAt
   });
+  broadcastTournamentsChanged();
   
-  socket.on('admin:getData', () => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized - Please authenticate first');
-      return;
+  logActivity('TOURNAMENT_STARTED', { tournament: started.name, room: room.stake, entrants: started.entrants.length, prizePool: started.prizePool });
+}
+
+// Hands every buy-in back and closes the tournament (and its room if it had one). The status
+// flip and all refunds commit together, so a failed refund leaves the tournament open to cancel
+// again, and whoever cancels second finds it already over and refunds nothing.
+async function cancelTournament(tournament, reason, actor = null) {
+  let cancelled = null;
+  let refunds = new Map();
+  
+  await withWalletSession(async (session) => {
+    refunds = new Map();
+    cancelled = await Tournament.findOneAndUpdate(
+      { _id: tournament._id, status: { $in: ['scheduled', 'running'] } },
+      { $set: { status: 'cancelled', cancelReason: reason, finishedAt: new Date(), nextGameAt: null } },
+      { new: true, session }
+    );
+    if (!cancelled) return;
+    
+    if (cancelled.buyIn > 0) {
+      for (const entrant of cancelled.entrants) {
+        const user = await moveFunds(session, {
+          userId: entrant.userId,
+          amount: cancelled.buyIn,
+          type: 'REFUND',
+          description: `Tournament "${cancelled.name}" cancelled - buy-in refunded`
+        });
+        refunds.set(entrant.userId, user);
+      }
     }
-    updateAdminPanel();
+    
+    if (cancelled.room) {
+      await Room.updateOne({ stake: cancelled.room }, { $set: { status: 'ended', endTime: new Date() } }, { session });
+    }
+  });
+  if (!cancelled) return null;
+  
+  for (const [userId, user] of refunds) {
+    emitToUser(userId, 'balanceUpdate', user.balance);
+  }
+  
+  console.log(`🚫 Tournament "${cancelled.name}" cancelled: ${reason}`);
+  emitToTournament(cancelled, 'tournament:cancelled', { tournament: describeTournament(cancelled), reason: reason });
+  broadcastTournamentsChanged();
+  
+  logActivity('TOURNAMENT_CANCELLED', { tournament: cancelled.name, reason: reason, admin: actor, refunded: refunds.size }, null, {
+    before: { status: tournament.status, entrants: cancelled.entrants.length },
+    after: { status: 'cancelled', refundedEach: cancelled.buyIn, refundedPlayers: [...refunds.keys()] }
+  });
+  return cancelled;
+}
+
+// Adds points for the winners of a stage ('line') or of the game ('win') - never throws,
+// so a standings problem can't hold up the prize payout
+async function awardTournamentPoints(room, winners, kind) {
+  if (!room.tournamentId || winners.length === 0) return;
+  
+  try {
+    const tournament = await Tournament.findOne({ _id: room.tournamentId, status: 'running' });
+    if (!tournament) return;
+    
+    for (const winner of winners) {
+      const fourCorners = kind === 'win' && winner.isFourCornersWin;
+      const points = tournament.points[kind] + (fourCorners ? tournament.points.fourCorners : 0);
+      await Tournament.updateOne(
+        { _id: tournament._id, 'entrants.userId': winner.userId },
+        { $inc: {
+          'entrants.$.points': points,
+          'entrants.$.wins': kind === 'win' ? 1 : 0,
+          'entrants.$.lines': kind === 'line' ? 1 : 0,
+          'entrants.$.fourCorners': fourCorners ? 1 : 0
+        } }
+      );
+      console.log(`🏆 ${winner.userName} +${points} points in tournament "${tournament.name}"`);
+    }
+    
+    const updated = await Tournament.findById(tournament._id);
+    emitToTournament(updated, 'tournament:standings', describeTournament(updated));
+  } catch (error) {
+    console.error('❌ Error awarding tournament points:', error);
+  }
+}
+
+// Called once a tournament room's game is over and the room is reset, however it ended
+async function onTournamentGameOver(room, playersInRoom) {
+  if (!room.tournamentId) return;
+  
+  try {
+    const tournament = await Tournament.findOneAndUpdate(
+      { _id: room.tournamentId, status: 'running' },
+      { $inc: { gamesPlayed: 1, 'entrants.$[player].gamesPlayed': 1 } },
+      { new: true, arrayFilters: [{ 'player.userId': { $in: playersInRoom } }] }
+    );
+    if (!tournament) return;
+    
+    if (tournament.gamesPlayed >= tournament.gamesTotal) {
+      await finishTournament(tournament);
+      return;
+    }
+    
+    // A force-ended game closes the room - the series carries on in it
+    await Room.updateOne({ _id: room._id, status: 'ended' }, { $set: { status: 'waiting', endTime: new Date() } });
+    tournament.nextGameAt = new Date(Date.now() + tournament.gameGapSeconds * 1000);
+    await tournament.save();
+    
+    emitToTournament(tournament, 'tournament:gameScheduled', {
+      tournament: describeTournament(tournament),
+      game: tournament.gamesPlayed + 1,
+      startsAt: tournament.nextGameAt
+    });
+    broadcastTournamentsChanged();
+  } catch (error) {
+    console.error('❌ Error moving tournament to its next game:', error);
+  }
+}
+
+// Pays the top places, keeps the rest as commission and closes the room
+async function finishTournament(tournament) {
+  const payouts = getTournamentPayouts(tournament);
+  const buyIns = Math.round(tournament.buyIn * tournament.entrants.length * 100) / 100;
+  
+  // Nobody scored - the buy-ins go back as if it never happened
+  if (payouts.length === 0) {
+    await cancelTournament(tournament, 'No player scored any points');
+    return;
+  }
+  
+  const paid = Math.round(payouts.reduce((total, payout) => total + payout.amount, 0) * 100) / 100;
+  await withWalletSession(async (session) => {
+    for (const payout of payouts) {
+      await moveFunds(session, {
+        userId: payout.userId,
+        amount: payout.amount,
+        type: 'TOURNAMENT_PRIZE',
+        room: tournament.room,
+        description: `Place ${payout.place} in tournament "${tournament.name}" with ${payout.points} points`,
+        inc: { totalWins: 1 }
+      });
+    }
+    
+    await recordLedgerEntry(session, {
+      type: 'HOUSE_EARNINGS',
+      userId: 'HOUSE',
+      userName: 'House',
+      amount: Math.round((buyIns - paid) * 100) / 100,
+      room: tournament.room,
+      description: `Commission from tournament "${tournament.name}" (${tournament.entrants.length} buy-ins of ${tournament.buyIn} ETB)`
+    });
+    
+    await Tournament.updateOne(
+      { _id: tournament._id },
+      { $set: { status: 'finished', payouts: payouts, finishedAt: new Date(), nextGameAt: null } },
+      { session }
+    );
+  });
+  
+  await Room.updateOne({ stake: tournament.room }, { $set: { status: 'ended', endTime: new Date() } });
+  
+  const finished = await Tournament.findById(tournament._id);
+  console.log(`🏁 Tournament "${finished.name}" finished - paid ${paid} ETB to ${payouts.length} player(s)`);
+  
+  for (const payout of payouts) {
+    const user = await User.findOne({ userId: payout.userId });
+    if (user) emitToUser(payout.userId, 'balanceUpdate', user.balance);
+  }
+  emitToTournament(finished, 'tournament:finished', describeTournament(finished));
+  broadcastTournamentsChanged();
+  updateAdminPanel();
+  
+  logActivity('TOURNAMENT_FINISHED', {
+    tournament: finished.name,
+    games: finished.gamesPlayed,
+    prizePool: finished.prizePool,
+    payouts: payouts
+  });
+}
+
+// Starts tournaments whose time has come and counts down each game that is due.
+// A game nobody picked a ticket for is skipped so the series can't stall.
+async function runTournamentScheduler() {
+  try {
+    const now = new Date();
+    
+    const due = await Tournament.find({ status: 'scheduled', startsAt: { $lte: now } });
+    for (const tournament of due) {
+      if (tournament.entrants.length < CONFIG.TOURNAMENT_MIN_ENTRANTS) {
+        await cancelTournament(tournament, `Fewer than ${CONFIG.TOURNAMENT_MIN_ENTRANTS} players registered`);
+      } else {
+        await startTournament(tournament);
+      }
+    }
+    
+    const ready = await Tournament.find({ status: 'running', nextGameAt: { $lte: now } });
+    for (const tournament of ready) {
+      const room = await Room.findOne({ stake: tournament.room });
+      if (!room || room.status !== 'waiting') continue;
+      
+      // Claim this game so an overlapping run can't start it twice
+      const claimed = await Tournament.updateOne(
+        { _id: tournament._id, nextGameAt: tournament.nextGameAt },
+        { $set: { nextGameAt: null } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+      
+      if (room.cards.length === 0) {
+        console.log(`⏭️ Tournament "${tournament.name}" game ${tournament.gamesPlayed + 1} skipped - no tickets`);
+        await onTournamentGameOver(room, []);
+        continue;
+      }
+      
+      console.log(`🏆 Tournament "${tournament.name}" game ${tournament.gamesPlayed + 1} of ${tournament.gamesTotal} starting`);
+      await startCountdownForRoom(room);
+    }
+  } catch (error) {
+    console.error('❌ Error in tournament scheduler:', error);
+  }
+}
+
+// ========== WITHDRAWALS ==========
+// Creating a request moves the amount from the balance to heldBalance, so it can't
+// be played while the request waits. Approving only marks it ready for a cashier;
+// marking it paid clears the hold, rejecting or cancelling puts it back on the balance.
+const WITHDRAWAL_STATUS_TEXT = {
+  pending: '⏳ Waiting for review',
+  approved: '✅ Approved - payment on its way',
+  rejected: '❌ Rejected',
+  paid: '💸 Paid',
+  cancelled: '↩️ Cancelled'
+};
+
+// Short reference players and cashiers can quote
+function getWithdrawalRef(request) {
+  return request._id.toString().slice(-6).toUpperCase();
+}
+
+function validateWithdrawalRequest(user, data = {}) {
+  const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+  const method = String(data.method || '');
+  const account = String(data.account || '').trim().substring(0, 60);
+  
+  if (!Number.isFinite(amount) || amount < CONFIG.WITHDRAWAL_MIN || amount > CONFIG.WITHDRAWAL_MAX) {
+    return { error: `Withdrawals must be between ${CONFIG.WITHDRAWAL_MIN} and ${CONFIG.WITHDRAWAL_MAX} ETB` };
+  }
+  if (amount > user.balance) {
+    return { error: `Your balance is only ${user.balance.toFixed(2)} ETB` };
+  }
+  if (!CONFIG.WITHDRAWAL_METHODS[method]) {
+    return { error: 'Choose how you want to be paid' };
+  }
+  if (account.length < 4) {
+    return { error: 'Enter the phone or account number to pay to' };
+  }
+  
+  return { request: { amount, method, account } };
+}
+
+function describeWithdrawal(request) {
+  return {
+    id: request._id.toString(),
+    ref: getWithdrawalRef(request),
+    userId: request.userId,
+    userName: request.userName,
+    amount: request.amount,
+    method: request.method,
+    methodName: CONFIG.WITHDRAWAL_METHODS[request.method] || request.method,
+    account: request.account,
+    status: request.status,
+    statusText: WITHDRAWAL_STATUS_TEXT[request.status],
+    source: request.source,
+    reviewedBy: request.reviewedBy,
+    reviewedAt: request.reviewedAt,
+    rejectReason: request.rejectReason,
+    paidBy: request.paidBy,
+    paidAt: request.paidAt,
+    payoutReference: request.payoutReference,
+    createdAt: request.createdAt
+  };
+}
+
+// Holds the amount and stores the request in one transaction.
+// Resolves to { request, user }; throws a walletError the caller can show to the player.
+async function createWithdrawalRequest(user, data, source) {
+  const { request: details, error } = validateWithdrawalRequest(user, data);
+  if (error) {
+    throw walletError('INVALID_WITHDRAWAL', error);
+  }
+  
+  return withWalletSession(async (session) => {
+    const open = await WithdrawalRequest.countDocuments({ userId: user.userId, status: { $in: ['pending', 'approved'] } }).session(session);
+    if (open >= CONFIG.WITHDRAWAL_MAX_OPEN) {
+      throw walletError('WITHDRAWAL_OPEN', 'You already have a withdrawal waiting - wait until it is paid or cancel it');
+    }
+    
+    const [request] = await WithdrawalRequest.create([{
+      userId: user.userId,
+      userName: user.userName,
+      telegramId: user.telegramId || null,
+      amount: details.amount,
+      method: details.method,
+      account: details.account,
+      source: source
+    }], { session });
+    
+    const updatedUser = await moveFunds(session, {
+      userId: user.userId,
+      amount: -details.amount,
+      type: 'WITHDRAWAL_HOLD',
+      description: `Withdrawal #${getWithdrawalRef(request)} to ${CONFIG.WITHDRAWAL_METHODS[details.method]} ${details.account} - held for review`,
+      inc: { heldBalance: details.amount }
+    });
+    
+    return { request, user: updatedUser };
+  });
+}
+
+// Moves a request on from one of `fromStatuses` together with its ledger entry.
+// settle: 'refund' puts the held amount back on the balance, 'paid' clears the hold as sent.
+// Resolves to the updated request, or null if someone else already moved it on.
+// Pass `session` to make it part of a transaction the caller already has open.
+async function changeWithdrawalStatus(id, fromStatuses, changes, { type, description, settle = null, admin = true }, session = null) {
+  const work = async (session) => {
+    const request = await WithdrawalRequest.findOneAndUpdate(
+      { _id: id, status: { $in: fromStatuses } },
+      { $set: changes },
+      { new: true, session }
+    );
+    if (!request) return null;
+    
+    const text = `Withdrawal #${getWithdrawalRef(request)} - ${description}`;
+    if (settle === 'refund') {
+      await moveFunds(session, {
+        userId: request.userId,
+        amount: request.amount,
+        type: type,
+        admin: admin,
+        description: text,
+        inc: { heldBalance: -request.amount }
+      });
+      return request;
+    }
+    
+    if (settle === 'paid') {
+      await User.updateOne({ userId: request.userId }, { $inc: { heldBalance: -request.amount } }, { session });
+    }
+    // The balance already went down when the amount was held - this entry records the step
+    await recordLedgerEntry(session, {
+      type: type,
+      userId: request.userId,
+      userName: request.userName,
+      amount: 0,
+      admin: admin,
+      description: `${text} (${request.amount.toFixed(2)} ETB)`
+    });
+    return request;
+  };
+  
+  return session ? work(session) : withWalletSession(work);
+}
+
+// Tells the player in the mini app and, when they have one, in their Telegram chat
+async function notifyWithdrawalStatus(request) {
+  const user = await User.findOne({ userId: request.userId });
+  if (user) {
+    emitToUser(request.userId, 'balanceUpdate', user.balance);
+  }
+  emitToUser(request.userId, 'withdrawal:updated', describeWithdrawal(request));
+  
+  const telegramId = request.telegramId || user?.telegramId;
+  if (!telegramId) return;
+  
+  const lines = [
+    `💸 WITHDRAWAL #${getWithdrawalRef(request)}`,
+    '',
+    `Amount: ${request.amount.toFixed(2)} ETB`,
+    `To: ${CONFIG.WITHDRAWAL_METHODS[request.method] || request.method} ${request.account}`,
+    `Status: ${WITHDRAWAL_STATUS_TEXT[request.status]}`
+  ];
+  if (request.status === 'rejected') {
+    lines.push(`Reason: ${request.rejectReason || 'not given'}`, `The ${request.amount.toFixed(2)} ETB is back on your balance.`);
+  }
+  if (request.status === 'cancelled') {
+    lines.push(`The ${request.amount.toFixed(2)} ETB is back on your balance.`);
+  }
+  if (request.status === 'paid' && request.payoutReference) {
+    lines.push(`Payment reference: ${request.payoutReference}`);
+  }
+  if (user) {
+    lines.push('', `Balance: ${user.balance.toFixed(2)} ETB`);
+  }
+  
+  await sendTelegramMessage(telegramId, lines.join('\n'));
+}
+
+async function listWithdrawalsForAdmin() {
+  const open = await WithdrawalRequest.find({ status: { $in: ['pending', 'approved'] } }).sort({ createdAt: 1 });
+  const recent = await WithdrawalRequest.find({ status: { $in: ['rejected', 'paid', 'cancelled'] } }).sort({ createdAt: -1 }).limit(50);
+  
+  // Latest provider payout per approved request, so the queue shows one in flight or failed
+  const payouts = await Payment.find({ kind: 'payout', withdrawalId: { $in: open.map(request => request._id) } }).sort({ createdAt: 1 });
+  const latestPayout = new Map(payouts.map(payment => [payment.withdrawalId.toString(), payment]));
+  
+  return [...open, ...recent].map(request => {
+    const payout = latestPayout.get(request._id.toString());
+    return {
+      ...describeWithdrawal(request),
+      payout: payout ? { status: payout.status, provider: payout.provider, failureReason: payout.failureReason } : null
+    };
+  });
+}
+
+// ========== DEPOSITS ==========
+// Players pay outside the app, then send the amount, the payment reference and a
+// receipt photo through the bot. Nothing is credited until a cashier verifies it.
+const DEPOSIT_STATUS_TEXT = {
+  pending: '⏳ Waiting for a cashier to check your receipt',
+  verified: '✅ Verified - added to your balance',
+  rejected: '❌ Rejected'
+};
+
+function getDepositRef(request) {
+  return request._id.toString().slice(-6).toUpperCase();
+}
+
+// Payment references are compared without spaces or case, so one payment can't be claimed twice
+function normalizePaymentReference(reference) {
+  return String(reference || '').replace(/\s+/g, '').toUpperCase().substring(0, 60);
+}
+
+function parseDepositAmount(text) {
+  const amount = Math.round(parseFloat(String(text).replace(/,/g, '')) * 100) / 100;
+  if (!Number.isFinite(amount) || amount < CONFIG.DEPOSIT_MIN || amount > CONFIG.DEPOSIT_MAX) {
+    return { error: `Deposits must be between ${CONFIG.DEPOSIT_MIN} and ${CONFIG.DEPOSIT_MAX} ETB` };
+  }
+  return { amount };
+}
+
+function describeDeposit(request) {
+  return {
+    id: request._id.toString(),
+    ref: getDepositRef(request),
+    userId: request.userId,
+    userName: request.userName,
+    amount: request.amount,
+    reference: request.reference,
+    status: request.status,
+    statusText: DEPOSIT_STATUS_TEXT[request.status],
+    reviewedBy: request.reviewedBy,
+    reviewedAt: request.reviewedAt,
+    rejectReason: request.rejectReason,
+    createdAt: request.createdAt
+  };
+}
+
+async function listDepositsForAdmin() {
+  const pending = await DepositRequest.find({ status: 'pending' }).sort({ createdAt: 1 });
+  const recent = await DepositRequest.find({ status: { $ne: 'pending' } }).sort({ reviewedAt: -1 }).limit(50);
+  return [...pending, ...recent].map(describeDeposit);
+}
+
+async function notifyDepositStatus(request, user) {
+  if (request.status === 'verified' && user) {
+    emitToUser(request.userId, 'balanceUpdate', user.balance);
+    emitToUser(request.userId, 'fundsAdded', { amount: request.amount, newBalance: user.balance, reason: 'deposit' });
+  }
+  
+  const lines = [
+    `💰 DEPOSIT #${getDepositRef(request)}`,
+    '',
+    `Amount: ${request.amount.toFixed(2)} ETB`,
+    `Reference: ${request.reference}`,
+    `Status: ${DEPOSIT_STATUS_TEXT[request.status]}`
+  ];
+  if (request.status === 'rejected') {
+    lines.push(`Reason: ${request.rejectReason || 'not given'}`, '', 'Contact @ethio_games1_admin if you think this is a mistake.');
+  }
+  if (request.status === 'verified' && user) {
+    lines.push('', `Balance: ${user.balance.toFixed(2)} ETB`);
+  }
+  
+  await sendTelegramMessage(request.telegramId, lines.join('\n'));
+}
+
+// Fetches a file the bot received - resolves to { buffer, contentType }
+async function downloadTelegramFile(fileId) {
+  const info = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/getFile?file_id=${encodeURIComponent(fileId)}`).then(response => response.json());
+  if (!info.ok) {
+    throw new Error(info.description || 'File not found on Telegram');
+  }
+  
+  const response = await fetch(`https://api.telegram.org/file/bot${TELEGRAM_TOKEN}/${info.result.file_path}`);
+  if (!response.ok) {
+    throw new Error(`Telegram file download failed (${response.status})`);
+  }
+  
+  const extension = path.extname(info.result.file_path).toLowerCase();
+  const contentTypes = { '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: contentTypes[extension] || 'image/jpeg'
+  };
+}
+
+// ========== TRANSFERS ==========
+// A transfer debits the sender (TRANSFER_OUT, plus TRANSFER_FEE when a fee is set) and
+// credits the receiver (TRANSFER_IN) in one transaction. Both entries carry the same
+// TRF- reference in their description so the pair can be found in the ledger.
+
+// Finds the receiver by @username, user ID (tg_123 or 123) or referral code
+async function findTransferRecipient(query) {
+  const text = String(query || '').trim().replace(/^@/, '');
+  if (!text || text.length > 40) return null;
+  
+  const byId = await User.findOne({ userId: /^\d+$/.test(text) ? `tg_${text}` : text });
+  if (byId) return byId;
+  
+  if (/^[A-Za-z0-9_]{4,32}$/.test(text)) {
+    const byUsername = await User.findOne({ telegramUsername: new RegExp(`^${text}$`, 'i') });
+    if (byUsername) return byUsername;
+  }
+  
+  return User.findOne({ referralCode: text.toUpperCase() });
+}
+
+function getTransferFee(amount) {
+  return Math.round(amount * CONFIG.TRANSFER_FEE_PERCENT) / 100;
+}
+
+function validateTransfer(sender, recipient, amountInput) {
+  const amount = Math.round(parseFloat(amountInput) * 100) / 100;
+  
+  if (!recipient) {
+    return { error: 'No player found with that username, ID or referral code' };
+  }
+  if (recipient.userId === sender.userId) {
+    return { error: 'You cannot send money to yourself' };
+  }
+  if (!Number.isFinite(amount) || amount < CONFIG.TRANSFER_MIN || amount > CONFIG.TRANSFER_MAX) {
+    return { error: `Transfers must be between ${CONFIG.TRANSFER_MIN} and ${CONFIG.TRANSFER_MAX} ETB` };
+  }
+  
+  const fee = getTransferFee(amount);
+  const total = Math.round((amount + fee) * 100) / 100;
+  if (total > sender.balance) {
+    return { error: `Your balance is only ${sender.balance.toFixed(2)} ETB${fee > 0 ? ` (the ${fee.toFixed(2)} ETB fee is added to the amount)` : ''}` };
+  }
+  
+  return { transfer: { amount, fee, total } };
+}
+
+// What the sender sees before confirming - the receiver's ID is partly hidden
+function describeTransferPreview(recipient, transfer) {
+  return {
+    recipientName: recipient.userName,
+    recipientId: recipient.userId.replace(/\d(?=\d{3})/g, '•'),
+    amount: transfer.amount,
+    fee: transfer.fee,
+    total: transfer.total
+  };
+}
+
+// Sent in the last 24 hours. Read inside the transfer's own transaction: the sender's
+// balance write makes concurrent transfers conflict and retry, so the limit holds.
+async function getRecentTransfers(userId, session) {
+  const [result] = await Transaction.aggregate([
+    { $match: { userId: userId, type: 'TRANSFER_OUT', createdAt: { $gte: new Date(Date.now() - 86400000) } } },
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).session(session);
+  return { total: result ? -result.total : 0, count: result ? result.count : 0 };
+}
+
+// Resolves to { reference, transfer, sender, recipient }; throws a walletError the caller can show
+async function transferFunds(sender, recipient, amountInput, source) {
+  const { transfer, error } = validateTransfer(sender, recipient, amountInput);
+  if (error) {
+    throw walletError('INVALID_TRANSFER', error);
+  }
+  if (await isUserBanned(recipient)) {
+    throw walletError('INVALID_TRANSFER', 'This player cannot receive transfers right now');
+  }
+  
+  const reference = `TRF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  const result = await withWalletSession(async (session) => {
+    const recent = await getRecentTransfers(sender.userId, session);
+    if (recent.count >= CONFIG.TRANSFER_DAILY_COUNT) {
+      throw walletError('TRANSFER_LIMIT', `You can send at most ${CONFIG.TRANSFER_DAILY_COUNT} transfers in 24 hours`);
+    }
+    if (recent.total + transfer.amount > CONFIG.TRANSFER_DAILY_LIMIT) {
+      const left = Math.max(0, CONFIG.TRANSFER_DAILY_LIMIT - recent.total);
+      throw walletError('TRANSFER_LIMIT', `You can send ${CONFIG.TRANSFER_DAILY_LIMIT} ETB in 24 hours - ${left.toFixed(2)} ETB left`);
+    }
+    
+    let updatedSender = await moveFunds(session, {
+      userId: sender.userId,
+      amount: -transfer.amount,
+      type: 'TRANSFER_OUT',
+      description: `${reference} to ${recipient.userName} (${recipient.userId}) via ${source}`
+    });
+    if (transfer.fee > 0) {
+      updatedSender = await moveFunds(session, {
+        userId: sender.userId,
+        amount: -transfer.fee,
+        type: 'TRANSFER_FEE',
+        description: `${reference} fee (${CONFIG.TRANSFER_FEE_PERCENT}%)`
+      });
+      await recordLedgerEntry(session, {
+        type: 'HOUSE_EARNINGS',
+        userId: 'HOUSE',
+        userName: 'House',
+        amount: transfer.fee,
+        description: `Transfer fee ${reference} from ${sender.userName}`
+      });
+    }
+    const updatedRecipient = await moveFunds(session, {
+      userId: recipient.userId,
+      amount: transfer.amount,
+      type: 'TRANSFER_IN',
+      description: `${reference} from ${sender.userName} (${sender.userId})`
+    });
+    
+    return { sender: updatedSender, recipient: updatedRecipient };
+  });
+  
+  return { reference, transfer, ...result };
+}
+
+// Balance pushes for both sides and a message to the receiver
+async function notifyTransfer({ reference, transfer, sender, recipient }) {
+  emitToUser(sender.userId, 'balanceUpdate', sender.balance);
+  emitToUser(recipient.userId, 'balanceUpdate', recipient.balance);
+  emitToUser(recipient.userId, 'transferReceived', {
+    reference: reference,
+    amount: transfer.amount,
+    fromName: sender.userName,
+    newBalance: recipient.balance
+  });
+  
+  if (recipient.telegramId) {
+    await sendTelegramMessage(recipient.telegramId,
+      `🔀 TRANSFER RECEIVED\n\n` +
+      `${sender.userName} sent you ${transfer.amount.toFixed(2)} ETB.\n` +
+      `Reference: ${reference}\n` +
+      `Balance: ${recipient.balance.toFixed(2)} ETB`
+    );
+  }
+  
+  console.log(`🔀 ${sender.userName} sent ${transfer.amount} ETB to ${recipient.userName} (${reference}${transfer.fee > 0 ? `, fee ${transfer.fee}` : ''})`);
+  logActivity('TRANSFER', {
+    userId: sender.userId,
+    userName: sender.userName,
+    recipientId: recipient.userId,
+    recipientName: recipient.userName,
+    amount: transfer.amount,
+    fee: transfer.fee,
+    reference: reference
+  });
+  updateAdminPanel();
+}
+
+// ========== REFERRALS ==========
+// t.me/<bot>?start=<referralCode> opens the bot with "/start <code>". A new account
+// records who referred it; the referrer is paid CONFIG.REFERRAL_REWARD once, the first
+// time that account deposits or plays (CONFIG.REFERRAL_REWARD_TRIGGER).
+function getReferralLink(user) {
+  return `https://t.me/${CONFIG.BOT_USERNAME}?start=${user.referralCode}`;
+}
+
+// Links `user` to the owner of `code`. Resolves to { referrer } or { error }.
+async function recordReferral(user, code) {
+  const referralCode = String(code || '').trim().replace(/^ref_/i, '').toUpperCase();
+  const referrer = referralCode ? await User.findOne({ referralCode: referralCode }) : null;
+  
+  if (!referrer) {
+    return { error: 'Unknown referral code' };
+  }
+  if (referrer.userId === user.userId || (referrer.telegramId && referrer.telegramId === user.telegramId)) {
+    return { error: 'You cannot use your own referral link' };
+  }
+  if (referrer.referredBy === user.userId) {
+    return { error: 'You referred this player yourself' };
+  }
+  if (user.referredBy) {
+    return { error: 'You were already referred by another player' };
+  }
+  const accountAge = Date.now() - new Date(user.joinedAt).getTime();
+  if (user.totalWagered > 0 || accountAge > CONFIG.REFERRAL_JOIN_WINDOW_HOURS * 3600000) {
+    return { error: 'Referral links only work for new players' };
+  }
+  
+  const updated = await User.findOneAndUpdate(
+    { userId: user.userId, referredBy: null },
+    { $set: { referredBy: referrer.userId, referredAt: new Date() } },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'You were already referred by another player' };
+  }
+  
+  console.log(`🎁 ${user.userName} joined with ${referrer.userName}'s referral link`);
+  logActivity('REFERRAL', { userId: user.userId, userName: user.userName, referrerId: referrer.userId, referrerName: referrer.userName });
+  if (referrer.telegramId && CONFIG.REFERRAL_REWARD > 0) {
+    await sendTelegramMessage(referrer.telegramId,
+      `🎁 ${user.userName} joined with your referral link!\n\n` +
+      `You get ${CONFIG.REFERRAL_REWARD.toFixed(2)} ETB when they make their first ${CONFIG.REFERRAL_REWARD_TRIGGER === 'deposit' ? 'deposit' : 'game'}.`
+    );
+  }
+  return { referrer };
+}
+
+// Called after a credited deposit or a bought card - never throws, so it can't break the caller.
+// The referred player's flag is flipped in the same transaction as the payment, so it pays once.
+async function awardReferralReward(userId, trigger) {
+  if (CONFIG.REFERRAL_REWARD <= 0 || trigger !== CONFIG.REFERRAL_REWARD_TRIGGER) return;
+  
+  try {
+    let referred = null;
+    let referrer = null;
+    await withWalletSession(async (session) => {
+      referred = await User.findOneAndUpdate(
+        { userId: userId, referredBy: { $ne: null }, referralRewarded: false },
+        { $set: { referralRewarded: true } },
+        { new: true, session }
+      );
+      if (!referred) return;
+      
+      const owner = await User.findOne({ userId: referred.referredBy }).session(session);
+      // The flag stays set - a referrer who is banned right now forfeits this reward
+      if (!owner || (owner.isBanned && (!owner.banExpiresAt || owner.banExpiresAt > new Date()))) return;
+      
+      referrer = await moveFunds(session, {
+        userId: owner.userId,
+        amount: CONFIG.REFERRAL_REWARD,
+        type: 'REFERRAL_BONUS',
+        description: `Referral bonus: ${referred.userName} made their first ${trigger === 'deposit' ? 'deposit' : 'game'}`
+      });
+    });
+    if (!referrer) return;
+    
+    console.log(`🎁 ${referrer.userName} earned ${CONFIG.REFERRAL_REWARD} ETB for referring ${referred.userName}`);
+    emitToUser(referrer.userId, 'balanceUpdate', referrer.balance);
+    emitToUser(referrer.userId, 'referralReward', { amount: CONFIG.REFERRAL_REWARD, referredName: referred.userName, newBalance: referrer.balance });
+    if (referrer.telegramId) {
+      await sendTelegramMessage(referrer.telegramId,
+        `🎁 REFERRAL BONUS\n\n` +
+        `${referred.userName} made their first ${trigger === 'deposit' ? 'deposit' : 'game'} - ${CONFIG.REFERRAL_REWARD.toFixed(2)} ETB was added to your balance.\n` +
+        `Balance: ${referrer.balance.toFixed(2)} ETB`
+      );
+    }
+    logActivity('REFERRAL_REWARD', { userId: referrer.userId, userName: referrer.userName, referredId: referred.userId, referredName: referred.userName, amount: CONFIG.REFERRAL_REWARD, trigger: trigger });
+  } catch (error) {
+    console.error(`❌ Error paying the referral reward for ${userId}:`, error.message);
+  }
+}
+
+// "My referrals" for the bot and the mini app wallet
+async function getReferralSummary(user) {
+  const referrals = await User.find({ referredBy: user.userId }).sort({ referredAt: -1 }).limit(50);
+  const [earned] = await Transaction.aggregate([
+    { $match: { userId: user.userId, type: 'REFERRAL_BONUS' } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  
+  return {
+    code: user.referralCode,
+    link: getReferralLink(user),
+    reward: CONFIG.REFERRAL_REWARD,
+    trigger: CONFIG.REFERRAL_REWARD_TRIGGER,
+    count: await User.countDocuments({ referredBy: user.userId }),
+    rewardedCount: await User.countDocuments({ referredBy: user.userId, referralRewarded: true }),
+    earned: earned ? earned.total : 0,
+    referrals: referrals.map(referral => ({
+      userName: referral.userName,
+      joinedAt: referral.referredAt || referral.joinedAt,
+      rewarded: referral.referralRewarded
+    }))
+  };
+}
+
+// ========== PAYMENT PROVIDERS ==========
+// A provider adapter is a plain object:
+//   name - key used in CONFIG.PAYMENT_PROVIDER and in /payments/callback/<name>
+//   createCheckout({ reference, amount, description, callbackUrl, returnUrl })
+//     -> { checkoutUrl, providerReference } - the page where the player approves the payment
+//   verifyCallback(req)
+//     -> { valid, reason, reference, providerReference, status: 'completed' | 'failed', amount, failureReason }
+//        must check the gateway's signature over req.rawBody before anything in it is trusted
+//   initiatePayout({ reference, amount, method, account, callbackUrl })
+//     -> { providerReference, status: 'pending' | 'completed' | 'failed', failureReason }
+// Amounts are ETB. Mobile-money gateways confirm both directions asynchronously, so only
+// a verified callback moves money - never the checkout or payout call itself.
+
+// Local stand-in: its checkout page and payouts post signed callbacks back to this server
+function createMockPaymentProvider() {
+  const sign = (body) => crypto.createHmac('sha256', CONFIG.PAYMENT_MOCK_SECRET).update(body).digest('hex');
+  
+  async function sendCallback(payload) {
+    const body = JSON.stringify(payload);
+    const response = await fetch(`http://127.0.0.1:${PORT}/payments/callback/mock`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Mock-Signature': sign(body) },
+      body: body
+    });
+    return response.json();
+  }
+  
+  return {
+    name: 'mock',
+    sendCallback: sendCallback,
+    
+    async createCheckout({ reference }) {
+      return {
+        providerReference: `MOCK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        checkoutUrl: `${CONFIG.PUBLIC_URL}/payments/mock/checkout/${reference}`
+      };
+    },
+    
+    verifyCallback(req) {
+      const signature = String(req.get('X-Mock-Signature') || '');
+      const expected = sign(req.rawBody || '');
+      if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return { valid: false, reason: 'Bad signature' };
+      }
+      
+      const { reference, providerReference, status, amount, failureReason } = req.body || {};
+      return {
+        valid: true,
+        reference: String(reference || ''),
+        providerReference: String(providerReference || ''),
+        status: status === 'completed' ? 'completed' : 'failed',
+        amount: Number(amount),
+        failureReason: failureReason || null
+      };
+    },
+    
+    // Pays out a moment later, or fails for accounts ending in 0 so the failure path can be tried
+    async initiatePayout({ reference, amount, account }) {
+      const providerReference = `MOCKPAY-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+      const fails = /0$/.test(account);
+      setTimeout(() => {
+        sendCallback({
+          reference: reference,
+          providerReference: providerReference,
+          status: fails ? 'failed' : 'completed',
+          amount: amount,
+          failureReason: fails ? 'Mock payout declined (account ends in 0)' : null
+        }).catch(error => console.error('❌ Mock payout callback failed:', error.message));
+      }, 2000);
+      return { providerReference: providerReference, status: 'pending' };
+    }
+  };
+}
+
+// Anyone who knows the mock's signing secret can credit deposits, so there is no default one
+const PAYMENT_PROVIDERS = {};
+if (CONFIG.PAYMENT_MOCK_SECRET) {
+  PAYMENT_PROVIDERS.mock = createMockPaymentProvider();
+}
+
+function getPaymentProvider() {
+  return PAYMENT_PROVIDERS[CONFIG.PAYMENT_PROVIDER] || null;
+}
+
+function getPaymentCallbackUrl(provider) {
+  return `${CONFIG.PUBLIC_URL}/payments/callback/${provider.name}`;
+}
+
+// Starts a mini app top-up - resolves to the Payment with its checkoutUrl
+async function createTopUpCheckout(user, amountInput) {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    throw walletError('PAYMENTS_DISABLED', 'Online top-ups are not available - use Deposit in the bot');
+  }
+  const { amount, error } = parseDepositAmount(amountInput);
+  if (error) {
+    throw walletError(WALLET_ERRORS.INVALID_AMOUNT, error);
+  }
+  
+  const payment = await Payment.create({
+    kind: 'deposit',
+    provider: provider.name,
+    reference: `TOP-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+    userId: user.userId,
+    userName: user.userName,
+    amount: amount
+  });
+  
+  const checkout = await provider.createCheckout({
+    reference: payment.reference,
+    amount: amount,
+    description: `Bingo Elite top-up for ${user.userName}`,
+    callbackUrl: getPaymentCallbackUrl(provider),
+    returnUrl: `${CONFIG.PUBLIC_URL}/telegram`
+  });
+  
+  payment.providerReference = checkout.providerReference || null;
+  payment.checkoutUrl = checkout.checkoutUrl;
+  payment.status = 'pending';
+  await payment.save();
+  return payment;
+}
+
+// Sends an approved withdrawal through the provider - the callback marks it paid
+async function startProviderPayout(request) {
+  const provider = getPaymentProvider();
+  if (!provider) {
+    throw walletError('PAYMENTS_DISABLED', 'No payment provider is configured');
+  }
+  if (await Payment.exists({ kind: 'payout', withdrawalId: request._id, status: { $in: ['created', 'pending', 'completed'] } })) {
+    throw walletError('PAYOUT_IN_PROGRESS', 'A payout for this withdrawal is already in progress');
+  }
+  
+  const payment = await Payment.create({
+    kind: 'payout',
+    provider: provider.name,
+    reference: `PAY-${crypto.randomBytes(8).toString('hex').toUpperCase()}`,
+    userId: request.userId,
+    userName: request.userName,
+    amount: request.amount,
+    account: request.account,
+    withdrawalId: request._id
+  });
+  
+  let result;
+  try {
+    result = await provider.initiatePayout({
+      reference: payment.reference,
+      amount: request.amount,
+      method: request.method,
+      account: request.account,
+      callbackUrl: getPaymentCallbackUrl(provider)
+    });
+  } catch (error) {
+    payment.status = 'failed';
+    payment.failureReason = error.message;
+    await payment.save();
+    throw walletError('PAYOUT_FAILED', `The provider refused the payout: ${error.message}`);
+  }
+  
+  payment.providerReference = result.providerReference || null;
+  payment.status = result.status === 'failed' ? 'failed' : 'pending';
+  payment.failureReason = result.failureReason || null;
+  await payment.save();
+  
+  // Some gateways settle synchronously - apply that the same way as a callback
+  if (result.status === 'completed') {
+    await applyPaymentCallback(provider.name, { reference: payment.reference, providerReference: payment.providerReference, status: 'completed', amount: payment.amount });
+  }
+  return payment;
+}
+
+// Applies a verified callback. The payment only moves on from an open status, in the same
+// transaction as the credit, so a repeated or concurrent callback for one provider reference
+// is a no-op. Resolves to { payment, duplicate }, or null for an unknown reference.
+async function applyPaymentCallback(providerName, result) {
+  const payment = await Payment.findOne({ provider: providerName, reference: result.reference });
+  if (!payment) return null;
+  if (payment.providerReference && result.providerReference && payment.providerReference !== result.providerReference) {
+    throw walletError('REFERENCE_MISMATCH', 'Provider reference does not match this payment');
+  }
+  if (!['created', 'pending'].includes(payment.status)) {
+    return { payment, duplicate: true };
+  }
+  
+  const providerReference = result.providerReference || payment.providerReference;
+  let status = result.status;
+  let failureReason = result.failureReason || null;
+  if (status === 'completed' && payment.kind === 'deposit' && Math.abs(result.amount - payment.amount) > 0.001) {
+    // Never credit an amount the player didn't start the checkout for
+    status = 'failed';
+    failureReason = `Amount mismatch: expected ${payment.amount}, provider reported ${result.amount}`;
+  }
+  
+  let updated = null;
+  let user = null;
+  let withdrawal = null;
+  await withWalletSession(async (session) => {
+    updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: ['created', 'pending'] } },
+      { $set: { status: status, providerReference: providerReference, failureReason: failureReason, completedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!updated || status !== 'completed') return;
+    
+    if (updated.kind === 'deposit') {
+      user = await moveFunds(session, {
+        userId: updated.userId,
+        amount: updated.amount,
+        type: 'DEPOSIT',
+        description: `Top-up via ${providerName} (ref ${providerReference})`
+      });
+    } else {
+      withdrawal = await changeWithdrawalStatus(updated.withdrawalId, ['approved'], {
+        status: 'paid',
+        paidBy: providerName,
+        paidAt: new Date(),
+        payoutReference: providerReference
+      }, {
+        type: 'WITHDRAWAL',
+        description: `paid via ${providerName} (ref ${providerReference})`,
+        settle: 'paid',
+        admin: false
+      }, session);
+    }
+  });
+  if (!updated) {
+    return { payment, duplicate: true };
+  }
+  
+  console.log(`💳 ${providerName} ${updated.kind} ${updated.reference} ${updated.status}${failureReason ? ` (${failureReason})` : ''}`);
+  
+  if (updated.kind === 'deposit' && user) {
+    emitToUser(updated.userId, 'balanceUpdate', user.balance);
+    emitToUser(updated.userId, 'fundsAdded', { amount: updated.amount, newBalance: user.balance, reason: 'deposit' });
+    if (user.telegramId) {
+      await sendTelegramMessage(user.telegramId, `💰 TOP-UP RECEIVED\n\n${updated.amount.toFixed(2)} ETB was added to your balance.\nBalance: ${user.balance.toFixed(2)} ETB`);
+    }
+  } else if (updated.kind === 'deposit') {
+    emitToUser(updated.userId, 'topUpFailed', { amount: updated.amount, reason: failureReason || 'Payment was not completed' });
+  }
+  if (updated.kind === 'deposit' && user) {
+    await awardReferralReward(updated.userId, 'deposit');
+  }
+  if (withdrawal) {
+    await notifyWithdrawalStatus(withdrawal);
+  }
+  
+  logActivity(`PAYMENT_${updated.kind.toUpperCase()}_${updated.status.toUpperCase()}`, {
+    userId: updated.userId,
+    userName: updated.userName,
+    amount: updated.amount,
+    provider: providerName,
+    reference: updated.reference,
+    providerReference: providerReference,
+    failureReason: failureReason
+  });
+  updateAdminPanel();
+  
+  return { payment: updated, duplicate: false };
+}
+
+// ========== IMPROVED SOCKET.IO EVENT HANDLERS ==========
+io.on('connection', (socket) => {
+  console.log(`✅ Socket.IO Connected: ${socket.id} - User: ${socket.handshake.query?.userId || 'Unknown'}`);
+  connectedSockets.add(socket.id);
+  
+  // The query userId is informational only - sockets are bound to a user after a verified 'init'
+  const query = socket.handshake.query;
+  if (query.userId) {
+    console.log(`👤 User connected via query: ${query.userId} (unverified)`);
+  }
+  
+  // Send connection test immediately
+  socket.emit('connectionTest', { 
+    status: 'connected', 
+    serverTime: new Date().toISOString(),
+    socketId: socket.id,
+    server: 'Bingo Elite Telegram',
+    userId: query.userId || 'unknown'
+  });
+  
+  // ========== ADMIN AUTHENTICATION ==========
+  // Accepts { username, password } for a fresh login or { token } to resume a session
+  socket.on('admin:auth', async (credentials) => {
+    console.log(`🔐 Admin authentication attempt from socket ${socket.id}`);
+    
+    try {
+      const { username, password, token } = typeof credentials === 'object' && credentials !== null ? credentials : {};
+      let session = null;
+      let sessionToken = null;
+      
+      if (token) {
+        session = await AdminSession.findOne({ tokenHash: hashSessionToken(String(token)), expiresAt: { $gt: new Date() } });
+        if (!session || !(await AdminUser.exists({ username: session.username, isActive: true }))) {
+          socket.emit('admin:authError', 'Session expired - please log in again');
+          return;
+        }
+        sessionToken = String(token);
+      } else {
+        const admin = username && password
+          ? await AdminUser.findOne({ username: String(username).toLowerCase(), isActive: true })
+          : null;
+        
+        if (!admin || !(await verifyAdminPassword(admin, String(password)))) {
+          console.log(`❌ Admin auth failed for socket ${socket.id}`);
+          socket.emit('admin:authError', 'Invalid username or password');
+          return;
+        }
+        
+        sessionToken = crypto.randomBytes(32).toString('hex');
+        session = await AdminSession.create({
+          tokenHash: hashSessionToken(sessionToken),
+          username: admin.username,
+          role: admin.role,
+          expiresAt: new Date(Date.now() + CONFIG.ADMIN_SESSION_HOURS * 3600000)
+        });
+        
+        admin.lastLoginAt = new Date();
+        await admin.save();
+      }
+      
+      attachAdminSession(socket, session);
+      socket.emit('admin:authSuccess', {
+        token: sessionToken,
+        username: session.username,
+        role: session.role,
+        expiresAt: session.expiresAt
+      });
+      socket.emit('admin:winPatternCatalog', describeWinPatterns(Object.keys(WIN_PATTERNS)));
+      updateAdminPanel();
+      
+      logActivity('ADMIN_LOGIN', { admin: session.username, role: session.role, socketId: socket.id }, socket.id);
+      console.log(`✅ Admin authenticated: ${session.username} (${session.role})`);
+    } catch (error) {
+      console.error('❌ Admin auth error:', error);
+      socket.emit('admin:authError', 'Authentication failed');
+    }
+  });
+  
+  socket.on('admin:logout', async (token) => {
+    const admin = adminSessions.get(socket.id);
+    detachAdminSession(socket.id);
+    
+    if (token) {
+      await AdminSession.deleteOne({ tokenHash: hashSessionToken(String(token)) });
+    }
+    if (admin) {
+      logActivity('ADMIN_LOGOUT', { admin: admin.username }, socket.id);
+    }
+  });
+  
+  socket.on('admin:listAdmins', async () => {
+    const admin = requireAdmin(socket, 'manageAdmins');
+    if (!admin) return;
+    
+    const admins = await AdminUser.find({}, 'username role isActive createdBy createdAt lastLoginAt').sort({ createdAt: 1 });
+    socket.emit('admin:admins', admins);
+  });
+  
+  socket.on('admin:createAdmin', async ({ username, password, role } = {}) => {
+    const admin = requireAdmin(socket, 'manageAdmins');
+    if (!admin) return;
+    
+    username = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9_.-]{3,32}$/.test(username)) {
+      socket.emit('admin:error', 'Username must be 3-32 letters, digits, _ . or -');
+      return;
+    }
+    if (!password || String(password).length < 8) {
+      socket.emit('admin:error', 'Password must be at least 8 characters');
+      return;
+    }
+    if (!['viewer', 'cashier', 'superadmin'].includes(role)) {
+      socket.emit('admin:error', 'Invalid role');
+      return;
+    }
+    if (await AdminUser.exists({ username })) {
+      socket.emit('admin:error', 'Username already exists');
+      return;
+    }
+    
+    await createAdminAccount(username, String(password), role, admin.username);
+    socket.emit('admin:success', `Created ${role} account ${username}`);
+    socket.emit('admin:admins', await AdminUser.find({}, 'username role isActive createdBy createdAt lastLoginAt').sort({ createdAt: 1 }));
+    
+    logActivity('ADMIN_CREATE_ADMIN', { admin: admin.username, username, role }, socket.id);
+  });
+  
+  socket.on('admin:deactivateAdmin', async (username) => {
+    const admin = requireAdmin(socket, 'manageAdmins');
+    if (!admin) return;
+    
+    username = String(username || '').toLowerCase();
+    if (username === admin.username) {
+      socket.emit('admin:error', 'You cannot deactivate your own account');
+      return;
+    }
+    
+    const target = await AdminUser.findOneAndUpdate({ username }, { $set: { isActive: false } }, { new: true });
+    if (!target) {
+      socket.emit('admin:error', 'Admin not found');
+      return;
+    }
+    
+    // End the account's sessions everywhere
+    await AdminSession.deleteMany({ username });
+    for (const [sId, session] of adminSessions.entries()) {
+      if (session.username === username) {
+        detachAdminSession(sId);
+        io.sockets.sockets.get(sId)?.emit('admin:sessionExpired');
+      }
+    }
+    
+    socket.emit('admin:success', `Deactivated admin ${username}`);
+    socket.emit('admin:admins', await AdminUser.find({}, 'username role isActive createdBy createdAt lastLoginAt').sort({ createdAt: 1 }));
+    
+    logActivity('ADMIN_DEACTIVATE_ADMIN', { admin: admin.username, username }, socket.id);
+  });
+  
+  socket.on('admin:getData', () => {
+    const admin = requireAdmin(socket, 'view');
+    if (!admin) return;
+    updateAdminPanel();
+  });
+  
+  socket.on('admin:addFunds', async ({ userId, amount }) => {
+    const admin = requireAdmin(socket, 'addFunds');
+    if (!admin) return;
+    
+    amount = parseFloat(amount);
+    if (!Number.isFinite(amount) || amount === 0) {
+      socket.emit('admin:error', 'Invalid amount');
+      return;
+    }
+    
+    let user;
+    try {
+      user = await changeBalance({
+        userId: userId,
+        amount: amount,
+        type: 'ADMIN_ADD',
+        admin: true,
+        description: `Admin added ${amount} ETB`
+      });
+    } catch (error) {
+      socket.emit('admin:error', error.code ? error.message : 'Failed to add funds');
+      return;
+    }
+    
+    // Notify player if online
+    for (const [sId, uId] of socketToUser.entries()) {
+      if (uId === userId) {
+        const playerSocket = io.sockets.sockets.get(sId);
+        if (playerSocket) {
+          playerSocket.emit('balanceUpdate', user.balance);
+          playerSocket.emit('fundsAdded', {
+            amount: amount,
+            newBalance: user.balance
+          });
+        }
+      }
+    }
+    
+    socket.emit('admin:success', `Added ${amount} ETB to ${user.userName}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_ADD_FUNDS', { admin: admin.username, userId, amount }, socket.id, {
+      before: { balance: user.balance - amount },
+      after: { balance: user.balance }
+    });
+  });
+  
+  socket.on('admin:forceDraw', async (roomStake) => {
+    const admin = requireAdmin(socket, 'forceDraw');
+    if (!admin) return;
+    
+    const room = await Room.findOne({ stake: parseInt(roomStake), status: 'playing' });
+    if (room) {
+      const ballCount = getRoomVariant(room).balls;
+      if (room.ballsDrawn >= ballCount) {
+        socket.emit('admin:error', `All ${ballCount} balls have been drawn`);
+        return;
+      }
+      
+      if (claimWindows.has(room.stake)) {
+        socket.emit('admin:error', 'Bingo claims are being settled - wait for the result');
+        return;
+      }
+      
+      const ball = getNextBall(room);
+      const letter = getBallLetter(room, ball);
+      
+      room.calledNumbers.push(ball);
+      room.currentBall = ball;
+      room.ballsDrawn += 1;
+      room.lastBoxUpdate = new Date();
+      await room.save();
+      
+      const ballData = {
+        room: room.stake,
+        num: ball,
+        letter: letter
+      };
+      
+      room.players.forEach(userId => {
+        for (const [sId, uId] of socketToUser.entries()) {
+          if (uId === userId) {
+            const s = io.sockets.sockets.get(sId);
+            if (s) {
+              s.emit('ballDrawn', ballData);
+            }
+          }
+        }
+      });
+      
+      await autoDaubBall(room, ball);
+      
+      socket.emit('admin:success', `Ball ${letter}-${ball} drawn in ${roomStake} ETB room`);
+      broadcastRoomStatus();
+      
+      logActivity('ADMIN_FORCE_DRAW', { admin: admin.username, roomStake, ball, letter }, socket.id, {
+        before: { ballsDrawn: room.ballsDrawn - 1 },
+        after: { ballsDrawn: room.ballsDrawn, currentBall: ball }
+      });
+    }
+  });
+  
+  // Accepts a userId (permanent ban) or { userId, reason, durationHours }
+  socket.on('admin:banPlayer', async (data) => {
+    const admin = requireAdmin(socket, 'ban');
+    if (!admin) return;
+    
+    const { userId, reason, durationHours } = typeof data === 'object' && data !== null ? data : { userId: data };
+    const hours = parseFloat(durationHours);
+    
+    const previous = await User.findOne({ userId: userId }, 'isBanned banReason banExpiresAt').lean();
+    const user = await User.findOneAndUpdate(
+      { userId: userId },
+      {
+        $set: {
+          isBanned: true,
+          banReason: reason ? String(reason).substring(0, 200) : null,
+          bannedBy: admin.username,
+          bannedAt: new Date(),
+          banExpiresAt: hours > 0 ? new Date(Date.now() + hours * 3600000) : null
+        }
+      },
+      { new: true }
+    );
+    if (!user) {
+      socket.emit('admin:error', 'User not found');
+      return;
+    }
+    
+    // Notify the user if online - disconnecting also refunds a stake in a room that hasn't started
+    const banInfo = getBanInfo(user);
+    for (const [sId, uId] of socketToUser.entries()) {
+      if (uId === userId) {
+        const playerSocket = io.sockets.sockets.get(sId);
+        if (playerSocket) {
+          playerSocket.emit('banned', banInfo);
+          playerSocket.disconnect();
+        }
+      }
+    }
+    
+    socket.emit('admin:success', `Banned user ${user.userName}${user.banExpiresAt ? ` for ${hours}h` : ' permanently'}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_BAN', { admin: admin.username, userId, reason: user.banReason, expiresAt: user.banExpiresAt }, socket.id, {
+      before: { isBanned: !!previous?.isBanned, banReason: previous?.banReason || null, banExpiresAt: previous?.banExpiresAt || null },
+      after: { isBanned: true, banReason: user.banReason, banExpiresAt: user.banExpiresAt }
+    });
+  });
+  
+  socket.on('admin:unbanPlayer', async (userId) => {
+    const admin = requireAdmin(socket, 'ban');
+    if (!admin) return;
+    
+    // Returns the document before the update so the audit log keeps the lifted ban
+    const user = await User.findOneAndUpdate(
+      { userId: userId, isBanned: true },
+      { $set: { isBanned: false, banReason: null, bannedBy: null, bannedAt: null, banExpiresAt: null } }
+    );
+    if (!user) {
+      socket.emit('admin:error', 'User not found or not banned');
+      return;
+    }
+    
+    socket.emit('admin:success', `Unbanned user ${user.userName}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_UNBAN', { admin: admin.username, userId }, socket.id, {
+      before: { isBanned: true, banReason: user.banReason, banExpiresAt: user.banExpiresAt, bannedBy: user.bannedBy },
+      after: { isBanned: false }
+    });
+  });
+  
+  // Clears the repeat false claim flag after review - the lifetime count stays
+  socket.on('admin:clearClaimFlag', async (userId) => {
+    const admin = requireAdmin(socket, 'ban');
+    if (!admin) return;
+    
+    const user = await User.findOneAndUpdate(
+      { userId: userId, claimFlagged: true },
+      { $set: { claimFlagged: false, claimFlaggedAt: null, recentFalseClaims: [] } }
+    );
+    if (!user) {
+      socket.emit('admin:error', 'User not found or not flagged');
+      return;
+    }
+    
+    socket.emit('admin:success', `Cleared false claim flag for ${user.userName}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_CLEAR_CLAIM_FLAG', { admin: admin.username, userId, falseClaims: user.falseClaims }, socket.id, {
+      before: { claimFlagged: true, claimFlaggedAt: user.claimFlaggedAt },
+      after: { claimFlagged: false }
+    });
+  });
+  
+  socket.on('admin:forceStartGame', async (roomStake) => {
+    const admin = requireAdmin(socket, 'forceStart');
+    if (!admin) return;
+    
+    const room = await Room.findOne({ stake: parseInt(roomStake) });
+    // Restarting a running game would replay its draw from ball 1 and pay finished stages again
+    if (room && !['waiting', 'starting'].includes(room.status)) {
+      socket.emit('admin:error', `Room ${room.stake} is ${room.status} - only a waiting or starting room can be force started`);
+      return;
+    }
+    // The seed hash goes out with the countdown - a seed picked now would be chosen after the boxes are known
+    if (room && !room.serverSeedHash) {
+      socket.emit('admin:error', `Room ${room.stake} has not committed its seed yet - force start it once the countdown has begun`);
+      return;
+    }
+    if (room) {
+      const previousStatus = room.status;
+      
+      // Force start game immediately
+      room.status = 'playing';
+      room.startTime = new Date();
+      await room.save();
+      
+      // Start game timer
+      await startGameTimer(room);
+      
+      // Notify all players in room AND subscribed sockets
+      const socketsToSend = new Set();
+      
+      // Add sockets of players in the room
+      room.players.forEach(userId => {
+        for (const [sId, uId] of socketToUser.entries()) {
+          if (uId === userId) {
+            if (io.sockets.sockets.get(sId)?.connected) {
+              socketsToSend.add(sId);
+            }
+          }
+        }
+      });
+      
+      // Add subscribed sockets
+      const subscribedSockets = roomSubscriptions.get(room.stake) || new Set();
+      subscribedSockets.forEach(socketId => {
+        if (io.sockets.sockets.get(socketId)?.connected) {
+          socketsToSend.add(socketId);
+        }
+      });
+      
+      // Send game started event
+      socketsToSend.forEach(socketId => {
+        const s = io.sockets.sockets.get(socketId);
+        if (s) {
+          s.emit('gameStarted', { 
+            room: roomStake,
+            players: room.players.length,
+            serverSeedHash: room.serverSeedHash,
+            clientSeed: room.clientSeed,
+            variant: describeVariant(room),
+            patterns: describeWinPatterns(room.activePatterns, getRoomVariant(room).patterns),
+            stages: describePrizeStages(room)
+          });
+        }
+      });
+      
+      socket.emit('admin:success', `Force started ${roomStake} ETB room`);
+      broadcastRoomStatus();
+      
+      logActivity('ADMIN_FORCE_START', { admin: admin.username, roomStake }, socket.id, {
+        before: { status: previousStatus, players: room.players.length },
+        after: { status: 'playing', serverSeedHash: room.serverSeedHash }
+      });
+    }
+  });
+  
+  socket.on('admin:forceEndGame', async (roomStake) => {
+    const admin = requireAdmin(socket, 'forceEnd');
+    if (!admin) return;
+    
+    const found = await Room.findOne({ stake: parseInt(roomStake) });
+    if (found) {
+      // Clear game timer
+      cleanupRoomTimer(roomStake);
+      
+      // Refund whoever is in the room right now and close it in one go
+      let closed;
+      try {
+        closed = await closeRoomWithRefunds(found, {
+          reset: { status: 'ended', endTime: new Date() },
+          type: 'REFUND',
+          description: `Game force ended by admin - stake refunded`
+        });
+      } catch (error) {
+        socket.emit('admin:error', `Failed to end the game: ${error.message}`);
+        return;
+      }
+      if (!closed) return;
+      const room = closed.room;
+      const playersInRoom = [...room.players];
+      const previousStatus = room.status;
+      
+      // Notify the refunded players
+      for (const [userId, { user }] of closed.refunds) {
+        for (const [sId, uId] of socketToUser.entries()) {
+          if (uId === userId) {
+            const s = io.sockets.sockets.get(sId);
+            if (s) {
+              s.emit('gameOver', {
+                room: roomStake,
+                winnerId: 'ADMIN',
+                winnerName: 'Admin',
+                prize: 0,
+                basePrize: 0,
+                bonus: 0,
+                playersCount: playersInRoom.length,
+                isFourCornersWin: false,
+                gameEnded: true,
+                reason: 'admin_ended',
+                commissionPerPlayer: getRoomCommission(room),
+                fairness: getFairnessReveal(room)
+              });
+              s.emit('balanceUpdate', user.balance);
+            }
+          }
+        }
+      }
+      
+      // Broadcast empty boxes
+      broadcastTakenBoxes(roomStake, []);
+      
+      if (previousStatus === 'playing') {
+        await onTournamentGameOver(room, playersInRoom);
+      }
+      
+      socket.emit('admin:success', `Force ended ${roomStake} ETB game`);
+      broadcastRoomStatus();
+      
+      logActivity('ADMIN_FORCE_END', { admin: admin.username, roomStake }, socket.id, {
+        before: { status: previousStatus, players: playersInRoom, ballsDrawn: room.ballsDrawn },
+        after: {
+          status: 'ended',
+          refundedPlayers: closed.refunds.size,
+          refundedCards: countRoomCards(room, [...closed.refunds.keys()]),
+          // What each player actually got back - custom private stakes and several cards included
+          refunds: Object.fromEntries([...closed.refunds].map(([userId, { amount }]) => [userId, amount]))
+        }
+      });
+    }
+  });
+  
+  socket.on('admin:clearBoxes', async (roomStake) => {
+    const admin = requireAdmin(socket, 'clearBoxes');
+    if (!admin) return;
+    
+    const found = await Room.findOne({ stake: parseInt(roomStake) });
+    if (!found) {
+      socket.emit('admin:error', 'Room not found');
+      return;
+    }
+    
+    // Refund whoever holds a box right now and empty the room in one go
+    let closed;
+    try {
+      closed = await closeRoomWithRefunds(found, {
+        reset: { status: 'waiting' },
+        type: 'REFUND',
+        description: `Boxes cleared by admin - stake refunded`
+      });
+    } catch (error) {
+      socket.emit('admin:error', `Failed to clear the boxes: ${error.message}`);
+      return;
+    }
+    if (!closed) {
+      socket.emit('admin:error', 'Room not found');
+      return;
+    }
+    const playersInRoom = [...closed.room.players];
+    const previousBoxes = [...closed.room.takenBoxes];
+    const previousStatus = closed.room.status;
+    
+    // Notify the refunded players
+    for (const [userId, { user }] of closed.refunds) {
+      for (const [sId, uId] of socketToUser.entries()) {
+        if (uId === userId) {
+          const s = io.sockets.sockets.get(sId);
+          if (s) {
+            s.emit('boxesCleared', { room: roomStake, adminCleared: true, reason: 'admin_cleared' });
+            s.emit('balanceUpdate', user.balance);
+            s.emit('lobbyUpdate', { room: roomStake, count: 0 });
+          }
+        }
+      }
+    }
+    
+    // Broadcast cleared boxes
+    broadcastTakenBoxes(roomStake, []);
+    socket.emit('admin:success', `Cleared all boxes in ${roomStake} ETB room`);
+    
+    logActivity('ADMIN_CLEAR_BOXES', { admin: admin.username, roomStake }, socket.id, {
+      before: { status: previousStatus, players: playersInRoom, takenBoxes: previousBoxes },
+      after: { status: 'waiting', players: [], takenBoxes: [], refundedPlayers: closed.refunds.size }
+    });
+  });
+  
+  // ⭐⭐ ADDED: Admin debugging for countdown
+  socket.on('admin:debugCountdown', async (roomStake) => {
+    const admin = requireAdmin(socket, 'view');
+    if (!admin) return;
+    
+    const room = await Room.findOne({ stake: parseInt(roomStake) });
+    if (room) {
+      const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
+      
+      socket.emit('admin:success', `Room ${roomStake}: ${room.status}, ${onlinePlayers.length} online, ${room.players.length} total, countdown active: ${roomTimers.has(`countdown_${roomStake}`)}`);
+    }
+  });
+  
+  // Sets which patterns win in a room - for every game, or only the next one
+  socket.on('admin:setWinPatterns', async ({ roomStake, patterns, nextGameOnly } = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
+    
+    const keys = normalizeWinPatterns(patterns);
+    if (!keys) {
+      socket.emit('admin:error', 'Choose at least one valid win pattern');
+      return;
+    }
+    
+    const room = await Room.findOne({ stake: parseInt(roomStake) });
+    if (!room) {
+      socket.emit('admin:error', 'Room not found');
+      return;
+    }
+    if (room.variant === '90') {
+      socket.emit('admin:error', '90-ball rooms always play one line, two lines and full house');
+      return;
+    }
+    
+    const field = nextGameOnly ? 'nextGamePatterns' : 'winPatterns';
+    const before = [...room[field]];
+    room[field] = keys;
+    await room.save();
+    
+    // A public room's default lives in the catalog too, so it survives the room document
+    if (!nextGameOnly && getRoomType(room.stake)) {
+      await saveRoomType(room.stake, { winPatterns: keys }, admin.username);
+    }
+    
+    const names = keys.map(key => WIN_PATTERNS[key].name).join(', ');
+    socket.emit('admin:success', `${roomStake} ETB room ${nextGameOnly ? 'next game' : 'patterns'}: ${names}${room.status === 'playing' ? ' (from the next game)' : ''}`);
+    broadcastRoomStatus();
+    
+    logActivity('ADMIN_SET_WIN_PATTERNS', { admin: admin.username, roomStake, nextGameOnly: !!nextGameOnly }, socket.id, {
+      before: { [field]: before },
+      after: { [field]: keys }
+    });
+  });
+  
+  // Switches a room between one prize and staged prizes - takes effect from the next game
+  socket.on('admin:setPrizeMode', async ({ roomStake, mode, shares } = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
+    
+    if (!['single', 'staged'].includes(mode)) {
+      socket.emit('admin:error', 'Unknown prize mode');
+      return;
+    }
+    
+    let stageShares = [];
+    if (mode === 'staged' && Array.isArray(shares)) {
+      stageShares = shares.map(Number);
+      const total = stageShares.reduce((sum, share) => sum + share, 0);
+      if (stageShares.length !== CONFIG.PRIZE_STAGES.length || stageShares.some(share => !Number.isFinite(share) || share <= 0) || Math.abs(total - 100) > 0.001) {
+        socket.emit('admin:error', `Give ${CONFIG.PRIZE_STAGES.length} stage shares above 0 that add up to 100%`);
+        return;
+      }
+    }
+    
+    const room = await Room.findOne({ stake: parseInt(roomStake) });
+    if (!room) {
+      socket.emit('admin:error', 'Room not found');
+      return;
+    }
+    if (room.status === 'playing') {
+      socket.emit('admin:error', 'Wait for the current game to end before changing the prize mode');
+      return;
+    }
+    if (room.variant === '90' && mode !== 'staged') {
+      socket.emit('admin:error', '90-ball rooms always pay in stages - only the shares can change');
+      return;
+    }
+    
+    const before = { prizeMode: room.prizeMode, stageShares: [...room.stageShares] };
+    room.prizeMode = mode;
+    room.stageShares = stageShares;
+    await room.save();
+    
+    const stages = getRoomStages(room).map(stage => `${stage.name} ${stage.share}%`).join(', ');
+    socket.emit('admin:success', `${roomStake} ETB room: ${mode === 'staged' ? `staged prizes (${stages})` : 'single prize'}`);
+    broadcastRoomStatus();
+    
+    logActivity('ADMIN_SET_PRIZE_MODE', { admin: admin.username, roomStake, mode }, socket.id, {
+      before: before,
+      after: { prizeMode: room.prizeMode, stageShares: [...room.stageShares] }
+    });
+  });
+  
+  // Admin-made private rooms have no host - a host-start one is started with Force Start
+  socket.on('admin:createPrivateRoom', async (data = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
+    
+    const { error, settings } = validatePrivateRoomSettings(data);
+    if (error) {
+      socket.emit('admin:error', error);
+      return;
+    }
+    
+    try {
+      const room = await createPrivateRoom(settings, { createdBy: `admin:${admin.username}` });
+      socket.emit('admin:privateRoomCreated', describePrivateRoom(room));
+      socket.emit('admin:success', `Private room ${room.inviteCode} created (${room.price} ETB, up to ${room.maxPlayers} players)`);
+      updateAdminPanel();
+      
+      logActivity('ADMIN_CREATE_PRIVATE_ROOM', { admin: admin.username, room: room.stake, inviteCode: room.inviteCode }, socket.id, {
+        after: { price: room.price, maxPlayers: room.maxPlayers, startRule: room.startRule, minPlayers: room.minPlayers, variant: room.variant }
+      });
+    } catch (error) {
+      console.error('❌ Error creating private room:', error);
+      socket.emit('admin:error', 'Failed to create private room');
+    }
+  });
+  
+  socket.on('admin:createTournament', async (data = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
+    
+    const { error, settings } = validateTournamentSettings(data);
+    if (error) {
+      socket.emit('admin:error', error);
+      return;
+    }
+    
+    try {
+      const tournament = await Tournament.create({
+        ...settings,
+        commissionPercent: CONFIG.TOURNAMENT_COMMISSION_PERCENT,
+        createdBy: admin.username
+      });
+      
+      socket.emit('admin:success', `Tournament "${tournament.name}" scheduled for ${tournament.startsAt.toISOString().replace('T', ' ').substring(0, 16)} UTC`);
+      broadcastTournamentsChanged();
+      updateAdminPanel();
+      
+      logActivity('ADMIN_CREATE_TOURNAMENT', { admin: admin.username, tournament: tournament.name }, socket.id, {
+        after: { buyIn: tournament.buyIn, gamesTotal: tournament.gamesTotal, maxEntrants: tournament.maxEntrants, startsAt: tournament.startsAt, points: settings.points, prizeShares: tournament.prizeShares }
+      });
+    } catch (error) {
+      console.error('❌ Error creating tournament:', error);
+      socket.emit('admin:error', 'Failed to create tournament');
+    }
+  });
+  
+  // Refunds every buy-in - a running tournament must not be mid-game
+  socket.on('admin:cancelTournament', async ({ id, reason } = {}) => {
+    const admin = requireAdmin(socket, 'forceEnd');
+    if (!admin) return;
+    
+    const tournament = mongoose.isValidObjectId(id) ? await Tournament.findById(id) : null;
+    if (!tournament || !['scheduled', 'running'].includes(tournament.status)) {
+      socket.emit('admin:error', 'Tournament not found or already over');
+      return;
+    }
+    if (tournament.room && await Room.exists({ stake: tournament.room, status: { $in: ['starting', 'playing'] } })) {
+      socket.emit('admin:error', 'A tournament game is in progress - end it first');
+      return;
+    }
+    
+    let cancelled = null;
+    try {
+      cancelled = await cancelTournament(tournament, reason || 'Cancelled by admin', admin.username);
+    } catch (error) {
+      console.error(`❌ Error cancelling tournament ${tournament.name}:`, error);
+      socket.emit('admin:error', `Could not cancel the tournament - nothing was refunded: ${error.message}`);
+      return;
+    }
+    if (!cancelled) {
+      socket.emit('admin:error', 'Tournament is already over');
+      return;
+    }
+    
+    socket.emit('admin:success', `Tournament "${cancelled.name}" cancelled - ${cancelled.buyIn > 0 ? cancelled.entrants.length : 0} buy-ins refunded`);
+    updateAdminPanel();
+  });
+  
+  // Receipt photos stay on Telegram - fetched through the bot when a cashier opens one
+  socket.on('admin:getDepositReceipt', async (id) => {
+    const admin = requireAdmin(socket, 'deposits');
+    if (!admin) return;
+    
+    const request = mongoose.isValidObjectId(id) ? await DepositRequest.findById(id) : null;
+    if (!request) {
+      socket.emit('admin:error', 'Deposit request not found');
+      return;
+    }
+    
+    try {
+      const file = await downloadTelegramFile(request.receiptFileId);
+      socket.emit('admin:depositReceipt', {
+        id: request._id.toString(),
+        image: `data:${file.contentType};base64,${file.buffer.toString('base64')}`
+      });
+    } catch (error) {
+      console.error(`❌ Error loading receipt for deposit ${id}:`, error.message);
+      socket.emit('admin:error', `Could not load the receipt: ${error.message}`);
+    }
+  });
+  
+  // One click credits the amount the player reported with a DEPOSIT ledger entry
+  socket.on('admin:verifyDeposit', async (id) => {
+    const admin = requireAdmin(socket, 'deposits');
+    if (!admin) return;
+    
+    let request = null;
+    let user = null;
+    try {
+      if (mongoose.isValidObjectId(id)) {
+        await withWalletSession(async (session) => {
+          request = await DepositRequest.findOneAndUpdate(
+            { _id: id, status: 'pending' },
+            { $set: { status: 'verified', reviewedBy: admin.username, reviewedAt: new Date() } },
+            { new: true, session }
+          );
+          if (!request) return;
+          
+          user = await moveFunds(session, {
+            userId: request.userId,
+            amount: request.amount,
+            type: 'DEPOSIT',
+            admin: true,
+            description: `Deposit #${getDepositRef(request)} (ref ${request.reference}) verified by ${admin.username}`
+          });
+        });
+      }
+    } catch (error) {
+      socket.emit('admin:error', error.code ? error.message : 'Failed to verify the deposit');
+      return;
+    }
+    if (!request) {
+      socket.emit('admin:error', 'Deposit request not found or already checked');
+      return;
+    }
+    
+    console.log(`💰 Deposit #${getDepositRef(request)} of ${request.amount} ETB for ${request.userName} verified by ${admin.username}`);
+    await notifyDepositStatus(request, user);
+    await awardReferralReward(request.userId, 'deposit');
+    socket.emit('admin:success', `Credited ${request.amount.toFixed(2)} ETB to ${request.userName}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_VERIFY_DEPOSIT', { admin: admin.username, userId: request.userId, amount: request.amount, deposit: getDepositRef(request), reference: request.reference }, socket.id, {
+      before: { status: 'pending', balance: user.balance - request.amount },
+      after: { status: 'verified', balance: user.balance }
+    });
+  });
+  
+  socket.on('admin:rejectDeposit', async ({ id, reason } = {}) => {
+    const admin = requireAdmin(socket, 'deposits');
+    if (!admin) return;
+    
+    const rejectReason = String(reason || '').trim().substring(0, 200) || null;
+    const request = mongoose.isValidObjectId(id) ? await DepositRequest.findOneAndUpdate(
+      { _id: id, status: 'pending' },
+      { $set: { status: 'rejected', rejectReason: rejectReason, reviewedBy: admin.username, reviewedAt: new Date() } },
+      { new: true }
+    ) : null;
+    if (!request) {
+      socket.emit('admin:error', 'Deposit request not found or already checked');
+      return;
+    }
+    
+    await notifyDepositStatus(request, null);
+    socket.emit('admin:success', `Rejected deposit #${getDepositRef(request)} from ${request.userName}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_REJECT_DEPOSIT', { admin: admin.username, userId: request.userId, amount: request.amount, deposit: getDepositRef(request), reason: rejectReason }, socket.id, {
+      before: { status: 'pending' },
+      after: { status: 'rejected' }
+    });
+  });
+  
+  socket.on('admin:approveWithdrawal', async (id) => {
+    const admin = requireAdmin(socket, 'withdrawals');
+    if (!admin) return;
+    
+    const request = mongoose.isValidObjectId(id) ? await changeWithdrawalStatus(id, ['pending'], {
+      status: 'approved',
+      reviewedBy: admin.username,
+      reviewedAt: new Date()
+    }, {
+      type: 'WITHDRAWAL_APPROVED',
+      description: `approved by ${admin.username}`
+    }) : null;
+    if (!request) {
+      socket.emit('admin:error', 'Withdrawal not found or no longer pending');
+      return;
+    }
+    
+    await notifyWithdrawalStatus(request);
+    socket.emit('admin:success', `Approved withdrawal #${getWithdrawalRef(request)} - send ${request.amount.toFixed(2)} ETB to ${request.account}, then mark it paid`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_WITHDRAWAL_APPROVE', { admin: admin.username, userId: request.userId, amount: request.amount, withdrawal: getWithdrawalRef(request) }, socket.id, {
+      before: { status: 'pending' },
+      after: { status: 'approved' }
+    });
+  });
+  
+  socket.on('admin:rejectWithdrawal', async ({ id, reason } = {}) => {
+    const admin = requireAdmin(socket, 'withdrawals');
+    if (!admin) return;
+    
+    const rejectReason = String(reason || '').trim().substring(0, 200) || null;
+    const before = mongoose.isValidObjectId(id) ? await WithdrawalRequest.findById(id, 'status').lean() : null;
+    const request = before ? await changeWithdrawalStatus(id, ['pending', 'approved'], {
+      status: 'rejected',
+      rejectReason: rejectReason,
+      reviewedBy: admin.username,
+      reviewedAt: new Date()
+    }, {
+      type: 'WITHDRAWAL_RELEASE',
+      description: `rejected by ${admin.username}${rejectReason ? `: ${rejectReason}` : ''}`,
+      settle: 'refund'
+    }) : null;
+    if (!request) {
+      socket.emit('admin:error', 'Withdrawal not found or already settled');
+      return;
+    }
+    
+    await notifyWithdrawalStatus(request);
+    socket.emit('admin:success', `Rejected withdrawal #${getWithdrawalRef(request)} - ${request.amount.toFixed(2)} ETB returned to ${request.userName}`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_WITHDRAWAL_REJECT', { admin: admin.username, userId: request.userId, amount: request.amount, withdrawal: getWithdrawalRef(request), reason: rejectReason }, socket.id, {
+      before: { status: before.status },
+      after: { status: 'rejected' }
+    });
+  });
+  
+  // Sends an approved withdrawal through the payment provider instead of paying it by hand
+  socket.on('admin:payoutWithdrawal', async (id) => {
+    const admin = requireAdmin(socket, 'withdrawals');
+    if (!admin) return;
+    
+    const request = mongoose.isValidObjectId(id) ? await WithdrawalRequest.findOne({ _id: id, status: 'approved' }) : null;
+    if (!request) {
+      socket.emit('admin:error', 'Withdrawal not found or not approved');
+      return;
+    }
+    
+    let payment;
+    try {
+      payment = await startProviderPayout(request);
+    } catch (error) {
+      socket.emit('admin:error', error.code ? error.message : 'Failed to start the payout');
+      updateAdminPanel();
+      return;
+    }
+    
+    socket.emit('admin:success', `Payout for withdrawal #${getWithdrawalRef(request)} sent to ${payment.provider} - it is marked paid when the provider confirms`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_WITHDRAWAL_PAYOUT', { admin: admin.username, userId: request.userId, amount: request.amount, withdrawal: getWithdrawalRef(request), provider: payment.provider, reference: payment.reference }, socket.id);
+  });
+  
+  // The cashier sent the money outside the app - records the payment and clears the hold
+  socket.on('admin:markWithdrawalPaid', async ({ id, reference } = {}) => {
+    const admin = requireAdmin(socket, 'withdrawals');
+    if (!admin) return;
+    
+    const payoutReference = String(reference || '').trim().substring(0, 100) || null;
+    const request = mongoose.isValidObjectId(id) ? await changeWithdrawalStatus(id, ['approved'], {
+      status: 'paid',
+      paidBy: admin.username,
+      paidAt: new Date(),
+      payoutReference: payoutReference
+    }, {
+      type: 'WITHDRAWAL',
+      description: `paid by ${admin.username}${payoutReference ? ` (ref ${payoutReference})` : ''}`,
+      settle: 'paid'
+    }) : null;
+    if (!request) {
+      socket.emit('admin:error', 'Withdrawal not found or not approved yet');
+      return;
+    }
+    
+    await notifyWithdrawalStatus(request);
+    socket.emit('admin:success', `Withdrawal #${getWithdrawalRef(request)} marked as paid`);
+    updateAdminPanel();
+    
+    logActivity('ADMIN_WITHDRAWAL_PAID', { admin: admin.username, userId: request.userId, amount: request.amount, withdrawal: getWithdrawalRef(request), reference: payoutReference }, socket.id, {
+      before: { status: 'approved' },
+      after: { status: 'paid', payoutReference: payoutReference }
+    });
+  });
+  
+  // Switches a room between 75-ball cards and 90-ball tickets - only before any ticket is sold
+  socket.on('admin:setRoomVariant', async ({ roomStake, variant } = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
+    
+    if (!BINGO_VARIANTS[variant]) {
+      socket.emit('admin:error', 'Unknown bingo variant');
+      return;
+    }
+    
+    const room = await Room.findOne({ stake: parseInt(roomStake) });
+    if (!room) {
+      socket.emit('admin:error', 'Room not found');
+      return;
+    }
+    if (room.status === 'playing' || room.cards.length > 0) {
+      socket.emit('admin:error', 'Tickets are already sold in this room - wait for the game to end or clear the boxes first');
+      return;
+    }
+    
+    const before = room.variant;
+    room.variant = variant;
+    await room.save();
+    
+    if (getRoomType(room.stake)) {
+      await saveRoomType(room.stake, { variant: variant }, admin.username);
+    }
+    
+    socket.emit('admin:success', `${roomStake} ETB room now plays ${BINGO_VARIANTS[variant].name} bingo${variant === '90' ? ' with staged prizes' : ''}`);
+    broadcastRoomStatus();
+    
+    logActivity('ADMIN_SET_ROOM_VARIANT', { admin: admin.username, roomStake, variant }, socket.id, {
+      before: { variant: before },
+      after: { variant: variant }
+    });
   });
   
-  socket.on('admin:addFunds', async ({ userId, amount }) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
+  // Creates a catalog room or edits one - the lobby picks it up with the next roomStatus broadcast
+  socket.on('admin:saveRoomType', async (data = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
+    
+    const { error, settings } = validateRoomTypeSettings(data);
+    if (error) {
+      socket.emit('admin:error', error);
       return;
     }
     
-    const user = await User.findOne({ userId: userId });
-    if (!user) {
-      socket.emit('admin:error', 'User not found');
+    const existing = getRoomType(settings.stake);
+    const before = describeRoomCatalog().find(entry => entry.stake === settings.stake) || null;
+    if (data.isNew && existing) {
+      socket.emit('admin:error', `A ${settings.stake} ETB room already exists - edit it instead`);
       return;
     }
     
-    const oldBalance = user.balance;
-    user.balance += parseFloat(amount);
-    await user.save();
-    
-    // Record transaction
-    const transaction = new Transaction({
-      type: 'ADMIN_ADD',
-      userId: userId,
-      userName: user.userName,
-      amount: amount,
-      admin: true,
-      description: `Admin added ${amount} ETB`
-    });
-    await transaction.save();
-    
-    // Notify player if online
-    for (const [sId, uId] of socketToUser.entries()) {
-      if (uId === userId) {
-        const playerSocket = io.sockets.sockets.get(sId);
-        if (playerSocket) {
-          playerSocket.emit('balanceUpdate', user.balance);
-          playerSocket.emit('fundsAdded', {
-            amount: amount,
-            newBalance: user.balance
-          });
+    try {
+      const roomType = await saveRoomType(settings.stake, settings, admin.username);
+      
+      // The live room follows: patterns from its next game, the variant only while no ticket is sold
+      const room = await Room.findOne({ stake: roomType.stake, status: { $in: ['waiting', 'starting', 'playing'] } });
+      if (room) {
+        room.winPatterns = roomType.winPatterns;
+        if (room.status !== 'playing' && room.cards.length === 0) {
+          room.variant = roomType.variant;
         }
+        await room.save();
       }
+      
+      socket.emit('admin:success', `${roomType.name} (${roomType.stake} ETB) room ${existing ? 'updated' : 'created'}`);
+      broadcastRoomStatus();
+      
+      logActivity(existing ? 'ADMIN_UPDATE_ROOM_TYPE' : 'ADMIN_CREATE_ROOM_TYPE', { admin: admin.username, roomStake: roomType.stake }, socket.id, {
+        before: before,
+        after: settings
+      });
+    } catch (error) {
+      console.error('❌ Error saving room type:', error);
+      socket.emit('admin:error', 'Failed to save room');
     }
+  });
+  
+  // Hides a room from the lobby (its current game still finishes) or brings it back
+  socket.on('admin:setRoomTypeEnabled', async ({ stake, enabled } = {}) => {
+    const admin = requireAdmin(socket, 'roomSettings');
+    if (!admin) return;
     
-    socket.emit('admin:success', `Added ${amount} ETB to ${user.userName}`);
-    updateAdminPanel();
+    const existing = getRoomType(stake);
+    if (!existing) {
+      socket.emit('admin:error', 'Room not found');
+      return;
+    }
+    
+    const roomType = await saveRoomType(existing.stake, { enabled: !!enabled }, admin.username);
+    socket.emit('admin:success', `${roomType.name} (${roomType.stake} ETB) room ${roomType.enabled ? 'enabled' : 'disabled'}`);
+    broadcastRoomStatus();
     
-    logActivity('ADMIN_ADD_FUNDS', { adminSocket: socket.id, userId, amount }, socket.id);
+    logActivity('ADMIN_SET_ROOM_TYPE_ENABLED', { admin: admin.username, roomStake: roomType.stake }, socket.id, {
+      before: { enabled: existing.enabled },
+      after: { enabled: roomType.enabled }
+    });
   });
   
-  socket.on('admin:forceDraw', async (roomStake) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
+  // Adds house money to the jackpot pool - never past the cap
+  socket.on('admin:seedJackpot', async ({ amount } = {}) => {
+    const admin = requireAdmin(socket, 'jackpot');
+    if (!admin) return;
+    
+    amount = Math.round(parseFloat(amount) * 100) / 100;
+    if (!Number.isFinite(amount) || amount <= 0) {
+      socket.emit('admin:error', 'Invalid amount');
       return;
     }
     
-    const room = await Room.findOne({ stake: parseInt(roomStake), status: 'playing' });
-    if (room) {
-      let ball;
-      let letter;
-      do {
-        ball = Math.floor(Math.random() * 75) + 1;
-        letter = getBingoLetter(ball);
-      } while (room.calledNumbers.includes(ball));
-      
-      room.calledNumbers.push(ball);
-      room.currentBall = ball;
-      room.ballsDrawn += 1;
-      room.lastBoxUpdate = new Date();
-      await room.save();
-      
-      const ballData = {
-        room: room.stake,
-        num: ball,
-        letter: letter
-      };
-      
-      room.players.forEach(userId => {
-        for (const [sId, uId] of socketToUser.entries()) {
-          if (uId === userId) {
-            const s = io.sockets.sockets.get(sId);
-            if (s) {
-              s.emit('ballDrawn', ballData);
-            }
-          }
+    try {
+      const pool = await withWalletSession(async (session) => {
+        const current = await getJackpotPool(session);
+        if (!current) {
+          throw walletError(WALLET_ERRORS.CONFLICT, 'Jackpot pool not ready yet');
         }
+        if (current.cap > 0 && current.amount + amount > current.cap) {
+          throw walletError(WALLET_ERRORS.INVALID_AMOUNT, `Seeding ${amount} ETB would take the jackpot past its ${current.cap} ETB cap`);
+        }
+        
+        current.amount = Math.round((current.amount + amount) * 100) / 100;
+        current.updatedAt = new Date();
+        await current.save({ session });
+        await recordJackpotEntry(session, {
+          type: 'JACKPOT_SEED',
+          amount: amount,
+          admin: true,
+          description: `Admin ${admin.username} seeded the jackpot with ${amount} ETB`
+        });
+        return current;
       });
       
-      socket.emit('admin:success', `Ball ${letter}-${ball} drawn in ${roomStake} ETB room`);
+      socket.emit('admin:success', `Jackpot seeded with ${amount} ETB (now ${pool.amount} ETB)`);
       broadcastRoomStatus();
       
-      logActivity('ADMIN_FORCE_DRAW', { adminSocket: socket.id, roomStake, ball, letter }, socket.id);
+      logActivity('ADMIN_SEED_JACKPOT', { admin: admin.username, amount }, socket.id, {
+        before: { jackpot: Math.round((pool.amount - amount) * 100) / 100 },
+        after: { jackpot: pool.amount }
+      });
+    } catch (error) {
+      console.error('❌ Error seeding jackpot:', error);
+      socket.emit('admin:error', error.code ? error.message : 'Failed to seed jackpot');
     }
   });
   
-  socket.on('admin:banPlayer', async (userId) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
+  socket.on('admin:updateJackpot', async (settings = {}) => {
+    const admin = requireAdmin(socket, 'jackpot');
+    if (!admin) return;
+    
+    const cap = parseFloat(settings.cap);
+    const sharePercent = parseFloat(settings.sharePercent);
+    const maxBalls = parseInt(settings.maxBalls);
+    if (!Number.isFinite(cap) || cap < 0) {
+      socket.emit('admin:error', 'Cap must be 0 (no cap) or more');
       return;
     }
-    
-    const user = await User.findOne({ userId: userId });
-    if (!user) {
-      socket.emit('admin:error', 'User not found');
+    if (!Number.isFinite(sharePercent) || sharePercent < 0 || sharePercent > 100) {
+      socket.emit('admin:error', 'Share must be between 0 and 100%');
+      return;
+    }
+    if (!WIN_PATTERNS[settings.pattern]) {
+      socket.emit('admin:error', 'Choose a valid jackpot pattern');
+      return;
+    }
+    const mostBalls = Math.max(...Object.values(BINGO_VARIANTS).map(variant => variant.balls));
+    if (!Number.isInteger(maxBalls) || maxBalls < 1 || maxBalls > mostBalls) {
+      socket.emit('admin:error', `Ball limit must be between 1 and ${mostBalls}`);
       return;
     }
     
-    // Notify the user if online
-    for (const [sId, uId] of socketToUser.entries()) {
-      if (uId === userId) {
-        const playerSocket = io.sockets.sockets.get(sId);
-        if (playerSocket) {
-          playerSocket.emit('banned');
-          playerSocket.disconnect();
-        }
+    try {
+      const pool = await getJackpotPool();
+      if (!pool) {
+        socket.emit('admin:error', 'Jackpot pool not ready yet');
+        return;
       }
+      
+      const fields = ['cap', 'sharePercent', 'pattern', 'maxBalls', 'enabled'];
+      const before = Object.fromEntries(fields.map(field => [field, pool[field]]));
+      pool.cap = Math.round(cap * 100) / 100;
+      pool.sharePercent = sharePercent;
+      pool.pattern = settings.pattern;
+      pool.maxBalls = maxBalls;
+      pool.enabled = settings.enabled !== false;
+      pool.updatedAt = new Date();
+      await pool.save();
+      
+      socket.emit('admin:success', `Jackpot settings saved: ${WIN_PATTERNS[pool.pattern].name} within ${pool.maxBalls} balls${pool.enabled ? '' : ' (disabled)'}`);
+      broadcastRoomStatus();
+      
+      logActivity('ADMIN_UPDATE_JACKPOT', { admin: admin.username }, socket.id, {
+        before: before,
+        after: Object.fromEntries(fields.map(field => [field, pool[field]]))
+      });
+    } catch (error) {
+      console.error('❌ Error updating jackpot:', error);
+      socket.emit('admin:error', 'Failed to update jackpot settings');
     }
-    
-    socket.emit('admin:success', `Banned user ${user.userName}`);
-    updateAdminPanel();
-    
-    logActivity('ADMIN_BAN', { adminSocket: socket.id, userId }, socket.id);
   });
   
-  socket.on('admin:forceStartGame', async (roomStake) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
+  // Sets the pool to a new amount (0 by default) - the difference goes on the jackpot ledger
+  socket.on('admin:resetJackpot', async ({ amount = 0 } = {}) => {
+    const admin = requireAdmin(socket, 'jackpot');
+    if (!admin) return;
+    
+    amount = Math.round(parseFloat(amount) * 100) / 100;
+    if (!Number.isFinite(amount) || amount < 0) {
+      socket.emit('admin:error', 'Invalid amount');
       return;
     }
     
-    const room = await Room.findOne({ stake: parseInt(roomStake) });
-    if (room) {
-      // Force start game immediately
-      room.status = 'playing';
-      room.startTime = new Date();
-      await room.save();
-      
-      // Start game timer
-      await startGameTimer(room);
-      
-      // Notify all players in room AND subscribed sockets
-      const socketsToSend = new Set();
-      
-      // Add sockets of players in the room
-      room.players.forEach(userId => {
-        for (const [sId, uId] of socketToUser.entries()) {
-          if (uId === userId) {
-            if (io.sockets.sockets.get(sId)?.connected) {
-              socketsToSend.add(sId);
-            }
-          }
-        }
-      });
-      
-      // Add subscribed sockets
-      const subscribedSockets = roomSubscriptions.get(room.stake) || new Set();
-      subscribedSockets.forEach(socketId => {
-        if (io.sockets.sockets.get(socketId)?.connected) {
-          socketsToSend.add(socketId);
+    try {
+      let previous = 0;
+      const pool = await withWalletSession(async (session) => {
+        const current = await getJackpotPool(session);
+        if (!current) {
+          throw walletError(WALLET_ERRORS.CONFLICT, 'Jackpot pool not ready yet');
         }
-      });
-      
-      // Send game started event
-      socketsToSend.forEach(socketId => {
-        const s = io.sockets.sockets.get(socketId);
-        if (s) {
-          s.emit('gameStarted', { 
-            room: roomStake,
-            players: room.players.length
+        
+        previous = current.amount;
+        current.amount = amount;
+        current.updatedAt = new Date();
+        await current.save({ session });
+        
+        const difference = Math.round((amount - previous) * 100) / 100;
+        if (difference !== 0) {
+          await recordJackpotEntry(session, {
+            type: 'JACKPOT_RESET',
+            amount: difference,
+            admin: true,
+            description: `Admin ${admin.username} reset the jackpot from ${previous} to ${amount} ETB`
           });
         }
+        return current;
       });
       
-      socket.emit('admin:success', `Force started ${roomStake} ETB room`);
+      socket.emit('admin:success', `Jackpot reset to ${pool.amount} ETB`);
       broadcastRoomStatus();
       
-      logActivity('ADMIN_FORCE_START', { adminSocket: socket.id, roomStake }, socket.id);
+      logActivity('ADMIN_RESET_JACKPOT', { admin: admin.username, amount }, socket.id, {
+        before: { jackpot: previous },
+        after: { jackpot: pool.amount }
+      });
+    } catch (error) {
+      console.error('❌ Error resetting jackpot:', error);
+      socket.emit('admin:error', error.code ? error.message : 'Failed to reset jackpot');
     }
   });
   
-  socket.on('admin:forceEndGame', async (roomStake) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
-      return;
-    }
+  // Removes a player from a room that hasn't started, releases the box and refunds the stake
+  socket.on('admin:kickPlayer', async (userId) => {
+    const admin = requireAdmin(socket, 'kick');
+    if (!admin) return;
     
-    const room = await Room.findOne({ stake: parseInt(roomStake) });
-    if (room) {
-      // Clear game timer
-      cleanupRoomTimer(roomStake);
+    try {
+      const user = await User.findOne({ userId: userId });
+      if (!user) {
+        socket.emit('admin:error', 'User not found');
+        return;
+      }
       
-      // Store players list before clearing
-      const playersInRoom = [...room.players];
+      const room = await Room.findOne({ players: userId, status: { $in: ['waiting', 'starting'] } });
+      if (!room) {
+        const playing = await Room.exists({ players: userId, status: 'playing' });
+        socket.emit('admin:error', playing ? 'Cannot kick during an active game' : `${user.userName} is not in a waiting room`);
+        return;
+      }
       
-      // Return funds to all players
-      for (const userId of playersInRoom) {
-        const user = await User.findOne({ userId: userId });
-        if (user) {
-          user.balance += roomStake;
-          user.currentRoom = null;
-          user.box = null;
-          await user.save();
-          
-          const transaction = new Transaction({
-            type: 'REFUND',
-            userId: userId,
-            userName: user.userName,
-            amount: roomStake,
-            room: roomStake,
-            description: `Game force ended by admin - stake refunded`
-          });
-          await transaction.save();
-          
-          // Notify player
-          for (const [sId, uId] of socketToUser.entries()) {
-            if (uId === userId) {
-              const s = io.sockets.sockets.get(sId);
-              if (s) {
-                s.emit('gameOver', {
-                  room: roomStake,
-                  winnerId: 'ADMIN',
-                  winnerName: 'Admin',
-                  prize: 0,
-                  basePrize: 0,
-                  bonus: 0,
-                  playersCount: playersInRoom.length,
-                  isFourCornersWin: false,
-                  gameEnded: true,
-                  reason: 'admin_ended',
-                  commissionPerPlayer: CONFIG.HOUSE_COMMISSION[roomStake] || 0
-                });
-                s.emit('balanceUpdate', user.balance);
-              }
-            }
+      const playerBoxes = getPlayerCards(room, userId).map(card => card.box);
+      const { user: updatedUser, refunded, cards } = await removePlayerAndRefund(room, userId, `Removed from room by admin - stake refunded`);
+      if (!refunded) {
+        socket.emit('admin:error', 'Game already started - player was not removed');
+        return;
+      }
+      
+      const updatedRoom = await Room.findById(room._id);
+      const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
+      
+      // Tell the kicked player
+      for (const [sId, uId] of socketToUser.entries()) {
+        if (uId === userId) {
+          const s = io.sockets.sockets.get(sId);
+          if (s) {
+            s.emit('kicked', { room: room.stake, boxes: playerBoxes, refunded: getRoomPrice(room) * cards, message: 'You were removed from the room by an admin. Your stake has been refunded.' });
+            s.emit('balanceUpdate', updatedUser.balance);
           }
         }
       }
       
-      // Clear room data
-      room.players = [];
-      room.takenBoxes = [];
-      room.status = 'ended';
-      room.endTime = new Date();
-      room.lastBoxUpdate = new Date();
-      await room.save();
-      
-      // Broadcast empty boxes
-      broadcastTakenBoxes(roomStake, []);
+      // Tell everyone watching the room
+      broadcastTakenBoxes(room.stake, updatedRoom.takenBoxes);
+      const watchers = new Set(roomSubscriptions.get(room.stake) || []);
+      onlinePlayers.forEach(playerUserId => {
+        for (const [sId, uId] of socketToUser.entries()) {
+          if (uId === playerUserId) watchers.add(sId);
+        }
+      });
+      watchers.forEach(socketId => {
+        const s = io.sockets.sockets.get(socketId);
+        if (s) {
+          s.emit('playerKicked', { room: room.stake, boxes: playerBoxes, playerName: user.userName });
+          s.emit('lobbyUpdate', { room: room.stake, count: onlinePlayers.length });
+        }
+      });
       
-      socket.emit('admin:success', `Force ended ${roomStake} ETB game`);
+      socket.emit('admin:success', `Kicked ${user.userName} from ${getRoomLabel(room)} and refunded ${getRoomPrice(room) * cards} ETB`);
       broadcastRoomStatus();
+      updateAdminPanel();
       
-      logActivity('ADMIN_FORCE_END', { adminSocket: socket.id, roomStake }, socket.id);
+      logActivity('ADMIN_KICK', { admin: admin.username, userId, room: room.stake, boxes: playerBoxes }, socket.id, {
+        before: { room: room.stake, boxes: playerBoxes, balance: updatedUser.balance - getRoomPrice(room) * cards },
+        after: { room: null, boxes: [], balance: updatedUser.balance }
+      });
+    } catch (error) {
+      console.error('❌ Error kicking player:', error);
+      socket.emit('admin:error', error.code ? error.message : 'Failed to kick player');
     }
   });
   
-  socket.on('admin:clearBoxes', async (roomStake) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
-      return;
+  // Drops every socket of a user; a game in progress keeps them as a player
+  socket.on('admin:disconnectUser', async (userId) => {
+    const admin = requireAdmin(socket, 'disconnectUser');
+    if (!admin) return;
+    
+    const userSockets = [];
+    for (const [sId, uId] of socketToUser.entries()) {
+      if (uId === userId) {
+        userSockets.push(sId);
+        socketToUser.delete(sId);
+      }
     }
     
-    const room = await Room.findOne({ stake: parseInt(roomStake) });
-    if (!room) {
-      socket.emit('admin:error', 'Room not found');
+    if (userSockets.length === 0) {
+      socket.emit('admin:error', 'User has no connected sockets');
       return;
     }
     
-    // Store players list before clearing
-    const playersInRoom = [...room.players];
-    
-    // Refund all players
-    for (const userId of playersInRoom) {
-      const user = await User.findOne({ userId: userId });
-      if (user) {
-        user.balance += roomStake;
-        user.currentRoom = null;
-        user.box = null;
-        await user.save();
-        
-        const transaction = new Transaction({
-          type: 'REFUND',
-          userId: userId,
-          userName: user.userName,
-          amount: roomStake,
-          room: roomStake,
-          description: `Boxes cleared by admin - stake refunded`
-        });
-        await transaction.save();
-        
-        // Notify player
-        for (const [sId, uId] of socketToUser.entries()) {
-          if (uId === userId) {
-            const s = io.sockets.sockets.get(sId);
-            if (s) {
-              s.emit('boxesCleared', { room: roomStake, adminCleared: true, reason: 'admin_cleared' });
-              s.emit('balanceUpdate', user.balance);
-              s.emit('lobbyUpdate', { room: roomStake, count: 0 });
-            }
-          }
-        }
+    userSockets.forEach(sId => {
+      const s = io.sockets.sockets.get(sId);
+      if (s) {
+        s.emit('forceDisconnected', { message: 'You were disconnected by an admin.' });
+        s.disconnect(true);
       }
-    }
-    
-    // Clear room
-    room.players = [];
-    room.takenBoxes = [];
-    room.status = 'waiting';
-    room.lastBoxUpdate = new Date();
-    await room.save();
+    });
     
-    // Broadcast cleared boxes
-    broadcastTakenBoxes(roomStake, []);
-    socket.emit('admin:success', `Cleared all boxes in ${roomStake} ETB room`);
+    socket.emit('admin:success', `Disconnected ${userSockets.length} socket(s) for user ${userId}`);
+    updateAdminPanel();
     
-    logActivity('ADMIN_CLEAR_BOXES', { adminSocket: socket.id, roomStake }, socket.id);
+    logActivity('ADMIN_DISCONNECT_USER', { admin: admin.username, userId, sockets: userSockets.length }, socket.id, {
+      before: { sockets: userSockets },
+      after: { sockets: [] }
+    });
   });
   
-  // ⭐⭐ ADDED: Admin debugging for countdown
-  socket.on('admin:debugCountdown', async (roomStake) => {
-    if (!adminSockets.has(socket.id)) {
-      socket.emit('admin:error', 'Unauthorized');
-      return;
+  socket.on('admin:getAuditLog', async (filters) => {
+    const admin = requireAdmin(socket, 'view');
+    if (!admin) return;
+    
+    try {
+      const query = buildAuditLogQuery(filters);
+      const [entries, total, types, actors] = await Promise.all([
+        AuditLog.find(query).sort({ createdAt: -1 }).limit(200).lean(),
+        AuditLog.countDocuments(query),
+        AuditLog.distinct('type'),
+        AuditLog.distinct('actor')
+      ]);
+      
+      socket.emit('admin:auditLog', { entries, total, types, actors });
+    } catch (error) {
+      console.error('❌ Error loading audit log:', error);
+      socket.emit('admin:error', 'Failed to load audit log');
     }
+  });
+  
+  socket.on('admin:exportAuditLog', async (filters) => {
+    const admin = requireAdmin(socket, 'view');
+    if (!admin) return;
     
-    const room = await Room.findOne({ stake: parseInt(roomStake) });
-    if (room) {
-      const onlinePlayers = await getOnlinePlayersInRoom(room.stake);
+    try {
+      const entries = await AuditLog.find(buildAuditLogQuery(filters)).sort({ createdAt: -1 }).limit(10000).lean();
+      socket.emit('admin:auditLogExport', entries);
       
-      socket.emit('admin:success', `Room ${roomStake}: ${room.status}, ${onlinePlayers.length} online, ${room.players.length} total, countdown active: ${roomTimers.has(`countdown_${roomStake}`)}`);
+      logActivity('ADMIN_EXPORT_AUDIT_LOG', { admin: admin.username, filters: filters || {}, rows: entries.length }, socket.id);
+    } catch (error) {
+      console.error('❌ Error exporting audit log:', error);
+      socket.emit('admin:error', 'Failed to export audit log');
     }
   });
   
   // Player events
   socket.on('init', async (data, callback) => {
     try {
-      const { userId, userName } = data;
+      const { initData } = data || {};
+      let userId = null;
+      let userName = null;
+      let telegramUsername = null;
+      
+      if (initData) {
+        // Telegram users are identified only by the signed initData
+        const auth = verifyTelegramInitData(initData);
+        if (!auth.valid) {
+          console.log(`❌ Telegram auth failed for socket ${socket.id}: ${auth.reason}`);
+          socket.emit('authError', { message: auth.reason });
+          if (callback) callback({ success: false, message: auth.reason });
+          return;
+        }
+        
+        userId = `tg_${auth.user.id}`;
+        userName = auth.user.first_name || auth.user.username || 'Player';
+        telegramUsername = auth.user.username || null;
+      } else if (CONFIG.DEMO_MODE && typeof data?.userId === 'string' && data.userId.startsWith('guest_')) {
+        userId = data.userId;
+        userName = data.userName || 'Guest';
+      } else {
+        const message = CONFIG.DEMO_MODE
+          ? 'Open the game from Telegram or use a guest ID'
+          : 'Please open the game from Telegram';
+        socket.emit('authError', { message });
+        if (callback) callback({ success: false, message });
+        return;
+      }
       
-      console.log(`📱 User init: ${userName} (${userId}) via socket ${socket.id}`);
+      // A socket stays bound to the first user it authenticated as
+      if (socket.userId && socket.userId !== userId) {
+        console.log(`🚨 Socket ${socket.id} tried to switch from ${socket.userId} to ${userId}`);
+        if (callback) callback({ success: false, message: 'Socket already bound to another user' });
+        return;
+      }
       
-      // Store userId on socket for tracking
-      socket.userId = userId;
+      console.log(`📱 User init: ${userName} (${userId}) via socket ${socket.id}`);
       
       const user = await getUser(userId, userName);
       
+      if (user && await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        console.log(`🚫 Banned user ${user.userName} (${userId}) tried to connect`);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
+        return;
+      }
+      
       if (user) {
-        // Store in socketToUser map
+        // Bind the socket to the verified user
+        socket.userId = userId;
         socketToUser.set(socket.id, userId);
         
         // Also update user's lastSeen immediately
-        await User.findOneAndUpdate(
-          { userId: userId },
-          { 
-            isOnline: true,
-            lastSeen: new Date(),
-            sessionCount: (user.sessionCount || 0) + 1
-          }
-        );
+        const onlineUpdate = { 
+          isOnline: true,
+          lastSeen: new Date(),
+          sessionCount: (user.sessionCount || 0) + 1
+        };
+        if (telegramUsername) {
+          onlineUpdate.telegramUsername = telegramUsername;
+        }
+        await User.findOneAndUpdate({ userId: userId }, onlineUpdate);
         
         socket.emit('balanceUpdate', user.balance);
         socket.emit('userData', {
           userId: userId,
           userName: user.userName,
           balance: user.balance,
-          referralCode: user.referralCode
+          referralCode: user.referralCode,
+          autoDaub: user.autoDaub,
+          autoClaim: user.autoClaim
         });
         
         socket.emit('connected', { message: 'Successfully connected to Bingo Elite' });
@@ -1586,7 +6148,7 @@ io.on('connection', (socket) => {
       
       if (roomData.status === 'starting' && roomData.countdownStartTime) {
         const elapsed = Date.now() - roomData.countdownStartTime;
-        const secondsRemaining = Math.max(0, CONFIG.COUNTDOWN_TIMER - Math.floor(elapsed / 1000));
+        const secondsRemaining = Math.max(0, getRoomCountdown(roomData) - Math.floor(elapsed / 1000));
         const onlinePlayers = await getOnlinePlayersInRoom(room);
         
         if (callback) {
@@ -1679,16 +6241,17 @@ io.on('connection', (socket) => {
         return;
       }
       
-      const user = await User.findOne({ userId: userId });
+      let user = await User.findOne({ userId: userId });
       if (!user) {
         socket.emit('error', 'User not found');
         if (callback) callback({ success: false, message: 'User not found' });
         return;
       }
       
-      if (user.balance < room) {
-        socket.emit('insufficientFunds');
-        if (callback) callback({ success: false, message: 'Insufficient funds' });
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
         return;
       }
       
@@ -1698,10 +6261,27 @@ io.on('connection', (socket) => {
         status: { $in: ['waiting', 'starting', 'playing'] } 
       });
       
+      // Only enabled catalog rooms are created on demand - a closed private room stays closed
+      if (!roomData && !isRoomTypeEnabled(room)) {
+        socket.emit('error', 'Room not found or closed');
+        if (callback) callback({ success: false, message: 'Room not found' });
+        return;
+      }
+      
+      // A disabled room finishes its current game but sells no more tickets
+      if (roomData && !roomData.isPrivate && !isRoomTypeEnabled(room)) {
+        socket.emit('error', 'This room is closed');
+        if (callback) callback({ success: false, message: 'Room closed' });
+        return;
+      }
+      
       if (!roomData) {
         // Create a new active room if none exists
+        const roomType = getRoomType(room);
         roomData = new Room({
           stake: room,
+          variant: roomType.variant,
+          winPatterns: roomType.winPatterns,
           players: [],
           takenBoxes: [],
           status: 'waiting',
@@ -1720,8 +6300,35 @@ io.on('connection', (socket) => {
         return;
       }
       
-      if (box < 1 || box > 100) {
-        socket.emit('error', 'Invalid box number. Must be between 1 and 100');
+      if (roomData.isPrivate && !roomData.players.includes(userId)) {
+        if (roomData.tournamentId) {
+          if (!await Tournament.exists({ _id: roomData.tournamentId, status: 'running', 'entrants.userId': userId })) {
+            socket.emit('error', 'Only registered players can play in this tournament');
+            if (callback) callback({ success: false, message: 'Not registered for this tournament' });
+            return;
+          }
+        } else if (normalizeInviteCode(data.inviteCode) !== roomData.inviteCode) {
+          socket.emit('error', 'This private room needs its invite code');
+          if (callback) callback({ success: false, message: 'Invite code required' });
+          return;
+        }
+        if (roomData.players.length >= roomData.maxPlayers) {
+          socket.emit('error', `This private room is full (${roomData.maxPlayers} players)`);
+          if (callback) callback({ success: false, message: 'Room is full' });
+          return;
+        }
+      }
+      
+      const price = getRoomPrice(roomData);
+      if (user.balance < price) {
+        socket.emit('insufficientFunds');
+        if (callback) callback({ success: false, message: 'Insufficient funds' });
+        return;
+      }
+      
+      const boxCount = getBoxCount(roomData);
+      if (!Number.isInteger(box) || box < 1 || box > boxCount) {
+        socket.emit('error', `Invalid box number. Must be between 1 and ${boxCount}`);
         if (callback) callback({ success: false, message: 'Invalid box number' });
         return;
       }
@@ -1732,39 +6339,79 @@ io.on('connection', (socket) => {
         return;
       }
       
-      if (user.currentRoom) {
-        if (user.currentRoom === room) {
-          socket.emit('joinedRoom');
-          if (callback) callback({ success: true, message: 'Already in room' });
-          return;
-        }
+      if (user.currentRoom && user.currentRoom !== room) {
         socket.emit('error', 'Already in a different room');
         if (callback) callback({ success: false, message: 'Already in different room' });
         return;
       }
       
-      // Update user balance and room info
-      user.balance -= room;
-      user.totalWagered = (user.totalWagered || 0) + room;
-      user.currentRoom = room;
-      user.box = box;
-      await user.save();
+      // Regulars can play up to CONFIG.MAX_CARDS_PER_PLAYER cards, each charged the full stake
+      const maxCards = getMaxCards(roomData);
+      const ownedCards = user.currentRoom === room ? getPlayerCards(roomData, userId).length : 0;
+      if (ownedCards >= maxCards) {
+        socket.emit('error', `You already have the maximum of ${maxCards} card${maxCards > 1 ? 's' : ''}`);
+        if (callback) callback({ success: false, message: 'Card limit reached' });
+        return;
+      }
       
-      // Record transaction
-      const transaction = new Transaction({
-        type: 'STAKE',
-        userId: user.userId,
-        userName: user.userName,
-        amount: -room,
-        room: room,
-        description: `Joined ${room} ETB room with ticket ${box}`
-      });
-      await transaction.save();
+      // Charge the stake and take the box in one transaction - either both happen or neither
+      const card = generateRoomCard(roomData, box);
+      try {
+        user = await withWalletSession(async (session) => {
+          const chargedUser = await moveFunds(session, {
+            userId: userId,
+            amount: -price,
+            type: 'STAKE',
+            room: room,
+            description: ownedCards > 0 ? `Bought card ${ownedCards + 1} in ${getRoomLabel(roomData)} with ticket ${box}` : `Joined ${getRoomLabel(roomData)} with ticket ${box}`,
+            guard: { currentRoom: ownedCards > 0 ? room : null },
+            set: ownedCards > 0 ? null : { currentRoom: room, box: box },
+            inc: { totalWagered: price }
+          });
+          
+          // The card count is re-checked here so two sockets can't both buy the last allowed card
+          const roomUpdate = await Room.updateOne(
+            {
+              _id: roomData._id,
+              status: { $in: ['waiting', 'starting'] },
+              takenBoxes: { $ne: box },
+              $expr: {
+                $lt: [
+                  { $size: { $filter: { input: '$cards', cond: { $eq: ['$$this.userId', userId] } } } },
+                  maxCards
+                ]
+              },
+              // A private room's last seat can only go to one newcomer
+              ...(roomData.isPrivate ? { $or: [{ players: userId }, { [`players.${roomData.maxPlayers - 1}`]: { $exists: false } }] } : {})
+            },
+            {
+              $addToSet: { players: userId },
+              $push: { takenBoxes: box, cards: { userId: userId, box: box, grid: card } },
+              $set: { lastBoxUpdate: new Date() }
+            },
+            { session }
+          );
+          if (roomUpdate.modifiedCount === 0) {
+            throw walletError('BOX_TAKEN', 'Box already taken');
+          }
+          
+          return chargedUser;
+        });
+      } catch (error) {
+        if (error.code === WALLET_ERRORS.INSUFFICIENT_FUNDS) {
+          socket.emit('insufficientFunds');
+        } else if (error.code === 'BOX_TAKEN') {
+          socket.emit('boxTaken');
+        } else if (error.code) {
+          socket.emit('error', error.message);
+        } else {
+          throw error;
+        }
+        if (callback) callback({ success: false, message: error.message });
+        return;
+      }
       
-      // Update room
-      roomData.players.push(user.userId);
-      roomData.takenBoxes.push(box);
-      roomData.lastBoxUpdate = new Date();
+      roomData = await Room.findById(roomData._id);
       
       const onlinePlayers = await getOnlinePlayersInRoom(room);
       
@@ -1776,11 +6423,20 @@ io.on('connection', (socket) => {
       // 🚨 CRITICAL: BROADCAST REAL-TIME BOX UPDATE
       broadcastTakenBoxes(room, roomData.takenBoxes, box, user.userName);
       
-      await roomData.save();
-      
       // Send success to joining player
       socket.emit('joinedRoom');
+      socket.emit('cardAssigned', {
+        room: room,
+        box: box,
+        grid: card,
+        cards: getPlayerCards(roomData, userId).map(c => ({ box: c.box, grid: c.grid })),
+        maxCards: maxCards,
+        variant: describeVariant(roomData),
+        patterns: describeWinPatterns(getRoomWinPatterns(roomData), getRoomVariant(roomData).patterns),
+        stages: describePrizeStages(roomData)
+      });
       socket.emit('balanceUpdate', user.balance);
+      awardReferralReward(userId, 'play');
       
       // Send lobby update to ALL players in the room
       const playersInRoom = roomData.players;
@@ -1801,18 +6457,19 @@ io.on('connection', (socket) => {
       // ⭐⭐ UPDATED: Send immediate countdown update if room is starting
       if (roomData.status === 'starting' && roomData.countdownStartTime) {
         const elapsed = Date.now() - roomData.countdownStartTime;
-        const secondsRemaining = Math.max(0, CONFIG.COUNTDOWN_TIMER - Math.floor(elapsed / 1000));
+        const secondsRemaining = Math.max(0, getRoomCountdown(roomData) - Math.floor(elapsed / 1000));
         
         // Send immediate countdown update to the joining player
         socket.emit('gameCountdown', {
           room: room,
           timer: secondsRemaining,
-          onlinePlayers: onlinePlayers.length
+          onlinePlayers: onlinePlayers.length,
+          serverSeedHash: roomData.serverSeedHash
         });
       }
       
-      // ⭐⭐ FIXED: Start countdown if we have at least 1 online player
-      if (onlinePlayers.length >= CONFIG.MIN_PLAYERS_TO_START && roomData.status === 'waiting') {
+      // ⭐⭐ FIXED: Start countdown if we have at least 1 online player (private rooms follow their start rule)
+      if (shouldStartCountdown(roomData, onlinePlayers.length)) {
         console.log(`🚀 STARTING COUNTDOWN for room ${room} with ${onlinePlayers.length} online player(s)!`);
         await startCountdownForRoom(roomData);
       } else {
@@ -1833,297 +6490,578 @@ io.on('connection', (socket) => {
       broadcastRoomStatus();
       updateAdminPanel();
       
-      logActivity('BOX_TAKEN', { 
-        userId: user.userId, 
-        userName: user.userName, 
-        room, 
-        box,
-        takenBoxes: roomData.takenBoxes.length,
-        playerCount: roomData.players.length,
-        onlinePlayers: onlinePlayers.length
+      logActivity('BOX_TAKEN', { 
+        userId: user.userId, 
+        userName: user.userName, 
+        room, 
+        box,
+        takenBoxes: roomData.takenBoxes.length,
+        playerCount: roomData.players.length,
+        onlinePlayers: onlinePlayers.length
+      });
+      
+      if (callback) {
+        callback({ 
+          success: true, 
+          message: 'Joined room successfully',
+          onlinePlayers: onlinePlayers.length,
+          box: box,
+          grid: card
+        });
+      }
+      
+    } catch (error) {
+      console.error('Error joining room:', error);
+      socket.emit('error', 'Server error while joining room');
+      if (callback) callback({ success: false, message: 'Server error' });
+    }
+  });
+  
+  // ========== ✅✅✅ FIXED CLAIM BINGO LOGIC WITH DOUBLE CLAIM PROTECTION ==========
+  socket.on('claimBingo', async (data, callback) => {
+    try {
+      const { room, marked, box } = data;
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      
+      if (!userId) {
+        socket.emit('error', 'Player not initialized');
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      
+      // Checked before any database work so spammed claims stay cheap
+      if (isClaimRateLimited(userId)) {
+        if (callback) callback({ success: false, rateLimited: true, message: 'Too many claims - wait a few seconds' });
+        return;
+      }
+      
+      const user = await User.findOne({ userId: userId });
+      if (!user) {
+        socket.emit('error', 'User not found');
+        if (callback) callback({ success: false, message: 'User not found' });
+        return;
+      }
+      
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
+        return;
+      }
+      
+      const roomStake = parseInt(room);
+      
+      const roomData = await Room.findOne({ stake: roomStake, status: 'playing' });
+      if (!roomData) {
+        socket.emit('error', 'Game not found or not in progress');
+        if (callback) callback({ success: false, message: 'Game not found or not in progress' });
+        return;
+      }
+      
+      if (!roomData.players.includes(userId)) {
+        socket.emit('error', 'You are not in this game');
+        if (callback) callback({ success: false, message: 'You are not in this game' });
+        return;
+      }
+      
+      // Only the card stored when the stake was charged is checked - never a client grid.
+      // Claims name the card (box) they are for; older clients without a box claim their first card.
+      const playerCards = getPlayerCards(roomData, userId);
+      const playerCard = box === undefined || box === null
+        ? playerCards[0]
+        : playerCards.find(c => c.box === Number(box));
+      if (!playerCard) {
+        socket.emit('error', 'No card found for this game');
+        if (callback) callback({ success: false, message: 'No card found for this game' });
+        return;
+      }
+      
+      console.log('🎯 BINGO CLAIM RECEIVED:');
+      console.log('   User:', user.userName);
+      console.log('   Room:', room);
+      console.log('   Card:', playerCard.box);
+      console.log('   Ball:', roomData.currentBall);
+      
+      // Convert marked numbers properly for comparison
+      const markedNumbers = (Array.isArray(marked) ? marked : []).map(item => {
+        if (item === 'FREE') return 'FREE';
+        return Number(item);
+      }).filter(item => !isNaN(item) || item === 'FREE');
+      
+      const result = registerClaim(roomData, user, playerCard, markedNumbers);
+      if (!result.success && result.invalid) {
+        await penalizeFalseClaim(roomData, user, playerCard);
+        if (isCardClaimLocked(roomData, playerCard)) {
+          result.locked = true;
+          result.message = `Invalid bingo claim - ${describeClaimLock(roomData, playerCard)}`;
+        }
+        socket.emit('error', 'Invalid bingo claim');
+      }
+      if (callback) callback(result);
+      
+    } catch (error) {
+      console.error('Error in claimBingo:', error);
+      socket.emit('error', 'Server error processing bingo claim');
+      if (callback) {
+        callback({ 
+          success: false, 
+          message: 'Server error processing bingo claim'
+        });
+      }
+    }
+  });
+  
+  // Opt in or out of auto-daub / auto-claim - turning auto-daub on mid-game marks the balls already drawn
+  socket.on('player:setAutoPlay', async (data = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      if (!userId) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      
+      const autoDaub = !!data.autoDaub;
+      const autoClaim = autoDaub && !!data.autoClaim;
+      const user = await User.findOneAndUpdate({ userId: userId }, { $set: { autoDaub, autoClaim } }, { new: true });
+      if (!user) {
+        if (callback) callback({ success: false, message: 'User not found' });
+        return;
+      }
+      
+      const marks = [];
+      if (autoDaub) {
+        const room = await Room.findOne({ players: userId, status: 'playing' });
+        if (room) {
+          const called = new Set(room.calledNumbers);
+          getPlayerCards(room, userId).forEach(card => {
+            card.marked = card.grid.filter(cell => cell !== 'FREE' && called.has(Number(cell))).map(Number);
+            marks.push({ box: card.box, marked: card.marked });
+          });
+          await room.save();
+        }
+      }
+      
+      console.log(`🤖 ${user.userName} auto-daub ${autoDaub ? 'on' : 'off'}, auto-claim ${autoClaim ? 'on' : 'off'}`);
+      if (callback) callback({ success: true, autoDaub, autoClaim, cards: marks });
+    } catch (error) {
+      console.error('Error updating auto-play settings:', error);
+      if (callback) callback({ success: false, message: 'Could not save your settings' });
+    }
+  });
+  
+  // ========== PRIVATE ROOMS ==========
+  socket.on('privateRoom:create', async (data = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const user = userId ? await User.findOne({ userId: userId }) : null;
+      if (!user) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
+        return;
+      }
+      
+      const { error, settings } = validatePrivateRoomSettings(data);
+      if (error) {
+        if (callback) callback({ success: false, message: error });
+        return;
+      }
+      
+      const openRooms = await Room.countDocuments({ hostUserId: userId, isPrivate: true, status: { $in: ['waiting', 'starting', 'playing'] } });
+      if (openRooms >= CONFIG.PRIVATE_ROOMS_PER_PLAYER) {
+        if (callback) callback({ success: false, message: `You already have ${openRooms} open private rooms` });
+        return;
+      }
+      
+      const room = await createPrivateRoom(settings, { hostUserId: userId, createdBy: user.userName });
+      console.log(`🔒 ${user.userName} created private room ${room.inviteCode} (${room.price} ETB, up to ${room.maxPlayers} players, ${room.startRule} start)`);
+      
+      if (callback) callback({ success: true, room: describePrivateRoom(room) });
+      updateAdminPanel();
+      
+      logActivity('PRIVATE_ROOM_CREATED', { userId, userName: user.userName, room: room.stake, inviteCode: room.inviteCode, price: room.price, maxPlayers: room.maxPlayers, startRule: room.startRule });
+    } catch (error) {
+      console.error('Error creating private room:', error);
+      if (callback) callback({ success: false, message: 'Could not create the room - please try again' });
+    }
+  });
+  
+  // Looks a room up by its invite code so the mini app can open its ticket picker
+  socket.on('privateRoom:join', async ({ code } = {}, callback) => {
+    try {
+      const inviteCode = normalizeInviteCode(code);
+      const room = inviteCode ? await Room.findOne({ inviteCode: inviteCode, isPrivate: true, status: { $in: ['waiting', 'starting', 'playing'] } }) : null;
+      if (!room) {
+        if (callback) callback({ success: false, message: 'No open private room with that code' });
+        return;
+      }
+      
+      if (callback) callback({ success: true, room: describePrivateRoom(room) });
+    } catch (error) {
+      console.error('Error looking up private room:', error);
+      if (callback) callback({ success: false, message: 'Could not find the room - please try again' });
+    }
+  });
+  
+  // Host-start rooms begin their countdown when the host asks
+  socket.on('privateRoom:start', async ({ room: roomStake } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const room = await Room.findOne({ stake: parseInt(roomStake), isPrivate: true });
+      if (!room || !userId || room.hostUserId !== userId) {
+        if (callback) callback({ success: false, message: 'Only the host can start this room' });
+        return;
+      }
+      if (room.status !== 'waiting') {
+        if (callback) callback({ success: false, message: 'The game is already starting' });
+        return;
+      }
+      if (room.players.length === 0) {
+        if (callback) callback({ success: false, message: 'Nobody has bought a ticket yet' });
+        return;
+      }
+      
+      console.log(`🚀 Host started private room ${room.inviteCode} with ${room.players.length} player(s)`);
+      await startCountdownForRoom(room);
+      if (callback) callback({ success: true });
+      updateAdminPanel();
+    } catch (error) {
+      console.error('Error starting private room:', error);
+      if (callback) callback({ success: false, message: 'Could not start the room' });
+    }
+  });
+  
+  // ========== TOURNAMENTS ==========
+  socket.on('tournament:list', async (data, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const tournaments = await listTournaments();
+      if (callback) callback({ success: true, tournaments: tournaments.map(tournament => describeTournament(tournament, userId)) });
+    } catch (error) {
+      console.error('Error listing tournaments:', error);
+      if (callback) callback({ success: false, message: 'Could not load tournaments' });
+    }
+  });
+  
+  // Pays the buy-in and adds the player in one transaction - only while registration is open
+  socket.on('tournament:register', async ({ id } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      let user = userId ? await User.findOne({ userId: userId }) : null;
+      if (!user) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
+        return;
+      }
+      
+      const tournament = mongoose.isValidObjectId(id) ? await Tournament.findById(id) : null;
+      if (!tournament || tournament.status !== 'scheduled') {
+        if (callback) callback({ success: false, message: 'Registration for this tournament is closed' });
+        return;
+      }
+      if (user.balance < tournament.buyIn) {
+        socket.emit('insufficientFunds');
+        if (callback) callback({ success: false, message: `The buy-in is ${tournament.buyIn} ETB` });
+        return;
+      }
+      
+      try {
+        user = await withWalletSession(async (session) => {
+          const entered = await Tournament.updateOne(
+            {
+              _id: tournament._id,
+              status: 'scheduled',
+              'entrants.userId': { $ne: userId },
+              [`entrants.${tournament.maxEntrants - 1}`]: { $exists: false }
+            },
+            { $push: { entrants: { userId: userId, userName: user.userName, joinedAt: new Date() } } },
+            { session }
+          );
+          if (entered.modifiedCount === 0) {
+            throw walletError('TOURNAMENT_CLOSED', 'Already registered, or the tournament is full');
+          }
+          
+          if (tournament.buyIn <= 0) return user;
+          return moveFunds(session, {
+            userId: userId,
+            amount: -tournament.buyIn,
+            type: 'TOURNAMENT_BUYIN',
+            description: `Buy-in for tournament "${tournament.name}"`,
+            inc: { totalWagered: tournament.buyIn }
+          });
+        });
+      } catch (error) {
+        if (error.code === WALLET_ERRORS.INSUFFICIENT_FUNDS) {
+          socket.emit('insufficientFunds');
+        } else if (!error.code) {
+          throw error;
+        }
+        if (callback) callback({ success: false, message: error.message });
+        return;
+      }
+      
+      console.log(`🏆 ${user.userName} registered for tournament "${tournament.name}"`);
+      socket.emit('balanceUpdate', user.balance);
+      if (callback) callback({ success: true, tournament: describeTournament(await Tournament.findById(tournament._id), userId) });
+      broadcastTournamentsChanged();
+      
+      logActivity('TOURNAMENT_REGISTER', { userId, userName: user.userName, tournament: tournament.name, buyIn: tournament.buyIn });
+    } catch (error) {
+      console.error('Error registering for tournament:', error);
+      if (callback) callback({ success: false, message: 'Could not register - please try again' });
+    }
+  });
+  
+  // Withdraws before the start and refunds the buy-in
+  socket.on('tournament:unregister', async ({ id } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const tournament = userId && mongoose.isValidObjectId(id) ? await Tournament.findById(id) : null;
+      if (!tournament || tournament.status !== 'scheduled') {
+        if (callback) callback({ success: false, message: 'You can only leave before the tournament starts' });
+        return;
+      }
+      
+      let left = false;
+      const user = await withWalletSession(async (session) => {
+        left = false;
+        const removed = await Tournament.updateOne(
+          { _id: tournament._id, status: 'scheduled', 'entrants.userId': userId },
+          { $pull: { entrants: { userId: userId } } },
+          { session }
+        );
+        if (removed.modifiedCount === 0) return null;
+        
+        left = true;
+        if (tournament.buyIn <= 0) return User.findOne({ userId: userId }).session(session);
+        return moveFunds(session, {
+          userId: userId,
+          amount: tournament.buyIn,
+          type: 'REFUND',
+          description: `Left tournament "${tournament.name}" - buy-in refunded`
+        });
       });
       
-      if (callback) {
-        callback({ 
-          success: true, 
-          message: 'Joined room successfully',
-          onlinePlayers: onlinePlayers.length
-        });
+      if (!left) {
+        if (callback) callback({ success: false, message: 'You are not registered for this tournament' });
+        return;
       }
       
+      socket.emit('balanceUpdate', user.balance);
+      if (callback) callback({ success: true, tournament: describeTournament(await Tournament.findById(tournament._id), userId) });
+      broadcastTournamentsChanged();
+      
+      logActivity('TOURNAMENT_UNREGISTER', { userId, userName: user.userName, tournament: tournament.name, refunded: tournament.buyIn });
     } catch (error) {
-      console.error('Error joining room:', error);
-      socket.emit('error', 'Server error while joining room');
-      if (callback) callback({ success: false, message: 'Server error' });
+      console.error('Error leaving tournament:', error);
+      if (callback) callback({ success: false, message: 'Could not leave the tournament - please try again' });
     }
   });
   
-  // ========== ✅✅✅ FIXED CLAIM BINGO LOGIC WITH DOUBLE CLAIM PROTECTION ==========
-  socket.on('claimBingo', async (data, callback) => {
+  // ========== WITHDRAWALS ==========
+  socket.on('withdrawal:list', async (data, callback) => {
     try {
-      const { room, grid, marked } = data;
       const userId = socketToUser.get(socket.id) || socket.userId;
-      
       if (!userId) {
-        socket.emit('error', 'Player not initialized');
         if (callback) callback({ success: false, message: 'Player not initialized' });
         return;
       }
       
-      const user = await User.findOne({ userId: userId });
+      const requests = await WithdrawalRequest.find({ userId: userId }).sort({ createdAt: -1 }).limit(20);
+      if (callback) callback({
+        success: true,
+        withdrawals: requests.map(describeWithdrawal),
+        methods: CONFIG.WITHDRAWAL_METHODS,
+        min: CONFIG.WITHDRAWAL_MIN,
+        max: CONFIG.WITHDRAWAL_MAX,
+        topUp: { enabled: !!getPaymentProvider(), min: CONFIG.DEPOSIT_MIN, max: CONFIG.DEPOSIT_MAX },
+        transfer: { min: CONFIG.TRANSFER_MIN, max: CONFIG.TRANSFER_MAX, feePercent: CONFIG.TRANSFER_FEE_PERCENT, dailyLimit: CONFIG.TRANSFER_DAILY_LIMIT }
+      });
+    } catch (error) {
+      console.error('Error listing withdrawals:', error);
+      if (callback) callback({ success: false, message: 'Could not load withdrawals' });
+    }
+  });
+  
+  socket.on('withdrawal:create', async (data = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const user = userId ? await User.findOne({ userId: userId }) : null;
       if (!user) {
-        socket.emit('error', 'User not found');
-        if (callback) callback({ success: false, message: 'User not found' });
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
         return;
       }
       
-      const roomStake = parseInt(room);
-      
-      // ⭐⭐ FIX: CHECK IF CLAIM IS ALREADY BEING PROCESSED FOR THIS ROOM
-      if (processingClaims.has(roomStake)) {
-        console.log(`🚨 DOUBLE CLAIM PREVENTED: Room ${roomStake} already has a claim being processed`);
-        socket.emit('error', 'A bingo claim is already being processed for this room');
-        if (callback) callback({ 
-          success: false, 
-          message: 'A bingo claim is already being processed. Please wait.' 
-        });
+      let result;
+      try {
+        result = await createWithdrawalRequest(user, data, 'app');
+      } catch (error) {
+        if (!error.code) throw error;
+        if (callback) callback({ success: false, message: error.message });
         return;
       }
       
-      // ⭐⭐ LOCK THE ROOM FOR CLAIM PROCESSING
-      processingClaims.set(roomStake, Date.now());
-      console.log(`🔒 Locked room ${roomStake} for claim processing by ${user.userName}`);
+      console.log(`💸 ${user.userName} requested a ${result.request.amount} ETB withdrawal #${getWithdrawalRef(result.request)}`);
+      socket.emit('balanceUpdate', result.user.balance);
+      if (callback) callback({ success: true, withdrawal: describeWithdrawal(result.request) });
+      updateAdminPanel();
       
-      const roomData = await Room.findOne({ stake: roomStake, status: 'playing' });
-      if (!roomData) {
-        processingClaims.delete(roomStake); // Release lock
-        socket.emit('error', 'Game not found or not in progress');
-        if (callback) callback({ success: false, message: 'Game not found or not in progress' });
+      logActivity('WITHDRAWAL_REQUEST', { userId, userName: user.userName, amount: result.request.amount, method: result.request.method, source: 'app' });
+    } catch (error) {
+      console.error('Error creating withdrawal:', error);
+      if (callback) callback({ success: false, message: 'Could not request the withdrawal - please try again' });
+    }
+  });
+  
+  socket.on('referral:summary', async (data, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const user = userId ? await User.findOne({ userId: userId }) : null;
+      if (!user) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
         return;
       }
-      
-      if (!roomData.players.includes(userId)) {
-        processingClaims.delete(roomStake); // Release lock
-        socket.emit('error', 'You are not in this game');
-        if (callback) callback({ success: false, message: 'You are not in this game' });
+      if (callback) callback({ success: true, summary: await getReferralSummary(user) });
+    } catch (error) {
+      console.error('Error loading referrals:', error);
+      if (callback) callback({ success: false, message: 'Could not load your referrals' });
+    }
+  });
+  
+  // ========== TRANSFERS ==========
+  // preview is the confirmation step: it names the receiver and the fee without moving money
+  socket.on('transfer:preview', async ({ recipient, amount } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const user = userId ? await User.findOne({ userId: userId }) : null;
+      if (!user) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
         return;
       }
       
-      console.log('🎯 BINGO CLAIM RECEIVED:');
-      console.log('   User:', user.userName);
-      console.log('   Room:', room);
-      console.log('   Processing lock active:', processingClaims.has(roomStake));
-      
-      // Convert marked numbers properly for comparison
-      const markedNumbers = marked.map(item => {
-        if (item === 'FREE') return 'FREE';
-        return Number(item);
-      }).filter(item => !isNaN(item) || item === 'FREE');
-      
-      // Check if bingo is valid
-      const bingoCheck = checkBingo(markedNumbers, grid);
-      if (!bingoCheck.isBingo) {
-        processingClaims.delete(roomStake); // Release lock
-        console.log('❌ Invalid bingo claim - no winning pattern found');
-        socket.emit('error', 'Invalid bingo claim');
-        if (callback) callback({ success: false, message: 'Invalid bingo claim - no winning pattern' });
+      const target = await findTransferRecipient(recipient);
+      const { transfer, error } = validateTransfer(user, target, amount);
+      if (error) {
+        if (callback) callback({ success: false, message: error });
         return;
       }
       
-      const isFourCornersWin = bingoCheck.isFourCorners;
-      
-      // Calculate total prize correctly
-      const commissionPerPlayer = CONFIG.HOUSE_COMMISSION[room] || 0;
-      const contributionPerPlayer = room - commissionPerPlayer;
-      const totalPlayers = roomData.players.length;
-      
-      // Base prize is total contributions from ALL players
-      const basePrize = contributionPerPlayer * totalPlayers;
-      
-      // Four corners bonus
-      let bonus = 0;
-      if (isFourCornersWin) {
-        bonus = CONFIG.FOUR_CORNERS_BONUS;
+      if (callback) callback({ success: true, preview: describeTransferPreview(target, transfer) });
+    } catch (error) {
+      console.error('Error previewing transfer:', error);
+      if (callback) callback({ success: false, message: 'Could not check the transfer - please try again' });
+    }
+  });
+  
+  socket.on('transfer:send', async ({ recipient, amount } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const user = userId ? await User.findOne({ userId: userId }) : null;
+      if (!user) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
+        return;
       }
       
-      const totalPrize = basePrize + bonus;
-      
-      console.log(`🎰 WIN CALCULATION for ${room} ETB room:`);
-      console.log(`   Total players: ${totalPlayers}`);
-      console.log(`   Total prize: ${totalPrize} ETB`);
-      console.log(`   Is four corners: ${isFourCornersWin}`);
-      console.log(`   Bonus: ${bonus} ETB`);
-      
-      // Update user balance
-      const oldBalance = user.balance;
-      user.balance += totalPrize;
-      user.totalWins = (user.totalWins || 0) + 1;
-      user.totalBingos = (user.totalBingos || 0) + 1;
-      user.currentRoom = null;
-      user.box = null;
-      await user.save();
-      
-      console.log(`💰 User ${user.userName} won ${totalPrize} ETB (was ${oldBalance}, now ${user.balance})`);
-      
-      // Record transaction
-      const transactionType = isFourCornersWin ? 'WIN_FOUR_CORNERS' : 'WIN';
-      const transaction = new Transaction({
-        type: transactionType,
-        userId: userId,
-        userName: user.userName,
-        amount: totalPrize,
-        room: room,
-        description: `Bingo win in ${room} ETB room with ${totalPlayers} players${isFourCornersWin ? ' (Four Corners Bonus)' : ''}`
-      });
-      await transaction.save();
-      
-      // Record house earnings
-      const houseEarnings = commissionPerPlayer * totalPlayers;
-      const houseTransaction = new Transaction({
-        type: 'HOUSE_EARNINGS',
-        userId: 'HOUSE',
-        userName: 'House',
-        amount: houseEarnings,
-        room: room,
-        description: `Commission from ${totalPlayers} players in ${room} ETB room`
-      });
-      await houseTransaction.save();
-      
-      // Store players list BEFORE clearing
-      const playersInRoom = [...roomData.players];
-      
-      // ⭐⭐ FIXED: Clear game timer FIRST
-      cleanupRoomTimer(room);
-      
-      // Update room status
-      roomData.status = 'ended';
-      roomData.endTime = new Date();
-      roomData.lastBoxUpdate = new Date();
-      roomData.gameHistory.push({
-        timestamp: new Date(),
-        winner: userId,
-        winnerName: user.userName,
-        prize: totalPrize,
-        bonus: bonus,
-        basePrize: basePrize,
-        players: playersInRoom.length,
-        ballsDrawn: roomData.ballsDrawn,
-        isFourCorners: isFourCornersWin,
-        commissionCollected: houseEarnings
-      });
-      
-      // ✅ CRITICAL FIX: Now clear room data
-      roomData.players = [];
-      roomData.takenBoxes = [];
-      roomData.status = 'waiting';
-      roomData.calledNumbers = [];
-      roomData.currentBall = null;
-      roomData.ballsDrawn = 0;
-      roomData.startTime = null;
-      roomData.endTime = new Date();
-      roomData.lastBoxUpdate = new Date();
-      await roomData.save();
-      
-      // ⭐⭐ RELEASE THE PROCESSING LOCK
-      processingClaims.delete(roomStake);
-      console.log(`🔓 Released processing lock for room ${roomStake}`);
-      
-      // Create game over data
-      const gameOverData = {
-        room: room,
-        winnerId: userId,
-        winnerName: user.userName,
-        prize: totalPrize,
-        basePrize: basePrize,
-        bonus: bonus,
-        playersCount: playersInRoom.length,
-        isFourCornersWin: isFourCornersWin,
-        gameEnded: true,
-        reason: 'bingo_win',
-        commissionPerPlayer: commissionPerPlayer,
-        contributionPerPlayer: contributionPerPlayer,
-        houseEarnings: houseEarnings
-      };
+      let result;
+      try {
+        result = await transferFunds(user, await findTransferRecipient(recipient), amount, 'app');
+      } catch (error) {
+        if (!error.code) throw error;
+        if (callback) callback({ success: false, message: error.message });
+        return;
+      }
       
-      // Send immediate callback response to the winner
-      if (callback) {
-        callback({ 
-          success: true, 
-          message: 'BINGO claim received and being processed',
-          isFourCornersWin: isFourCornersWin
-        });
+      await notifyTransfer(result);
+      if (callback) callback({ success: true, reference: result.reference, amount: result.transfer.amount, recipientName: result.recipient.userName });
+    } catch (error) {
+      console.error('Error sending transfer:', error);
+      if (callback) callback({ success: false, message: 'Could not send the transfer - please try again' });
+    }
+  });
+  
+  socket.on('payment:createCheckout', async ({ amount } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const user = userId ? await User.findOne({ userId: userId }) : null;
+      if (!user) {
+        if (callback) callback({ success: false, message: 'Player not initialized' });
+        return;
+      }
+      if (await isUserBanned(user)) {
+        const banInfo = getBanInfo(user);
+        socket.emit('banned', banInfo);
+        if (callback) callback({ success: false, message: banInfo.message });
+        return;
       }
       
-      // Update all other players and notify everyone
-      for (const playerId of playersInRoom) {
-        if (playerId !== userId) {
-          const losingUser = await User.findOne({ userId: playerId });
-          if (losingUser) {
-            losingUser.currentRoom = null;
-            losingUser.box = null;
-            await losingUser.save();
-          }
-        }
-        
-        // Notify each player
-        for (const [sId, uId] of socketToUser.entries()) {
-          if (uId === playerId) {
-            const s = io.sockets.sockets.get(sId);
-            if (s) {
-              if (uId === userId) {
-                // Winner
-                s.emit('gameOver', gameOverData);
-                s.emit('balanceUpdate', user.balance);
-              } else {
-                // Loser
-                const losingUser = await User.findOne({ userId: playerId });
-                s.emit('gameOver', gameOverData);
-                if (losingUser) {
-                  s.emit('balanceUpdate', losingUser.balance);
-                }
-              }
-            }
-          }
-        }
+      let payment;
+      try {
+        payment = await createTopUpCheckout(user, amount);
+      } catch (error) {
+        if (!error.code) throw error;
+        if (callback) callback({ success: false, message: error.message });
+        return;
       }
       
-      // ✅ BROADCAST EMPTY BOXES and send boxesCleared event
-      broadcastTakenBoxes(room, []);
-      io.emit('boxesCleared', { room: room, reason: 'game_ended_bingo_win' });
+      console.log(`💳 ${user.userName} started a ${payment.amount} ETB top-up ${payment.reference} via ${payment.provider}`);
+      if (callback) callback({ success: true, reference: payment.reference, checkoutUrl: payment.checkoutUrl });
+    } catch (error) {
+      console.error('Error creating checkout:', error);
+      if (callback) callback({ success: false, message: 'Could not start the payment - please try again' });
+    }
+  });
+  
+  // Players can take back a request until an admin has looked at it
+  socket.on('withdrawal:cancel', async ({ id } = {}, callback) => {
+    try {
+      const userId = socketToUser.get(socket.id) || socket.userId;
+      const request = userId && mongoose.isValidObjectId(id) ? await WithdrawalRequest.findOne({ _id: id, userId: userId }) : null;
+      if (!request) {
+        if (callback) callback({ success: false, message: 'Withdrawal not found' });
+        return;
+      }
       
-      console.log(`🎮 Game ended with bingo win for room ${room}. Boxes cleared for next game.`);
+      const cancelled = await changeWithdrawalStatus(request._id, ['pending'], { status: 'cancelled' }, {
+        type: 'WITHDRAWAL_RELEASE',
+        description: 'cancelled by the player',
+        settle: 'refund',
+        admin: false
+      });
+      if (!cancelled) {
+        if (callback) callback({ success: false, message: 'This withdrawal is already being processed' });
+        return;
+      }
       
-      broadcastRoomStatus();
+      console.log(`↩️ ${cancelled.userName} cancelled withdrawal #${getWithdrawalRef(cancelled)}`);
+      await notifyWithdrawalStatus(cancelled);
+      if (callback) callback({ success: true, withdrawal: describeWithdrawal(cancelled) });
       updateAdminPanel();
       
-      logActivity('BINGO_WIN', { 
-        userId, 
-        userName: user.userName, 
-        room, 
-        prize: totalPrize, 
-        bonus, 
-        basePrize: basePrize,
-        isFourCorners: isFourCornersWin,
-        players: playersInRoom.length,
-        commissionCollected: houseEarnings
-      });
-      
+      logActivity('WITHDRAWAL_CANCEL', { userId, userName: cancelled.userName, amount: cancelled.amount });
     } catch (error) {
-      // ⭐⭐ RELEASE LOCK ON ERROR TOO
-      const roomStake = parseInt(data?.room);
-      if (roomStake && processingClaims.has(roomStake)) {
-        processingClaims.delete(roomStake);
-        console.log(`🔓 Released processing lock for room ${roomStake} due to error`);
-      }
-      
-      console.error('Error in claimBingo:', error);
-      socket.emit('error', 'Server error processing bingo claim');
-      if (callback) {
-        callback({ 
-          success: false, 
-          message: 'Server error processing bingo claim'
-        });
-      }
+      console.error('Error cancelling withdrawal:', error);
+      if (callback) callback({ success: false, message: 'Could not cancel - please try again' });
     }
   });
   
@@ -2155,14 +7093,14 @@ io.on('connection', (socket) => {
       
       console.log(`👤 Player ${userId} requesting to leave room`);
       
-      const user = await User.findOne({ userId: userId });
+      let user = await User.findOne({ userId: userId });
       if (!user || !user.currentRoom) {
         socket.emit('leftRoom', { message: 'Not in a room' });
         return;
       }
       
       const roomStake = user.currentRoom;
-      const room = await Room.findOne({ stake: roomStake });
+      let room = await Room.findOne({ stake: roomStake });
       
       if (!room) {
         // Clean up user if room doesn't exist
@@ -2180,60 +7118,34 @@ io.on('connection', (socket) => {
         return;
       }
       
-      // Remove user from room
-      const playerIndex = room.players.indexOf(userId);
-      const boxIndex = room.takenBoxes.indexOf(user.box);
-      
-      if (playerIndex > -1) {
-        room.players.splice(playerIndex, 1);
-      }
-      
-      if (boxIndex > -1) {
-        room.takenBoxes.splice(boxIndex, 1);
+      let refunded = false;
+      let cards = 0;
+      try {
+        ({ user, refunded, cards } = await removePlayerAndRefund(room, userId, `Left room before game start - stake refunded`));
+      } catch (error) {
+        console.error('Error refunding on leave:', error);
+        socket.emit('error', error.code ? error.message : 'Could not leave room - please try again');
+        return;
       }
       
-      room.lastBoxUpdate = new Date();
+      // Don't stop countdown when player leaves
+      room = await Room.findById(room._id);
       
       // Get online players after removal
       const onlinePlayers = await getOnlinePlayersInRoom(roomStake);
       
-      // Don't stop countdown when player leaves
-      await room.save();
-      
-      // Reset user
-      user.currentRoom = null;
-      user.box = null;
-      
-      // Refund stake if game hasn't started
-      if (room.status !== 'playing') {
-        const oldBalance = user.balance;
-        user.balance += roomStake;
-        
-        console.log(`💰 Refunded ${roomStake} ETB to ${user.userName}, new balance: ${user.balance}`);
-        
-        // Record transaction
-        const transaction = new Transaction({
-          type: 'REFUND',
-          userId: userId,
-          userName: user.userName,
-          amount: roomStake,
-          room: roomStake,
-          description: `Left room before game start - stake refunded`
-        });
-        await transaction.save();
-        
+      if (refunded) {
+        console.log(`💰 Refunded ${getRoomPrice(room) * cards} ETB (${cards} card${cards > 1 ? 's' : ''}) to ${user.userName}, new balance: ${user.balance}`);
         socket.emit('balanceUpdate', user.balance);
       }
       
-      await user.save();
-      
       // Broadcast updated boxes
       broadcastTakenBoxes(roomStake, room.takenBoxes);
       
       // Send success message
       socket.emit('leftRoom', { 
         message: 'Left room successfully',
-        refunded: room.status !== 'playing'
+        refunded: refunded
       });
       
       // Update lobby for remaining players
@@ -2292,7 +7204,8 @@ io.on('connection', (socket) => {
         if (roomData.status === 'starting') {
           socket.emit('gameCountdown', {
             room: room,
-            timer: Math.max(0, CONFIG.COUNTDOWN_TIMER - Math.floor((Date.now() - roomData.countdownStartTime) / 1000))
+            timer: Math.max(0, getRoomCountdown(roomData) - Math.floor((Date.now() - roomData.countdownStartTime) / 1000)),
+            serverSeedHash: roomData.serverSeedHash
           });
         }
       }
@@ -2323,7 +7236,7 @@ io.on('connection', (socket) => {
   socket.on('disconnect', async () => {
     console.log(`❌ Socket disconnected: ${socket.id}`);
     connectedSockets.delete(socket.id);
-    adminSockets.delete(socket.id);
+    detachAdminSession(socket.id);
     
     // Remove from room subscriptions
     roomSubscriptions.forEach((sockets, room) => {
@@ -2342,26 +7255,18 @@ io.on('connection', (socket) => {
           const room = await Room.findOne({ stake: roomStake });
           
           if (room) {
-            // Only remove from room if game is NOT playing
+            // Only remove from room if game is NOT playing - the stake goes back to the player
             if (room.status !== 'playing') {
-              const playerIndex = room.players.indexOf(userId);
-              const boxIndex = room.takenBoxes.indexOf(user.box);
-              
-              if (playerIndex > -1) {
-                room.players.splice(playerIndex, 1);
-              }
-              
-              if (boxIndex > -1) {
-                room.takenBoxes.splice(boxIndex, 1);
-              }
-              
-              room.lastBoxUpdate = new Date();
+              const { refunded, cards } = await removePlayerAndRefund(room, userId, `Disconnected before game start - stake refunded`);
+              const updatedRoom = await Room.findById(room._id);
               
               // Countdown continues even if players disconnect
-              await room.save();
-              
               // Broadcast updated boxes
-              broadcastTakenBoxes(roomStake, room.takenBoxes);
+              broadcastTakenBoxes(roomStake, updatedRoom ? updatedRoom.takenBoxes : []);
+              
+              if (refunded) {
+                console.log(`💰 Refunded ${getRoomPrice(room) * cards} ETB to ${user.userName} after disconnect`);
+              }
               
               console.log(`👤 User ${user.userName} removed from room ${roomStake} due to disconnect`);
             } else {
@@ -2405,20 +7310,23 @@ io.on('connection', (socket) => {
 });
 
 // ========== PERIODIC TASKS ==========
-setInterval(() => {
+schedulePeriodicTask(() => {
   broadcastRoomStatus();
 }, CONFIG.ROOM_STATUS_UPDATE_INTERVAL);
 
 // Update admin panel every 2 seconds for real-time tracking
-setInterval(() => {
+schedulePeriodicTask(() => {
   updateAdminPanel();
 }, 2000);
 
 // ⭐⭐ NEW: Run 7-minute game timeout check every 30 seconds
-setInterval(cleanupLongRunningGames, 30000);
+schedulePeriodicTask(cleanupLongRunningGames, 30000);
+
+// Start due tournaments and their games
+schedulePeriodicTask(runTournamentScheduler, CONFIG.TOURNAMENT_SCHEDULER_INTERVAL);
 
 // Clean up disconnected sockets periodically
-setInterval(() => {
+schedulePeriodicTask(() => {
   socketToUser.forEach((userId, socketId) => {
     const socket = io.sockets.sockets.get(socketId);
     if (!socket || !socket.connected) {
@@ -2426,6 +7334,21 @@ setInterval(() => {
       console.log(`🧹 Cleaned up disconnected socket: ${socketId} (user: ${userId})`);
     }
   });
+  
+  // Claim rate limit entries only matter for CONFIG.CLAIM_RATE_WINDOW_MS
+  const now = Date.now();
+  claimAttempts.forEach((attempts, userId) => {
+    if (now - attempts[attempts.length - 1] >= CONFIG.CLAIM_RATE_WINDOW_MS) {
+      claimAttempts.delete(userId);
+    }
+  });
+  
+  // Bot forms nobody finished
+  botConversations.forEach((conversation, chatId) => {
+    if (conversation.expiresAt <= now) {
+      botConversations.delete(chatId);
+    }
+  });
 }, 10000);
 
 // ========== CONNECTION CLEANUP FUNCTION ==========
@@ -2462,7 +7385,7 @@ async function cleanupStaleConnections() {
 }
 
 // Run cleanup every 30 seconds
-setInterval(cleanupStaleConnections, 30000);
+schedulePeriodicTask(cleanupStaleConnections, 30000);
 
 // ========== CLEANUP STUCK COUNTDOWNS ==========
 async function cleanupStuckCountdowns() {
@@ -2473,8 +7396,8 @@ async function cleanupStuckCountdowns() {
     for (const room of rooms) {
       if (room.countdownStartTime) {
         const timeSinceStart = now - new Date(room.countdownStartTime);
-        // If countdown has been "starting" for more than 45 seconds (should be 30), something's wrong
-        if (timeSinceStart > 45000) {
+        // If countdown has been "starting" 15 seconds longer than it should, something's wrong
+        if (timeSinceStart > (getRoomCountdown(room) + 15) * 1000) {
           console.log(`⚠️ Cleaning up stuck countdown for room ${room.stake} (${timeSinceStart/1000}s)`);
           
           // Stop countdown
@@ -2490,6 +7413,14 @@ async function cleanupStuckCountdowns() {
           room.countdownStartedWith = 0;
           await room.save();
           
+          // The scheduler tries a tournament game again after the usual gap
+          if (room.tournamentId) {
+            await Tournament.updateOne(
+              { _id: room.tournamentId, status: 'running' },
+              { $set: { nextGameAt: new Date(Date.now() + CONFIG.TOURNAMENT_GAME_GAP_SECONDS * 1000) } }
+            );
+          }
+          
           // Notify all subscribed sockets and players
           const socketsToSend = new Set();
           
@@ -2538,7 +7469,7 @@ async function cleanupStuckCountdowns() {
 }
 
 // Run every 10 seconds
-setInterval(cleanupStuckCountdowns, 10000);
+schedulePeriodicTask(cleanupStuckCountdowns, 10000);
 
 // ========== ROOM CLEANUP FUNCTION ==========
 async function cleanupStaleRooms() {
@@ -2558,13 +7489,15 @@ async function cleanupStaleRooms() {
         console.log(`⚠️ Room ${room.stake} still has ${room.takenBoxes.length} taken boxes and ${room.players.length} players. Clearing...`);
         room.players = [];
         room.takenBoxes = [];
+        room.cards = [];
+        clearServerSeed(room);
         room.status = 'waiting';
         room.lastBoxUpdate = new Date();
         await room.save();
         
         // Broadcast that boxes are cleared
         broadcastTakenBoxes(room.stake, []);
-        io.emit('boxesCleared', { room: room.stake, reason: 'stale_room_cleanup' });
+        emitToRoomWatchers(room.stake, 'boxesCleared', { room: room.stake, reason: 'stale_room_cleanup' });
       }
       
       // Delete only very old rooms (1 day)
@@ -2588,6 +7521,8 @@ async function cleanupStaleRooms() {
       // Reset room
       room.players = [];
       room.takenBoxes = [];
+      room.cards = [];
+      clearServerSeed(room);
       room.status = 'waiting';
       room.calledNumbers = [];
       room.currentBall = null;
@@ -2598,7 +7533,24 @@ async function cleanupStaleRooms() {
       
       // Broadcast cleared boxes
       broadcastTakenBoxes(room.stake, []);
-      io.emit('boxesCleared', { room: room.stake, reason: 'empty_room_cleanup' });
+      emitToRoomWatchers(room.stake, 'boxesCleared', { room: room.stake, reason: 'empty_room_cleanup' });
+    }
+    
+    // Close private rooms nobody has used for a while - ended rooms are deleted above a day later
+    const idleSince = new Date(Date.now() - CONFIG.PRIVATE_ROOM_IDLE_HOURS * 3600000);
+    const idlePrivateRooms = await Room.find({
+      isPrivate: true,
+      tournamentId: null,
+      status: 'waiting',
+      players: { $size: 0 },
+      lastBoxUpdate: { $lt: idleSince }
+    });
+    
+    for (const room of idlePrivateRooms) {
+      console.log(`🧹 Closing idle private room ${room.inviteCode}`);
+      room.status = 'ended';
+      room.endTime = new Date();
+      await room.save();
     }
     
   } catch (error) {
@@ -2607,10 +7559,10 @@ async function cleanupStaleRooms() {
 }
 
 // Run every 5 minutes
-setInterval(cleanupStaleRooms, 300000);
+schedulePeriodicTask(cleanupStaleRooms, 300000);
 
 // ========== HEALTH CHECK FUNCTION ==========
-setInterval(async () => {
+schedulePeriodicTask(async () => {
   try {
     const now = Date.now();
     const fiveMinutesAgo = new Date(now - 300000);
@@ -2647,7 +7599,21 @@ setInterval(async () => {
 }, 60000);
 
 // ========== TELEGRAM BOT INTEGRATION WITH CLICKABLE BUTTONS ==========
-const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN || '8281813355:AAElz32khbZ9cnX23CeJQn7gwkAypHuJ9E4';
+// No default: initData signatures and the webhook secret are keyed by it, so a token anyone
+// can read would let anyone log in as any player. Without it Telegram logins and the webhook are off.
+const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN || '';
+
+// Registered with setWebhook as secret_token - Telegram echoes it in X-Telegram-Bot-Api-Secret-Token on every update
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET ||
+  (TELEGRAM_TOKEN ? crypto.createHash('sha256').update(`webhook:${TELEGRAM_TOKEN}`).digest('hex') : '');
+
+function isTelegramWebhookRequest(req) {
+  if (!TELEGRAM_TOKEN || !TELEGRAM_WEBHOOK_SECRET) return false;
+  
+  const received = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+  const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
 
 // Helper function to create main menu keyboard EXACTLY LIKE YOUR IMAGE
 function createMainMenuKeyboard() {
@@ -2674,7 +7640,8 @@ function createMainMenuKeyboard() {
         { text: '📱 Menu' }
       ],
       [
-        { text: '✉️ Message' }
+        { text: '✉️ Message' },
+        { text: '🎁 Referrals' }
       ]
     ],
     resize_keyboard: true,  // Makes buttons resize to fit
@@ -2683,8 +7650,390 @@ function createMainMenuKeyboard() {
   };
 }
 
+// Sends a bot message - never throws, so a failed notification can't break the caller
+async function sendTelegramMessage(chatId, text, extra = {}) {
+  try {
+    const response = await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: chatId, text: text, ...extra })
+    });
+    const result = await response.json();
+    if (!result.ok) {
+      console.error(`❌ Telegram sendMessage to ${chatId} failed: ${result.description}`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`❌ Telegram sendMessage to ${chatId} failed:`, error.message);
+    return null;
+  }
+}
+
+// ========== BOT CONVERSATIONS ==========
+// Multi-step forms (deposit, withdraw, transfer) keep their answers here per chat. Pressing a menu
+// button or sending a command drops a half-finished form.
+const MENU_BUTTON_TEXTS = createMainMenuKeyboard().keyboard.flat().map(button => button.text).concat('Menu');
+
+function getBotConversation(chatId) {
+  const conversation = botConversations.get(chatId);
+  if (conversation && conversation.expiresAt <= Date.now()) {
+    botConversations.delete(chatId);
+    return null;
+  }
+  return conversation || null;
+}
+
+function setBotConversation(chatId, flow, step, data = {}) {
+  botConversations.set(chatId, {
+    flow: flow,
+    step: step,
+    data: data,
+    expiresAt: Date.now() + CONFIG.BOT_CONVERSATION_MINUTES * 60000
+  });
+}
+
+// Entry point of the "💰 Deposit" button - where to pay, then amount, reference and receipt
+async function startBotDeposit(chatId, user) {
+  const pending = await DepositRequest.countDocuments({ userId: user.userId, status: 'pending' });
+  if (pending >= CONFIG.DEPOSIT_MAX_PENDING) {
+    await sendTelegramMessage(chatId, `💰 DEPOSIT FUNDS\n\nYou have ${pending} deposits waiting to be checked - please wait until a cashier has looked at them.`, { reply_markup: createMainMenuKeyboard() });
+    return;
+  }
+  
+  setBotConversation(chatId, 'deposit', 'amount', { userId: user.userId });
+  await sendTelegramMessage(chatId,
+    `💰 DEPOSIT FUNDS\n\n` +
+    `1. Pay to: ${CONFIG.DEPOSIT_INSTRUCTIONS}\n` +
+    `2. Send the amount you paid here\n` +
+    `3. Send the payment reference (transaction number)\n` +
+    `4. Send a photo of the receipt\n\n` +
+    `A cashier checks it and your balance is updated - you get a message here.\n\n` +
+    `How much did you pay (${CONFIG.DEPOSIT_MIN}-${CONFIG.DEPOSIT_MAX} ETB)?`
+  );
+}
+
+// Answers to the deposit form - the last step expects a photo (or an image sent as a file)
+async function continueBotDeposit(chatId, conversation, message) {
+  const user = await User.findOne({ userId: conversation.data.userId });
+  if (!user) {
+    botConversations.delete(chatId);
+    return;
+  }
+  const text = (message.text || '').trim();
+  
+  if (conversation.step === 'amount') {
+    const { amount, error } = parseDepositAmount(text);
+    if (error) {
+      await sendTelegramMessage(chatId, `❌ ${error}\n\nSend the amount again, or press a menu button to stop.`);
+      return;
+    }
+    setBotConversation(chatId, 'deposit', 'reference', { ...conversation.data, amount: amount });
+    await sendTelegramMessage(chatId, 'Send the payment reference (transaction number) from your receipt:');
+    return;
+  }
+  
+  if (conversation.step === 'reference') {
+    const reference = normalizePaymentReference(text);
+    if (reference.length < 4) {
+      await sendTelegramMessage(chatId, '❌ That reference looks too short - send it exactly as it is on the receipt.');
+      return;
+    }
+    if (await DepositRequest.exists({ reference: reference, status: { $in: ['pending', 'verified'] } })) {
+      await sendTelegramMessage(chatId, '❌ A deposit with this reference was already sent. Contact @ethio_games1_admin if this is a mistake.', { reply_markup: createMainMenuKeyboard() });
+      botConversations.delete(chatId);
+      return;
+    }
+    setBotConversation(chatId, 'deposit', 'receipt', { ...conversation.data, reference: reference });
+    await sendTelegramMessage(chatId, '📸 Now send a photo or screenshot of the receipt:');
+    return;
+  }
+  
+  if (conversation.step === 'receipt') {
+    const imageDocument = message.document && /^image\//.test(message.document.mime_type || '') ? message.document : null;
+    const fileId = message.photo?.length ? message.photo[message.photo.length - 1].file_id : imageDocument?.file_id;
+    if (!fileId) {
+      await sendTelegramMessage(chatId, '📸 Please send the receipt as a photo, or press a menu button to stop.');
+      return;
+    }
+    
+    botConversations.delete(chatId);
+    const request = await DepositRequest.create({
+      userId: user.userId,
+      userName: user.userName,
+      telegramId: String(message.from.id),
+      amount: conversation.data.amount,
+      reference: conversation.data.reference,
+      receiptFileId: fileId
+    });
+    
+    console.log(`💰 ${user.userName} sent deposit #${getDepositRef(request)} of ${request.amount} ETB (ref ${request.reference})`);
+    await sendTelegramMessage(chatId,
+      `✅ DEPOSIT #${getDepositRef(request)} RECEIVED\n\n` +
+      `Amount: ${request.amount.toFixed(2)} ETB\n` +
+      `Reference: ${request.reference}\n\n` +
+      `A cashier will check your receipt - you get a message here once it is added to your balance.`,
+      { reply_markup: createMainMenuKeyboard() }
+    );
+    updateAdminPanel();
+    logActivity('DEPOSIT_REQUEST', { userId: user.userId, userName: user.userName, amount: request.amount, reference: request.reference });
+  }
+}
+
+// Entry point of the "💸 Withdraw" button - shows an open request or asks for the amount
+async function startBotWithdrawal(chatId, user) {
+  const open = await WithdrawalRequest.findOne({ userId: user.userId, status: { $in: ['pending', 'approved'] } });
+  if (open) {
+    await sendTelegramMessage(chatId,
+      `💸 WITHDRAWAL #${getWithdrawalRef(open)}\n\n` +
+      `Amount: ${open.amount.toFixed(2)} ETB\n` +
+      `To: ${CONFIG.WITHDRAWAL_METHODS[open.method] || open.method} ${open.account}\n` +
+      `Status: ${WITHDRAWAL_STATUS_TEXT[open.status]}\n\n` +
+      `You can request another one when this one is paid.`,
+      open.status === 'pending'
+        ? { reply_markup: { inline_keyboard: [[{ text: '↩️ Cancel this withdrawal', callback_data: `wd_cancelreq:${open._id}` }]] } }
+        : {}
+    );
+    return;
+  }
+  
+  if (user.balance < CONFIG.WITHDRAWAL_MIN) {
+    await sendTelegramMessage(chatId, `💸 WITHDRAW FUNDS\n\nYour balance is ${user.balance.toFixed(2)} ETB - the minimum withdrawal is ${CONFIG.WITHDRAWAL_MIN} ETB.`, { reply_markup: createMainMenuKeyboard() });
+    return;
+  }
+  
+  setBotConversation(chatId, 'withdraw', 'amount', { userId: user.userId });
+  await sendTelegramMessage(chatId,
+    `💸 WITHDRAW FUNDS\n\n` +
+    `Balance: ${user.balance.toFixed(2)} ETB\n\n` +
+    `Send the amount to withdraw (${CONFIG.WITHDRAWAL_MIN}-${Math.min(CONFIG.WITHDRAWAL_MAX, Math.floor(user.balance))} ETB):`
+  );
+}
+
+// Text answers to the withdraw form: amount, then (after the method buttons) the account
+async function continueBotWithdrawal(chatId, conversation, text) {
+  const user = await User.findOne({ userId: conversation.data.userId });
+  if (!user) {
+    botConversations.delete(chatId);
+    return;
+  }
+  
+  if (conversation.step === 'amount') {
+    const { error } = validateWithdrawalRequest(user, { amount: text, method: Object.keys(CONFIG.WITHDRAWAL_METHODS)[0], account: 'check' });
+    if (error) {
+      await sendTelegramMessage(chatId, `❌ ${error}\n\nSend another amount, or press a menu button to stop.`);
+      return;
+    }
+    
+    setBotConversation(chatId, 'withdraw', 'method', { ...conversation.data, amount: Math.round(parseFloat(text) * 100) / 100 });
+    await sendTelegramMessage(chatId, 'How do you want to be paid?', {
+      reply_markup: {
+        inline_keyboard: Object.entries(CONFIG.WITHDRAWAL_METHODS).map(([key, name]) => [{ text: name, callback_data: `wd_method:${key}` }])
+      }
+    });
+    return;
+  }
+  
+  if (conversation.step === 'account') {
+    const data = { ...conversation.data, account: text.trim() };
+    const { error } = validateWithdrawalRequest(user, data);
+    if (error) {
+      await sendTelegramMessage(chatId, `❌ ${error}\n\nSend it again, or press a menu button to stop.`);
+      return;
+    }
+    
+    setBotConversation(chatId, 'withdraw', 'confirm', data);
+    await sendTelegramMessage(chatId,
+      `💸 CONFIRM WITHDRAWAL\n\n` +
+      `Amount: ${data.amount.toFixed(2)} ETB\n` +
+      `To: ${CONFIG.WITHDRAWAL_METHODS[data.method]} ${data.account}\n\n` +
+      `The amount is held from your balance until an admin pays it.`,
+      { reply_markup: { inline_keyboard: [[{ text: '✅ Confirm', callback_data: 'wd_confirm' }, { text: '✖️ Cancel', callback_data: 'wd_abort' }]] } }
+    );
+    return;
+  }
+  
+  await sendTelegramMessage(chatId, 'Use the buttons above to continue, or press a menu button to stop.');
+}
+
+// "🎁 Referrals" button and /referrals
+async function sendBotReferrals(chatId, user) {
+  const summary = await getReferralSummary(user);
+  const reward = summary.reward > 0
+    ? `You get ${summary.reward.toFixed(2)} ETB for every friend who makes their first ${summary.trigger === 'deposit' ? 'deposit' : 'game'}.\n\n`
+    : '';
+  const list = summary.referrals.slice(0, 10)
+    .map(referral => `${referral.rewarded ? '✅' : '⏳'} ${referral.userName}`)
+    .join('\n');
+  
+  await sendTelegramMessage(chatId,
+    `🎁 MY REFERRALS\n\n` +
+    reward +
+    `Your link: ${summary.link}\n` +
+    `Your code: ${summary.code}\n\n` +
+    `Friends joined: ${summary.count}\n` +
+    `Rewarded: ${summary.rewardedCount}\n` +
+    `Earned: ${summary.earned.toFixed(2)} ETB` +
+    (list ? `\n\n${list}${summary.count > 10 ? `\n…and ${summary.count - 10} more` : ''}` : ''),
+    { reply_markup: createMainMenuKeyboard() }
+  );
+}
+
+// Entry point of the "🔀 Transfer" button - receiver, amount, then a confirmation
+async function startBotTransfer(chatId, user) {
+  const fee = CONFIG.TRANSFER_FEE_PERCENT > 0 ? `\nFee: ${CONFIG.TRANSFER_FEE_PERCENT}% paid by you on top of the amount` : '';
+  setBotConversation(chatId, 'transfer', 'recipient', { userId: user.userId });
+  await sendTelegramMessage(chatId,
+    `🔀 TRANSFER FUNDS\n\n` +
+    `Balance: ${user.balance.toFixed(2)} ETB\n` +
+    `Limits: ${CONFIG.TRANSFER_MIN}-${CONFIG.TRANSFER_MAX} ETB per transfer, ${CONFIG.TRANSFER_DAILY_LIMIT} ETB in 24 hours${fee}\n\n` +
+    `Who do you want to send to? Send their @username, user ID or referral code:`
+  );
+}
+
+async function continueBotTransfer(chatId, conversation, text) {
+  const user = await User.findOne({ userId: conversation.data.userId });
+  if (!user) {
+    botConversations.delete(chatId);
+    return;
+  }
+  
+  if (conversation.step === 'recipient') {
+    const recipient = await findTransferRecipient(text);
+    if (!recipient || recipient.userId === user.userId) {
+      await sendTelegramMessage(chatId, `❌ ${recipient ? 'You cannot send money to yourself' : 'No player found with that username, ID or referral code'}\n\nSend it again, or press a menu button to stop.`);
+      return;
+    }
+    setBotConversation(chatId, 'transfer', 'amount', { ...conversation.data, recipientId: recipient.userId });
+    await sendTelegramMessage(chatId, `How much do you want to send to ${recipient.userName} (${CONFIG.TRANSFER_MIN}-${CONFIG.TRANSFER_MAX} ETB)?`);
+    return;
+  }
+  
+  if (conversation.step === 'amount') {
+    const recipient = await User.findOne({ userId: conversation.data.recipientId });
+    const { transfer, error } = validateTransfer(user, recipient, text);
+    if (error) {
+      await sendTelegramMessage(chatId, `❌ ${error}\n\nSend another amount, or press a menu button to stop.`);
+      return;
+    }
+    
+    const preview = describeTransferPreview(recipient, transfer);
+    setBotConversation(chatId, 'transfer', 'confirm', { ...conversation.data, amount: transfer.amount });
+    await sendTelegramMessage(chatId,
+      `🔀 CONFIRM TRANSFER\n\n` +
+      `To: ${preview.recipientName} (${preview.recipientId})\n` +
+      `Amount: ${preview.amount.toFixed(2)} ETB\n` +
+      (preview.fee > 0 ? `Fee: ${preview.fee.toFixed(2)} ETB\nTotal: ${preview.total.toFixed(2)} ETB\n` : '') +
+      `\nTransfers cannot be undone.`,
+      { reply_markup: { inline_keyboard: [[{ text: '✅ Send', callback_data: 'tr_confirm' }, { text: '✖️ Cancel', callback_data: 'tr_abort' }]] } }
+    );
+    return;
+  }
+  
+  await sendTelegramMessage(chatId, 'Use the buttons above to continue, or press a menu button to stop.');
+}
+
+async function handleBotTransferCallback(chatId, telegramUserId, data) {
+  const user = await User.findOne({ telegramId: telegramUserId });
+  if (!user) return;
+  
+  const conversation = getBotConversation(chatId);
+  if (!conversation || conversation.flow !== 'transfer' || conversation.step !== 'confirm' || conversation.data.userId !== user.userId) {
+    await sendTelegramMessage(chatId, 'This transfer has expired - press 🔀 Transfer to start again.');
+    return;
+  }
+  botConversations.delete(chatId);
+  
+  if (data === 'tr_abort') {
+    await sendTelegramMessage(chatId, 'Transfer cancelled.', { reply_markup: createMainMenuKeyboard() });
+    return;
+  }
+  
+  if (data === 'tr_confirm') {
+    try {
+      const recipient = await User.findOne({ userId: conversation.data.recipientId });
+      const result = await transferFunds(user, recipient, conversation.data.amount, 'bot');
+      await sendTelegramMessage(chatId,
+        `✅ SENT\n\n` +
+        `${result.transfer.amount.toFixed(2)} ETB to ${result.recipient.userName}\n` +
+        `Reference: ${result.reference}\n` +
+        `Balance: ${result.sender.balance.toFixed(2)} ETB`,
+        { reply_markup: createMainMenuKeyboard() }
+      );
+      await notifyTransfer(result);
+    } catch (error) {
+      if (!error.code) throw error;
+      await sendTelegramMessage(chatId, `❌ ${error.message}`, { reply_markup: createMainMenuKeyboard() });
+    }
+  }
+}
+
+// Inline button presses of the withdraw form and of an open request
+async function handleBotWithdrawalCallback(chatId, telegramUserId, data) {
+  const user = await User.findOne({ telegramId: telegramUserId });
+  if (!user) return;
+  
+  if (data.startsWith('wd_cancelreq:')) {
+    const id = data.split(':')[1];
+    const request = mongoose.isValidObjectId(id) ? await WithdrawalRequest.findOne({ _id: id, userId: user.userId }) : null;
+    const cancelled = request ? await changeWithdrawalStatus(request._id, ['pending'], { status: 'cancelled' }, {
+      type: 'WITHDRAWAL_RELEASE',
+      description: 'cancelled by the player',
+      settle: 'refund',
+      admin: false
+    }) : null;
+    if (!cancelled) {
+      await sendTelegramMessage(chatId, 'This withdrawal is already being processed.');
+      return;
+    }
+    await notifyWithdrawalStatus(cancelled);
+    updateAdminPanel();
+    logActivity('WITHDRAWAL_CANCEL', { userId: user.userId, userName: user.userName, amount: cancelled.amount });
+    return;
+  }
+  
+  const conversation = getBotConversation(chatId);
+  if (!conversation || conversation.flow !== 'withdraw' || conversation.data.userId !== user.userId) {
+    await sendTelegramMessage(chatId, 'This form has expired - press 💸 Withdraw to start again.');
+    return;
+  }
+  
+  if (data === 'wd_abort') {
+    botConversations.delete(chatId);
+    await sendTelegramMessage(chatId, 'Withdrawal cancelled.', { reply_markup: createMainMenuKeyboard() });
+    return;
+  }
+  
+  if (data.startsWith('wd_method:') && conversation.step === 'method') {
+    const method = data.split(':')[1];
+    if (!CONFIG.WITHDRAWAL_METHODS[method]) return;
+    setBotConversation(chatId, 'withdraw', 'account', { ...conversation.data, method: method });
+    await sendTelegramMessage(chatId, `Send the ${CONFIG.WITHDRAWAL_METHODS[method]} phone or account number to pay to:`);
+    return;
+  }
+  
+  if (data === 'wd_confirm' && conversation.step === 'confirm') {
+    botConversations.delete(chatId);
+    try {
+      const { request } = await createWithdrawalRequest(user, conversation.data, 'bot');
+      console.log(`💸 ${user.userName} requested a ${request.amount} ETB withdrawal #${getWithdrawalRef(request)} from the bot`);
+      await notifyWithdrawalStatus(request);
+      updateAdminPanel();
+      logActivity('WITHDRAWAL_REQUEST', { userId: user.userId, userName: user.userName, amount: request.amount, method: request.method, source: 'bot' });
+    } catch (error) {
+      if (!error.code) throw error;
+      await sendTelegramMessage(chatId, `❌ ${error.message}`, { reply_markup: createMainMenuKeyboard() });
+    }
+  }
+}
+
 // ========== TELEGRAM WEBHOOK HANDLER WITH CLICKABLE BUTTONS ==========
 app.post('/telegram-webhook', express.json(), async (req, res) => {
+  // Anyone can POST here - only updates carrying our secret come from Telegram
+  if (!isTelegramWebhookRequest(req)) {
+    console.warn(`⚠️ Rejected Telegram webhook update without the secret token from ${req.ip}`);
+    return res.sendStatus(401);
+  }
+  
   try {
     const { message, callback_query } = req.body;
     
@@ -2702,6 +8051,18 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
         })
       });
       
+      const bannedCheckUser = await User.findOne({ telegramId: from.id.toString() });
+      if (bannedCheckUser && await isUserBanned(bannedCheckUser)) {
+        res.sendStatus(200);
+        return;
+      }
+      
+      if (data && data.startsWith('wd_')) {
+        await handleBotWithdrawalCallback(chatId, from.id.toString(), data);
+      } else if (data && data.startsWith('tr_')) {
+        await handleBotTransferCallback(chatId, from.id.toString(), data);
+      }
+      
       res.sendStatus(200);
       return;
     }
@@ -2716,8 +8077,43 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
       
       console.log(`📱 Telegram message from ${userName} (${userId}): ${text}`);
       
+      // Banned players only get the ban notice instead of the menu
+      const bannedCheckUser = await User.findOne({ telegramId: userId });
+      if (bannedCheckUser && await isUserBanned(bannedCheckUser)) {
+        await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            chat_id: chatId,
+            text: `🚫 ACCOUNT BANNED\n\n${getBanInfo(bannedCheckUser).message}\n\nContact @ethio_games1_admin if you think this is a mistake.`,
+            reply_markup: { remove_keyboard: true }
+          })
+        });
+        res.sendStatus(200);
+        return;
+      }
+      
+      // Replies to a bot form in progress - menu buttons and commands fall through and end it
+      const conversation = getBotConversation(chatId);
+      if (conversation && !(text && (text.startsWith('/') || MENU_BUTTON_TEXTS.includes(text)))) {
+        if (conversation.flow === 'withdraw' && text) {
+          await continueBotWithdrawal(chatId, conversation, text);
+        } else if (conversation.flow === 'transfer' && text) {
+          await continueBotTransfer(chatId, conversation, text.trim());
+        } else if (conversation.flow === 'deposit') {
+          await continueBotDeposit(chatId, conversation, message);
+        }
+        res.sendStatus(200);
+        return;
+      }
+      botConversations.delete(chatId);
+      
+      // "/start <code>" comes from a referral link - room_ codes are private room invites, handled below
+      const startPayload = text ? (text.match(/^\/start(?:@\w+)?\s+(\S+)$/i) || [])[1] : null;
+      const referralPayload = startPayload && !/^room_/i.test(startPayload) ? startPayload : null;
+      
       // Handle /start command - THIS SHOWS THE BUTTONS
-      if (text === '/start' || text === '/start@ethio_games1_bot' || text === 'Menu' || text === '📱 Menu') {
+      if (text === '/start' || text === '/start@ethio_games1_bot' || referralPayload || text === 'Menu' || text === '📱 Menu') {
         let user = await User.findOne({ telegramId: userId });
         
         if (!user) {
@@ -2727,18 +8123,23 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
             telegramId: userId,
             telegramUsername: username,
             balance: 0.00,
-            referralCode: `TG${userId}`
+            referralCode: generateReferralCode(`tg_${userId}`)
           });
           await user.save();
           console.log(`👤 New Telegram user: ${userName} (@${username})`);
         }
         
+        if (referralPayload) {
+          const { referrer, error } = await recordReferral(user, referralPayload);
+          await sendTelegramMessage(chatId, referrer ? `🎁 You joined with ${referrer.userName}'s invite - welcome!` : `ℹ️ ${error}.`);
+        }
+        
         // Send welcome message WITH CLICKABLE BUTTONS
         const welcomeMessage = `🎮 *WELCOME TO BINGO ELITE!*\n\n` +
                               `💰 Your balance: *${user.balance.toFixed(2)} ETB*\n\n` +
                               `*FEATURES:*\n` +
                               `• Real-time multiplayer Bingo\n` +
-                              `• Stakes: 10/20/50/100 ETB\n` +
+                              `• Stakes: ${getEnabledRoomTypes().map(roomType => roomType.stake).join('/')} ETB\n` +
                               `• Four Corners Bonus: 50 ETB\n` +
                               `• Instant deposits & withdrawals\n` +
                               `• 24/7 Support\n\n` +
@@ -2778,39 +8179,21 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
       }
       
       else if (text === '💰 Deposit') {
-        await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            chat_id: chatId,
-            text: `💰 *DEPOSIT FUNDS*\n\n` +
-                  `To deposit:\n` +
-                  `1. Contact @ethio_games1_admin\n` +
-                  `2. Send your User ID: \`${userId}\`\n` +
-                  `3. Send amount (min 10 ETB)\n\n` +
-                  `*Fast deposits & 24/7 support*`,
-            parse_mode: 'Markdown',
-            reply_markup: createMainMenuKeyboard()
-          })
-        });
+        const user = await User.findOne({ telegramId: userId });
+        if (user) {
+          await startBotDeposit(chatId, user);
+        } else {
+          await sendTelegramMessage(chatId, 'Type /start first to create your account.');
+        }
       }
       
       else if (text === '💸 Withdraw') {
-        await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            chat_id: chatId,
-            text: `💸 *WITHDRAW FUNDS*\n\n` +
-                  `To withdraw:\n` +
-                  `1. Contact @ethio_games1_admin\n` +
-                  `2. Send your User ID: \`${userId}\`\n` +
-                  `3. Send amount (min 20 ETB)\n\n` +
-                  `*Processed within 24 hours*`,
-            parse_mode: 'Markdown',
-            reply_markup: createMainMenuKeyboard()
-          })
-        });
+        const user = await User.findOne({ telegramId: userId });
+        if (user) {
+          await startBotWithdrawal(chatId, user);
+        } else {
+          await sendTelegramMessage(chatId, 'Type /start first to create your account.');
+        }
       }
       
       else if (text === '👤 My Profile') {
@@ -2824,6 +8207,7 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
               text: `👤 *MY PROFILE*\n\n` +
                     `Name: ${user.userName}\n` +
                     `Balance: ${user.balance.toFixed(2)} ETB\n` +
+                    (user.heldBalance > 0 ? `On hold for withdrawal: ${user.heldBalance.toFixed(2)} ETB\n` : '') +
                     `Total Wagered: ${user.totalWagered || 0} ETB\n` +
                     `Total Wins: ${user.totalWins || 0}\n` +
                     `Total Bingos: ${user.totalBingos || 0}\n` +
@@ -2899,32 +8283,65 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
       }
       
       else if (text === '🔀 Transfer') {
+        const user = await User.findOne({ telegramId: userId });
+        if (user) {
+          await startBotTransfer(chatId, user);
+        } else {
+          await sendTelegramMessage(chatId, 'Type /start first to create your account.');
+        }
+      }
+      
+      else if (text === '🎁 Referrals' || text === '/referrals') {
+        const user = await User.findOne({ telegramId: userId });
+        if (user) {
+          await sendBotReferrals(chatId, user);
+        } else {
+          await sendTelegramMessage(chatId, 'Type /start first to create your account.');
+        }
+      }
+      
+      else if (text === '📊 Transactions') {
         await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             chat_id: chatId,
-            text: `🔀 *TRANSFER FUNDS*\n\nTransfer between players (coming soon!)`,
+            text: `📊 *TRANSACTIONS*\n\nView your transaction history in the game dashboard.`,
             parse_mode: 'Markdown',
             reply_markup: createMainMenuKeyboard()
           })
         });
       }
       
-      else if (text === '📊 Transactions') {
+      // Handle other commands
+      // Private room invites: t.me/<bot>?start=room_<code> or /join <code>
+      else if (text && /^\/(start room_|join\b)/i.test(text)) {
+        const inviteCode = normalizeInviteCode(text.replace(/^\/(start|join)(@\w+)?\s*/i, ''));
+        const room = inviteCode ? await Room.findOne({ inviteCode: inviteCode, isPrivate: true, status: { $in: ['waiting', 'starting', 'playing'] } }) : null;
+        
         await fetch(`https://api.telegram.org/bot${TELEGRAM_TOKEN}/sendMessage`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
+          body: JSON.stringify(room ? {
             chat_id: chatId,
-            text: `📊 *TRANSACTIONS*\n\nView your transaction history in the game dashboard.`,
+            text: `🔒 *PRIVATE ROOM ${room.inviteCode}*\n\n` +
+                  `💰 Stake: *${room.price} ETB* per ticket\n` +
+                  `👥 Players: ${room.players.length}/${room.maxPlayers}\n` +
+                  `⏱️ ${PRIVATE_ROOM_START_RULES[room.startRule]}${room.startRule === 'minPlayers' ? ` (${room.minPlayers})` : ''}\n\n` +
+                  `Tap below to pick your ticket:`,
             parse_mode: 'Markdown',
-            reply_markup: createMainMenuKeyboard()
+            reply_markup: {
+              inline_keyboard: [[
+                { text: '🚀 JOIN ROOM', web_app: { url: `https://bingo-telegram-game.onrender.com/telegram?room=${room.inviteCode}` } }
+              ]]
+            }
+          } : {
+            chat_id: chatId,
+            text: inviteCode ? `❌ No open private room with code ${inviteCode}.` : `Send /join followed by the invite code, e.g. /join K7Q2XM`
           })
         });
       }
       
-      // Handle other commands
       else if (text === '/balance') {
         const user = await User.findOne({ telegramId: userId });
         const balance = user ? user.balance : 0;
@@ -2949,6 +8366,7 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
                   `*Commands:*\n` +
                   `/start - Show menu\n` +
                   `/balance - Check balance\n` +
+                  `/join CODE - Join a private room\n` +
                   `/help - This message\n\n` +
                   `*How to Play:*\n` +
                   `1. Click "Play Games"\n` +
@@ -2987,6 +8405,10 @@ app.post('/telegram-webhook', express.json(), async (req, res) => {
 
 // Test Telegram webhook
 app.get('/test-telegram', async (req, res) => {
+  if (!TELEGRAM_TOKEN) {
+    return res.status(503).send('TELEGRAM_TOKEN is not set on this server');
+  }
+  
   try {
     const webhookUrl = 'https://bingo-telegram-game.onrender.com/telegram-webhook';
     
@@ -3002,6 +8424,7 @@ app.get('/test-telegram', async (req, res) => {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         url: webhookUrl,
+        secret_token: TELEGRAM_WEBHOOK_SECRET,
         drop_pending_updates: true
       })
     });
@@ -3185,7 +8608,8 @@ app.get('/admin', (req, res) => {
       <div class="container">
         <div id="loginSection" class="login-box">
           <h2>🔐 Admin Login</h2>
-          <input type="password" id="adminPassword" placeholder="Enter admin password" style="width: 100%; margin: 15px 0;">
+          <input type="text" id="adminUsername" placeholder="Username" style="width: 100%; margin: 15px 0 5px;">
+          <input type="password" id="adminPassword" placeholder="Password" style="width: 100%; margin: 5px 0 15px;">
           <button class="btn" onclick="login()" style="width: 100%;">Login</button>
         </div>
         
@@ -3240,12 +8664,14 @@ app.get('/admin', (req, res) => {
         let adminAuthenticated = false;
         
         function login() {
+          const username = document.getElementById('adminUsername').value;
           const password = document.getElementById('adminPassword').value;
-          socket.emit('admin:auth', password);
+          socket.emit('admin:auth', { username, password });
         }
         
-        socket.on('admin:authSuccess', () => {
+        socket.on('admin:authSuccess', (session) => {
           adminAuthenticated = true;
+          document.querySelector('#adminPanel h1').textContent = '👑 Bingo Elite Admin Panel - ' + session.username + ' (' + session.role + ')';
           document.getElementById('loginSection').style.display = 'none';
           document.getElementById('adminPanel').style.display = 'block';
           socket.emit('admin:getData');
@@ -3255,6 +8681,12 @@ app.get('/admin', (req, res) => {
           alert('Login failed: ' + msg);
         });
         
+        socket.on('admin:sessionExpired', () => {
+          adminAuthenticated = false;
+          document.getElementById('adminPanel').style.display = 'none';
+          document.getElementById('loginSection').style.display = 'block';
+        });
+        
         socket.on('admin:update', (data) => {
           const statsGrid = document.getElementById('statsGrid');
           statsGrid.innerHTML = \`
@@ -3364,6 +8796,10 @@ app.get('/admin', (req, res) => {
 
 // Setup Telegram bot
 app.get('/setup-telegram', async (req, res) => {
+  if (!TELEGRAM_TOKEN) {
+    return res.status(503).send('TELEGRAM_TOKEN is not set on this server');
+  }
+  
   try {
     const webhookUrl = 'https://bingo-telegram-game.onrender.com/telegram-webhook';
     
@@ -3379,6 +8815,7 @@ app.get('/setup-telegram', async (req, res) => {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         url: webhookUrl,
+        secret_token: TELEGRAM_WEBHOOK_SECRET,
         drop_pending_updates: true
       })
     });
@@ -3393,6 +8830,7 @@ app.get('/setup-telegram', async (req, res) => {
         commands: [
           { command: 'start', description: 'Start the bot' },
           { command: 'balance', description: 'Check balance' },
+          { command: 'referrals', description: 'Invite friends and see your referrals' },
           { command: 'help', description: 'Get help' }
         ]
       })
@@ -3422,7 +8860,8 @@ app.get('/setup-telegram', async (req, res) => {
             <h3>Bot Interface Features:</h3>
             <p>✅ <strong>Clickable Buttons Menu</strong> just like your image</p>
             <p>✅ <strong>Play Games</strong> - Opens web app with LAUNCH button</p>
-            <p>✅ <strong>Deposit/Withdraw</strong> - Contact admin instructions</p>
+            <p>✅ <strong>Deposit</strong> - Amount, reference and receipt photo, credited once a cashier checks it</p>
+            <p>✅ <strong>Withdraw</strong> - Request in the bot, held until an admin pays it</p>
             <p>✅ <strong>My Profile</strong> - View player stats</p>
             <p>✅ <strong>Transactions</strong> - View history</p>
             <p>✅ <strong>Balance</strong> - Check funds</p>
@@ -3463,9 +8902,131 @@ app.get('/game', (req, res) => {
   res.sendFile(path.join(__dirname, 'public/game.html'));
 });
 
+// Provably fair verification - replays the draw order from a revealed seed
+app.get('/fairness/verify', (req, res) => {
+  const { serverSeed, clientSeed, serverSeedHash } = req.query;
+  const balls = parseInt(req.query.balls) || 75;
+  
+  if (!serverSeed || typeof serverSeed !== 'string' || typeof (clientSeed || '') !== 'string') {
+    return res.status(400).json({ success: false, message: 'serverSeed and clientSeed are required' });
+  }
+  if (!Object.values(BINGO_VARIANTS).some(variant => variant.balls === balls)) {
+    return res.status(400).json({ success: false, message: 'balls must be 75 or 90' });
+  }
+  
+  const computedHash = hashServerSeed(serverSeed);
+  res.json({
+    success: true,
+    serverSeedHash: computedHash,
+    hashMatches: serverSeedHash ? computedHash === serverSeedHash : null,
+    clientSeed: clientSeed || '',
+    balls: balls,
+    drawOrder: deriveDrawOrder(serverSeed, clientSeed || '', balls)
+  });
+});
+
+// Payment provider callbacks - signed by the provider, applied at most once per reference
+app.post('/payments/callback/:provider', async (req, res) => {
+  const provider = getPaymentProvider();
+  if (!provider || provider.name !== req.params.provider) {
+    return res.status(404).json({ success: false, message: 'Unknown payment provider' });
+  }
+  
+  const result = provider.verifyCallback(req);
+  if (!result.valid) {
+    console.log(`🚫 Rejected ${req.params.provider} payment callback: ${result.reason}`);
+    return res.status(401).json({ success: false, message: result.reason });
+  }
+  
+  try {
+    const outcome = await applyPaymentCallback(provider.name, result);
+    if (!outcome) {
+      return res.status(404).json({ success: false, message: 'Unknown payment reference' });
+    }
+    res.json({ success: true, status: outcome.payment.status, duplicate: outcome.duplicate });
+  } catch (error) {
+    if (error.code === 'REFERENCE_MISMATCH') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    // 5xx makes the provider retry later
+    console.error('❌ Error applying payment callback:', error);
+    res.status(500).json({ success: false, message: 'Could not apply the callback' });
+  }
+});
+
+// Mock provider checkout page - only when PAYMENT_PROVIDER=mock
+app.get('/payments/mock/checkout/:reference', async (req, res) => {
+  if (!PAYMENT_PROVIDERS.mock || CONFIG.PAYMENT_PROVIDER !== 'mock') return res.sendStatus(404);
+  
+  const payment = await Payment.findOne({ provider: 'mock', reference: req.params.reference, kind: 'deposit' });
+  if (!payment) return res.status(404).send('Unknown payment');
+  
+  res.send(`<!DOCTYPE html>
+<html><head><meta name="viewport" content="width=device-width, initial-scale=1"><title>Mock checkout</title></head>
+<body style="font-family: sans-serif; background: #0f172a; color: white; text-align: center; padding: 40px 20px;">
+  <h2>🧪 MOCK PAYMENT</h2>
+  <p>${payment.amount.toFixed(2)} ETB - ${payment.reference}</p>
+  <p>Status: ${payment.status}</p>
+  ${payment.status === 'pending' ? `
+  <form method="POST" action="/payments/mock/checkout/${payment.reference}">
+    <button name="result" value="completed" style="padding: 12px 24px; margin: 8px;">✅ Pay</button>
+    <button name="result" value="failed" style="padding: 12px 24px; margin: 8px;">❌ Decline</button>
+  </form>` : '<p>You can close this page.</p>'}
+</body></html>`);
+});
+
+app.post('/payments/mock/checkout/:reference', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!PAYMENT_PROVIDERS.mock || CONFIG.PAYMENT_PROVIDER !== 'mock') return res.sendStatus(404);
+  
+  const payment = await Payment.findOne({ provider: 'mock', reference: req.params.reference, kind: 'deposit' });
+  if (!payment) return res.status(404).send('Unknown payment');
+  
+  try {
+    await PAYMENT_PROVIDERS.mock.sendCallback({
+      reference: payment.reference,
+      providerReference: payment.providerReference,
+      status: req.body.result === 'completed' ? 'completed' : 'failed',
+      amount: payment.amount,
+      failureReason: req.body.result === 'completed' ? null : 'Declined on the mock checkout page'
+    });
+  } catch (error) {
+    console.error('❌ Mock checkout callback failed:', error.message);
+  }
+  res.redirect(`/payments/mock/checkout/${payment.reference}`);
+});
+
+// Revealed seeds of recent games in a room
+app.get('/fairness/history/:stake', async (req, res) => {
+  try {
+    const room = await Room.findOne({ stake: parseInt(req.params.stake) });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    
+    const games = room.gameHistory
+      .filter(game => game.serverSeed)
+      .slice(-20)
+      .reverse()
+      .map(game => ({
+        timestamp: game.timestamp,
+        winnerName: game.winnerName,
+        ballsDrawn: game.ballsDrawn,
+        serverSeed: game.serverSeed,
+        serverSeedHash: game.serverSeedHash,
+        clientSeed: game.clientSeed,
+        balls: (BINGO_VARIANTS[game.variant] || BINGO_VARIANTS['75']).balls
+      }));
+    
+    res.json({ success: true, room: room.stake, games });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ========== START SERVER ==========
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
+
+function onServerListening() {
   console.log(`
 ╔══════════════════════════════════════════════════════╗
 ║             🤖 BINGO ELITE - TELEGRAM READY         ║
@@ -3473,12 +9034,12 @@ server.listen(PORT, () => {
 ║  URL:          https://bingo-telegram-game.onrender.com ║
 ║  Port:         ${PORT}                                ║
 ║  Game:         /game                                 ║
-║  Admin:        /admin (password: admin1234)         ║
+║  Admin:        /admin (per-admin accounts)          ║
 ║  Telegram:     /telegram                             ║
 ║  Bot Setup:    /setup-telegram                       ║
 ║  Test Webhook: /test-telegram                        ║
 ╠══════════════════════════════════════════════════════╣
-║  🔑 Admin Password: ${process.env.ADMIN_PASSWORD || 'admin1234'} ║
+║  🔑 Admin Session: ${CONFIG.ADMIN_SESSION_HOURS}h tokens, role-checked        ║
 ║  🤖 Telegram Bot: @ethio_games1_bot                 ║
 ║  📡 WebSocket: ✅ Ready for Telegram connections    ║
 ║  🎮 Four Corners Bonus: ${CONFIG.FOUR_CORNERS_BONUS} ETB       ║
@@ -3494,6 +9055,14 @@ server.listen(PORT, () => {
 ✅ Server ready with CLICKABLE BUTTONS and all fixes!
   `);
   
+  if (!TELEGRAM_TOKEN) {
+    console.warn('⚠️ TELEGRAM_TOKEN is not set - Telegram logins and the bot webhook are refused until it is');
+  }
+  
+  if (CONFIG.PAYMENT_PROVIDER && !getPaymentProvider()) {
+    console.warn(`⚠️ Payment provider "${CONFIG.PAYMENT_PROVIDER}" is not available${CONFIG.PAYMENT_PROVIDER === 'mock' ? ' - set PAYMENT_MOCK_SECRET to enable it' : ''}. Top-ups and automated payouts are off`);
+  }
+  
   // Initial broadcast
   setTimeout(() => {
     broadcastRoomStatus();
@@ -3513,6 +9082,7 @@ server.listen(PORT, () => {
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             url: webhookUrl,
+            secret_token: TELEGRAM_WEBHOOK_SECRET,
             drop_pending_updates: true
           })
         });
@@ -3529,4 +9099,38 @@ server.listen(PORT, () => {
       console.log('⚠️ Telegram auto-setup skipped:', error.message);
     }
   }, 3000);
-});
+}
+
+function startServer() {
+  connectDatabase();
+  periodicTasks.forEach(([task, intervalMs]) => setInterval(task, intervalMs));
+  server.listen(PORT, onServerListening);
+}
+
+// Tests require this file for the functions below - only `node server.js` connects and listens
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  CONFIG,
+  deriveDrawOrder,
+  buildClientSeed,
+  startGameTimer,
+  WALLET_ERRORS,
+  moveFunds,
+  verifyTelegramInitData,
+  closeRoomWithRefunds,
+  cancelTournament,
+  transferFunds,
+  createWithdrawalRequest,
+  changeWithdrawalStatus,
+  awardReferralReward,
+  applyPaymentCallback,
+  generateBingoCard,
+  generate90BallTicket,
+  registerClaim,
+  claimWindows,
+  splitPrize
+};
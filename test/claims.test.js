@@ -0,0 +1,100 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { generateBingoCard, registerClaim, claimWindows, splitPrize } = server;
+
+const ROOM = 10;
+
+// Balls that fill cells 0-4 of a card - a full row or column whichever way the grid runs
+function firstLine(grid) {
+  return grid.slice(0, 5).filter(cell => cell !== 'FREE').map(Number);
+}
+
+function playingRoom(calledNumbers) {
+  return {
+    stake: ROOM,
+    status: 'playing',
+    variant: '75',
+    activePatterns: ['line'],
+    players: [],
+    calledNumbers: calledNumbers,
+    ballsDrawn: calledNumbers.length,
+    currentBall: calledNumbers[calledNumbers.length - 1],
+    serverSeedHash: 'hash'
+  };
+}
+
+afterEach(() => {
+  const claimWindow = claimWindows.get(ROOM);
+  if (claimWindow) clearTimeout(claimWindow.timeout);
+  claimWindows.delete(ROOM);
+});
+
+test('cards completed by the same ball share the claim window', () => {
+  const grid = generateBingoCard(1);
+  const room = playingRoom(firstLine(grid));
+  
+  const first = registerClaim(room, { userId: 'a', userName: 'A' }, { box: 1, grid }, room.calledNumbers);
+  const second = registerClaim(room, { userId: 'b', userName: 'B' }, { box: 2, grid }, room.calledNumbers);
+  
+  assert.equal(first.success, true);
+  assert.equal(second.success, true);
+  assert.equal(claimWindows.get(ROOM).claims.size, 2);
+  assert.equal(claimWindows.get(ROOM).ball, room.currentBall);
+});
+
+test('a line completed on an earlier ball does not join the split', () => {
+  const earlyGrid = generateBingoCard(1);
+  const lateGrid = generateBingoCard(2);
+  const early = firstLine(earlyGrid);
+  const late = firstLine(lateGrid).filter(ball => !early.includes(ball));
+  const room = playingRoom([...early, ...late]);
+  
+  const winner = registerClaim(room, { userId: 'a', userName: 'A' }, { box: 2, grid: lateGrid }, room.calledNumbers);
+  const sleeper = registerClaim(room, { userId: 'b', userName: 'B' }, { box: 1, grid: earlyGrid }, room.calledNumbers);
+  
+  assert.equal(winner.success, true);
+  assert.equal(sleeper.success, false);
+  assert.ok(!sleeper.invalid, 'a real pattern is not treated as a false claim');
+  assert.equal(claimWindows.get(ROOM).claims.size, 1);
+});
+
+test('a sleeper claiming first neither opens the window nor shuts out the current ball', () => {
+  const earlyGrid = generateBingoCard(1);
+  const lateGrid = generateBingoCard(2);
+  const early = firstLine(earlyGrid);
+  const late = firstLine(lateGrid).filter(ball => !early.includes(ball));
+  const room = playingRoom([...early, ...late]);
+  
+  const sleeper = registerClaim(room, { userId: 'b', userName: 'B' }, { box: 1, grid: earlyGrid }, room.calledNumbers);
+  assert.equal(sleeper.success, false);
+  assert.equal(claimWindows.has(ROOM), false);
+  
+  const winner = registerClaim(room, { userId: 'a', userName: 'A' }, { box: 2, grid: lateGrid }, room.calledNumbers);
+  assert.equal(winner.success, true);
+  assert.equal(claimWindows.get(ROOM).ball, room.currentBall);
+  assert.deepEqual([...claimWindows.get(ROOM).claims.keys()], ['a:2']);
+});
+
+test('a card with an old line claims with the pattern the current ball completed', () => {
+  const grid = generateBingoCard(1);
+  const oldLine = firstLine(grid);
+  const newLine = grid.slice(5, 10).map(Number).filter(ball => !oldLine.includes(ball));
+  const room = playingRoom([...oldLine, ...newLine]);
+  
+  const claim = registerClaim(room, { userId: 'a', userName: 'A' }, { box: 1, grid }, room.calledNumbers);
+  
+  assert.equal(claim.success, true);
+  const registered = claimWindows.get(ROOM).claims.get('a:1');
+  assert.deepEqual(registered.winningLine, [5, 6, 7, 8, 9]);
+  assert.equal(registered.completingBall, room.currentBall);
+});
+
+test('splitPrize rounds each share down to whole cents', () => {
+  assert.equal(splitPrize(100, 3), 33.33);
+  assert.equal(splitPrize(10, 4), 2.5);
+  assert.equal(splitPrize(0.05, 2), 0.02);
+  assert.equal(splitPrize(90, 1), 90);
+  assert.ok(splitPrize(100, 3) * 3 <= 100, 'shares never add up to more than the prize');
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { server } = require('./helpers');
+
+const { deriveDrawOrder, buildClientSeed, startGameTimer } = server;
+
+test('deriveDrawOrder gives the same order for the same seeds', () => {
+  const clientSeed = buildClientSeed([12, 3, 45]);
+  assert.deepEqual(deriveDrawOrder('server-seed', clientSeed), deriveDrawOrder('server-seed', clientSeed));
+});
+
+test('deriveDrawOrder draws every ball exactly once', () => {
+  for (const ballCount of [75, 90]) {
+    const seed = crypto.randomBytes(32).toString('hex');
+    const order = deriveDrawOrder(seed, buildClientSeed([1, 2]), ballCount);
+    
+    assert.equal(order.length, ballCount);
+    assert.deepEqual([...order].sort((a, b) => a - b), Array.from({ length: ballCount }, (_, i) => i + 1));
+  }
+});
+
+test('deriveDrawOrder changes with either seed', () => {
+  const order = deriveDrawOrder('server-seed', buildClientSeed([1, 2]));
+  assert.notDeepEqual(deriveDrawOrder('other-seed', buildClientSeed([1, 2])), order);
+  assert.notDeepEqual(deriveDrawOrder('server-seed', buildClientSeed([1, 3])), order);
+});
+
+test('buildClientSeed ignores the order boxes were bought in', () => {
+  assert.equal(buildClientSeed([40, 5, '12']), buildClientSeed([5, 12, 40]));
+  assert.equal(buildClientSeed([40, 5, 12]), '5,12,40');
+});
+
+test('startGameTimer will not start a draw whose seed was never committed', async () => {
+  let saved = false;
+  const room = { stake: 10, players: ['u1'], takenBoxes: [7], serverSeed: null, serverSeedHash: null, save: async () => { saved = true; } };
+  
+  await assert.rejects(startGameTimer(room), /no committed server seed/);
+  assert.equal(room.serverSeedHash, null);
+  assert.equal(saved, false);
+});
@@ -0,0 +1,44 @@
+// Shared setup for the tests: loads server.js without a database or a listening port.
+// Model calls a test doesn't stub fail straight away instead of waiting for a connection.
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const server = require('../server');
+
+// Stands in for a mongoose query: awaitable directly or through .session()/.exec()
+function query(result) {
+  const promise = Promise.resolve(result);
+  return {
+    session: () => promise,
+    exec: () => promise,
+    then: (onFulfilled, onRejected) => promise.then(onFulfilled, onRejected)
+  };
+}
+
+// withWalletSession runs its work once, as if the transaction committed first time
+function stubWalletSession(t) {
+  t.mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (work) => work(),
+    endSession: async () => {}
+  }));
+}
+
+// Ledger entries and audit log writes are collected instead of saved
+function captureWrites(t) {
+  const ledger = [];
+  t.mock.method(mongoose.model('Transaction'), 'create', async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+  t.mock.method(mongoose.model('AuditLog'), 'create', async (entry) => entry);
+  return { ledger };
+}
+
+module.exports = {
+  server,
+  mongoose,
+  query,
+  stubWalletSession,
+  captureWrites
+};
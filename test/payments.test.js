@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { server, mongoose, stubWalletSession, captureWrites } = require('./helpers');
+
+const { applyPaymentCallback, CONFIG } = server;
+const User = mongoose.model('User');
+const Room = mongoose.model('Room');
+const Payment = mongoose.model('Payment');
+
+function openDeposit(overrides = {}) {
+  return {
+    _id: 'p1',
+    provider: 'mock',
+    kind: 'deposit',
+    reference: 'TOP-1',
+    providerReference: 'MOCK-1',
+    userId: 'u1',
+    userName: 'Abebe',
+    amount: 100,
+    status: 'pending',
+    ...overrides
+  };
+}
+
+function completedCallback(overrides = {}) {
+  return { reference: 'TOP-1', providerReference: 'MOCK-1', status: 'completed', amount: 100, ...overrides };
+}
+
+// The referral reward has its own tests - keep it out of the way here
+function withoutReferralReward(t) {
+  const reward = CONFIG.REFERRAL_REWARD;
+  CONFIG.REFERRAL_REWARD = 0;
+  t.after(() => { CONFIG.REFERRAL_REWARD = reward; });
+}
+
+// A settled payment refreshes the admin panel in the background - park it so it reads nothing
+function parkAdminPanel(t) {
+  t.mock.method(Room, 'countDocuments', () => new Promise(() => {}));
+}
+
+test('applyPaymentCallback credits a completed deposit once', async (t) => {
+  stubWalletSession(t);
+  withoutReferralReward(t);
+  parkAdminPanel(t);
+  const { ledger } = captureWrites(t);
+  t.mock.method(Payment, 'findOne', async () => openDeposit());
+  const claim = t.mock.method(Payment, 'findOneAndUpdate', async (filter, update) => ({ ...openDeposit(), ...update.$set }));
+  t.mock.method(User, 'findOneAndUpdate', async () => ({ userId: 'u1', userName: 'Abebe', balance: 150 }));
+  
+  const result = await applyPaymentCallback('mock', completedCallback());
+  
+  assert.equal(result.duplicate, false);
+  assert.equal(result.payment.status, 'completed');
+  assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: 'p1', status: { $in: ['created', 'pending'] } });
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].type, 'DEPOSIT');
+  assert.equal(ledger[0].amount, 100);
+});
+
+test('applyPaymentCallback ignores a callback for a payment that already settled', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  t.mock.method(Payment, 'findOne', async () => openDeposit({ status: 'completed' }));
+  const claim = t.mock.method(Payment, 'findOneAndUpdate', async () => null);
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  const result = await applyPaymentCallback('mock', completedCallback());
+  
+  assert.equal(result.duplicate, true);
+  assert.equal(claim.mock.callCount(), 0);
+  assert.equal(credit.mock.callCount(), 0);
+  assert.equal(ledger.length, 0);
+});
+
+test('applyPaymentCallback credits nothing when a concurrent callback settled it first', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  t.mock.method(Payment, 'findOne', async () => openDeposit());
+  t.mock.method(Payment, 'findOneAndUpdate', async () => null);
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  const result = await applyPaymentCallback('mock', completedCallback());
+  
+  assert.equal(result.duplicate, true);
+  assert.equal(credit.mock.callCount(), 0);
+  assert.equal(ledger.length, 0);
+});
+
+test('applyPaymentCallback fails a deposit whose amount does not match the checkout', async (t) => {
+  stubWalletSession(t);
+  parkAdminPanel(t);
+  const { ledger } = captureWrites(t);
+  t.mock.method(Payment, 'findOne', async () => openDeposit());
+  const claim = t.mock.method(Payment, 'findOneAndUpdate', async (filter, update) => ({ ...openDeposit(), ...update.$set }));
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  const result = await applyPaymentCallback('mock', completedCallback({ amount: 1000 }));
+  
+  assert.equal(result.payment.status, 'failed');
+  assert.match(claim.mock.calls[0].arguments[1].$set.failureReason, /Amount mismatch/);
+  assert.equal(credit.mock.callCount(), 0);
+  assert.equal(ledger.length, 0);
+});
+
+test('applyPaymentCallback rejects a callback carrying another provider reference', async (t) => {
+  t.mock.method(Payment, 'findOne', async () => openDeposit());
+  const claim = t.mock.method(Payment, 'findOneAndUpdate', async () => null);
+  
+  await assert.rejects(
+    applyPaymentCallback('mock', completedCallback({ providerReference: 'MOCK-2' })),
+    { code: 'REFERENCE_MISMATCH' }
+  );
+  assert.equal(claim.mock.callCount(), 0);
+});
+
+test('the mock provider stays off without PAYMENT_MOCK_SECRET', { skip: CONFIG.PAYMENT_MOCK_SECRET ? 'PAYMENT_MOCK_SECRET is set here' : false }, async (t) => {
+  const provider = CONFIG.PAYMENT_PROVIDER;
+  CONFIG.PAYMENT_PROVIDER = 'mock';
+  t.after(() => { CONFIG.PAYMENT_PROVIDER = provider; });
+  const lookup = t.mock.method(Payment, 'findOne', async () => openDeposit());
+  
+  const listener = http.createServer(server.app);
+  await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => listener.close(resolve)));
+  
+  const response = await fetch(`http://127.0.0.1:${listener.address().port}/payments/callback/mock`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(completedCallback())
+  });
+  
+  assert.equal(response.status, 404);
+  assert.equal(lookup.mock.callCount(), 0);
+});
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { server, mongoose, query, stubWalletSession, captureWrites } = require('./helpers');
+
+const { awardReferralReward, CONFIG } = server;
+const User = mongoose.model('User');
+
+// A referred player and their referrer, with the claim on the referral flag applied like the real filter
+function stubReferral(t, owner = {}) {
+  const referred = { userId: 'new1', userName: 'Almaz', referredBy: 'ref1', referralRewarded: false };
+  const referrer = { userId: 'ref1', userName: 'Abebe', balance: 0, isBanned: false, ...owner };
+  
+  const update = t.mock.method(User, 'findOneAndUpdate', async (filter, change) => {
+    if ('referralRewarded' in filter) {
+      if (referred.referralRewarded) return null;
+      referred.referralRewarded = true;
+      return { ...referred };
+    }
+    referrer.balance += change.$inc.balance;
+    return { ...referrer };
+  });
+  t.mock.method(User, 'findOne', () => query({ ...referrer }));
+  
+  return { referred, referrer, update };
+}
+
+function withReward(t, trigger) {
+  const reward = CONFIG.REFERRAL_REWARD;
+  const rewardTrigger = CONFIG.REFERRAL_REWARD_TRIGGER;
+  CONFIG.REFERRAL_REWARD = 10;
+  CONFIG.REFERRAL_REWARD_TRIGGER = trigger;
+  t.after(() => {
+    CONFIG.REFERRAL_REWARD = reward;
+    CONFIG.REFERRAL_REWARD_TRIGGER = rewardTrigger;
+  });
+}
+
+test('awardReferralReward pays the referrer once per referred player', async (t) => {
+  stubWalletSession(t);
+  withReward(t, 'deposit');
+  const { ledger } = captureWrites(t);
+  const { referred, referrer } = stubReferral(t);
+  
+  await awardReferralReward('new1', 'deposit');
+  await awardReferralReward('new1', 'deposit');
+  
+  assert.equal(referred.referralRewarded, true);
+  assert.equal(referrer.balance, 10);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.userId, entry.amount]), [['REFERRAL_BONUS', 'ref1', 10]]);
+});
+
+test('awardReferralReward ignores the trigger it is not configured for', async (t) => {
+  stubWalletSession(t);
+  withReward(t, 'deposit');
+  const { ledger } = captureWrites(t);
+  const { referred, update } = stubReferral(t);
+  
+  await awardReferralReward('new1', 'play');
+  
+  assert.equal(update.mock.callCount(), 0);
+  assert.equal(referred.referralRewarded, false);
+  assert.equal(ledger.length, 0);
+});
+
+test('awardReferralReward pays nothing to a banned referrer', async (t) => {
+  stubWalletSession(t);
+  withReward(t, 'deposit');
+  const { ledger } = captureWrites(t);
+  const { referred, referrer } = stubReferral(t, { isBanned: true, banExpiresAt: null });
+  
+  await awardReferralReward('new1', 'deposit');
+  
+  assert.equal(referred.referralRewarded, true);
+  assert.equal(referrer.balance, 0);
+  assert.equal(ledger.length, 0);
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { server } = require('./helpers');
+
+const { verifyTelegramInitData } = server;
+
+// initData as the mini app would send it, signed the way Telegram signs it with `token`
+function signInitData(token, user) {
+  const params = new URLSearchParams({ auth_date: String(Math.floor(Date.now() / 1000)), user: JSON.stringify(user) });
+  const dataCheckString = [...params.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([key, value]) => `${key}=${value}`).join('\n');
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(token).digest();
+  params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+  return params.toString();
+}
+
+test('initData is refused while TELEGRAM_TOKEN is unset', { skip: process.env.TELEGRAM_TOKEN ? 'TELEGRAM_TOKEN is set here' : false }, () => {
+  // The token this repo used to fall back to is public, so it must not sign anything
+  const forged = signInitData('8281813355:AAElz32khbZ9cnX23CeJQn7gwkAypHuJ9E4', { id: 12345, first_name: 'Abebe' });
+  assert.equal(verifyTelegramInitData(forged).valid, false);
+  assert.equal(verifyTelegramInitData(signInitData('', { id: 12345, first_name: 'Abebe' })).valid, false);
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { server, mongoose } = require('./helpers');
+
+const User = mongoose.model('User');
+const Transaction = mongoose.model('Transaction');
+
+let listener;
+let baseUrl;
+
+before(async () => {
+  listener = http.createServer(server.app);
+  await new Promise(resolve => listener.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${listener.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => listener.close(resolve));
+});
+
+// Any model access fails the test - a forged update must be turned away before it reaches the wallet
+function forbidModelAccess(t) {
+  const calls = [];
+  const record = (name) => (...args) => {
+    calls.push(name);
+    throw new Error(`${name} called for a forged update`);
+  };
+  t.mock.method(User, 'findOne', record('User.findOne'));
+  t.mock.method(User, 'findOneAndUpdate', record('User.findOneAndUpdate'));
+  t.mock.method(Transaction, 'create', record('Transaction.create'));
+  t.mock.method(mongoose, 'startSession', record('startSession'));
+  return calls;
+}
+
+function callbackUpdate(data) {
+  return {
+    update_id: 1,
+    callback_query: {
+      id: 'cb1',
+      data,
+      from: { id: 111, first_name: 'Abebe' },
+      message: { message_id: 5, chat: { id: 111 } }
+    }
+  };
+}
+
+function postUpdate(update, headers = {}) {
+  return fetch(`${baseUrl}/telegram-webhook`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(update)
+  });
+}
+
+test('a transfer confirmation without the secret header moves no money', async (t) => {
+  const calls = forbidModelAccess(t);
+  
+  const response = await postUpdate(callbackUpdate('tr_confirm'));
+  
+  assert.equal(response.status, 401);
+  assert.deepEqual(calls, []);
+});
+
+test('a transfer confirmation with the wrong secret header moves no money', async (t) => {
+  const calls = forbidModelAccess(t);
+  
+  const response = await postUpdate(callbackUpdate('tr_confirm'), { 'X-Telegram-Bot-Api-Secret-Token': 'guessed-secret' });
+  
+  assert.equal(response.status, 401);
+  assert.deepEqual(calls, []);
+});
+
+test('a withdrawal confirmation without the secret header places no hold', async (t) => {
+  const calls = forbidModelAccess(t);
+  t.mock.method(mongoose.model('WithdrawalRequest'), 'create', () => {
+    calls.push('WithdrawalRequest.create');
+    throw new Error('WithdrawalRequest.create called for a forged update');
+  });
+  
+  const response = await postUpdate(callbackUpdate('wd_confirm'));
+  
+  assert.equal(response.status, 401);
+  assert.deepEqual(calls, []);
+});
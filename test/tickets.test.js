@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { server } = require('./helpers');
+
+const { generate90BallTicket, CONFIG } = server;
+
+const ROWS = 3;
+const COLUMNS = 9;
+
+function column(ticket, col) {
+  return Array.from({ length: ROWS }, (_, row) => ticket[row * COLUMNS + col]).filter(cell => cell !== null);
+}
+
+test('every box gets a valid 90-ball ticket', () => {
+  for (let box = 1; box <= CONFIG.MAX_PLAYERS_PER_ROOM; box++) {
+    const ticket = generate90BallTicket(box);
+    const numbers = ticket.filter(cell => cell !== null);
+    
+    assert.equal(ticket.length, ROWS * COLUMNS, `box ${box}: 27 cells`);
+    assert.equal(numbers.length, 15, `box ${box}: 15 numbers`);
+    assert.equal(new Set(numbers).size, 15, `box ${box}: no number twice`);
+    
+    for (let row = 0; row < ROWS; row++) {
+      const filled = ticket.slice(row * COLUMNS, (row + 1) * COLUMNS).filter(cell => cell !== null);
+      assert.equal(filled.length, 5, `box ${box}: 5 numbers in row ${row + 1}`);
+    }
+    
+    for (let col = 0; col < COLUMNS; col++) {
+      const min = col === 0 ? 1 : col * 10;
+      const max = col === COLUMNS - 1 ? 90 : col * 10 + 9;
+      const cells = column(ticket, col);
+      
+      assert.ok(cells.length >= 1 && cells.length <= 3, `box ${box}: 1-3 numbers in column ${col + 1}`);
+      assert.ok(cells.every(number => Number.isInteger(number) && number >= min && number <= max), `box ${box}: column ${col + 1} holds ${min}-${max}`);
+      assert.deepEqual(cells, [...cells].sort((a, b) => a - b), `box ${box}: column ${col + 1} runs top to bottom`);
+    }
+  }
+});
+
+test('a box always gets the same 90-ball ticket', () => {
+  assert.deepEqual(generate90BallTicket(42), generate90BallTicket(42));
+  assert.notDeepEqual(generate90BallTicket(42), generate90BallTicket(43));
+});
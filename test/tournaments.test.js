@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { server, mongoose, query, stubWalletSession, captureWrites } = require('./helpers');
+
+const { cancelTournament, WALLET_ERRORS } = server;
+const User = mongoose.model('User');
+const Tournament = mongoose.model('Tournament');
+
+function scheduledTournament() {
+  return new Tournament({
+    name: 'Friday Cup',
+    buyIn: 20,
+    gamesTotal: 3,
+    maxEntrants: 10,
+    startsAt: new Date(),
+    entrants: [{ userId: 'u1', userName: 'Abebe' }, { userId: 'u2', userName: 'Kebede' }]
+  });
+}
+
+// The tournament document with the conditional status flip applied, like the real filter
+function stubTournamentClaim(t, tournament) {
+  return t.mock.method(Tournament, 'findOneAndUpdate', async (filter, update) => {
+    if (!filter.status.$in.includes(tournament.status)) return null;
+    tournament.set(update.$set);
+    return tournament;
+  });
+}
+
+test('cancelTournament refunds every buy-in with the status change', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const tournament = scheduledTournament();
+  const claim = stubTournamentClaim(t, tournament);
+  t.mock.method(User, 'findOneAndUpdate', async (filter) => ({ userId: filter.userId, balance: 20 }));
+  
+  const cancelled = await cancelTournament(tournament, 'Not enough players');
+  
+  assert.equal(cancelled.status, 'cancelled');
+  assert.ok(claim.mock.calls[0].arguments[2].session, 'the status flip runs in the refund transaction');
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.userId, entry.amount]), [['REFUND', 'u1', 20], ['REFUND', 'u2', 20]]);
+});
+
+test('cancelTournament refunds nothing the second time', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const tournament = scheduledTournament();
+  stubTournamentClaim(t, tournament);
+  t.mock.method(User, 'findOneAndUpdate', async (filter) => ({ userId: filter.userId, balance: 20 }));
+  
+  await cancelTournament(tournament, 'Not enough players');
+  const again = await cancelTournament(tournament, 'Not enough players');
+  
+  assert.equal(again, null);
+  assert.equal(ledger.length, 2);
+});
+
+test('cancelTournament fails as a whole when a refund fails', async (t) => {
+  stubWalletSession(t);
+  captureWrites(t);
+  const tournament = scheduledTournament();
+  stubTournamentClaim(t, tournament);
+  t.mock.method(User, 'findOneAndUpdate', async (filter) => (filter.userId === 'u2' ? null : { userId: filter.userId, balance: 20 }));
+  t.mock.method(User, 'findOne', () => query(null));
+  
+  // Rejecting aborts the transaction, so the status flip and the first refund are rolled back too
+  await assert.rejects(cancelTournament(tournament, 'Not enough players'), { code: WALLET_ERRORS.USER_NOT_FOUND });
+});
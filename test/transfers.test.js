@@ -0,0 +1,90 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { server, mongoose, query, stubWalletSession, captureWrites } = require('./helpers');
+
+const { transferFunds, CONFIG } = server;
+const User = mongoose.model('User');
+const Transaction = mongoose.model('Transaction');
+
+const sender = { userId: 's1', userName: 'Abebe', balance: 1000 };
+const recipient = { userId: 'r1', userName: 'Kebede', balance: 50 };
+
+// Today's TRANSFER_OUT ledger as the aggregate in getRecentTransfers reports it
+function sentToday(t, total, count) {
+  t.mock.method(Transaction, 'aggregate', () => query(count ? [{ _id: null, total: -total, count }] : []));
+}
+
+test('transferFunds refuses a transfer to yourself', async (t) => {
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  await assert.rejects(
+    transferFunds(sender, { ...sender }, 100, 'app'),
+    { code: 'INVALID_TRANSFER', message: /yourself/ }
+  );
+  assert.equal(credit.mock.callCount(), 0);
+});
+
+test('transferFunds refuses amounts outside the transfer limits', async (t) => {
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  for (const amount of [CONFIG.TRANSFER_MIN - 1, CONFIG.TRANSFER_MAX + 1, 'abc']) {
+    await assert.rejects(
+      transferFunds({ ...sender, balance: CONFIG.TRANSFER_MAX * 2 }, recipient, amount, 'app'),
+      { code: 'INVALID_TRANSFER', message: /between/ }
+    );
+  }
+  assert.equal(credit.mock.callCount(), 0);
+});
+
+test('transferFunds refuses more than the sender holds', async (t) => {
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  await assert.rejects(
+    transferFunds({ ...sender, balance: 40 }, recipient, 50, 'app'),
+    { code: 'INVALID_TRANSFER', message: /balance is only/ }
+  );
+  assert.equal(credit.mock.callCount(), 0);
+});
+
+test('transferFunds stops at the daily transfer count', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  sentToday(t, 100, CONFIG.TRANSFER_DAILY_COUNT);
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  await assert.rejects(transferFunds(sender, recipient, 50, 'app'), { code: 'TRANSFER_LIMIT' });
+  assert.equal(credit.mock.callCount(), 0);
+  assert.equal(ledger.length, 0);
+});
+
+test('transferFunds stops at the daily amount limit', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  sentToday(t, CONFIG.TRANSFER_DAILY_LIMIT - 40, 1);
+  const credit = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  
+  await assert.rejects(
+    transferFunds(sender, recipient, 50, 'app'),
+    { code: 'TRANSFER_LIMIT', message: /40\.00 ETB left/ }
+  );
+  assert.equal(credit.mock.callCount(), 0);
+  assert.equal(ledger.length, 0);
+});
+
+test('transferFunds moves the amount and the fee in one transaction', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  sentToday(t, 0, 0);
+  const fee = CONFIG.TRANSFER_FEE_PERCENT;
+  CONFIG.TRANSFER_FEE_PERCENT = 2;
+  t.after(() => { CONFIG.TRANSFER_FEE_PERCENT = fee; });
+  t.mock.method(User, 'findOneAndUpdate', async (filter) => ({ ...(filter.userId === 's1' ? sender : recipient) }));
+  
+  const result = await transferFunds(sender, recipient, 100, 'app');
+  
+  assert.deepEqual(result.transfer, { amount: 100, fee: 2, total: 102 });
+  assert.deepEqual(
+    ledger.map(entry => [entry.type, entry.userId, entry.amount]),
+    [['TRANSFER_OUT', 's1', -100], ['TRANSFER_FEE', 's1', -2], ['HOUSE_EARNINGS', 'HOUSE', 2], ['TRANSFER_IN', 'r1', 100]]
+  );
+});
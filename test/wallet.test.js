@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { server, mongoose, query, stubWalletSession, captureWrites } = require('./helpers');
+
+const { moveFunds, closeRoomWithRefunds, WALLET_ERRORS } = server;
+const User = mongoose.model('User');
+const Room = mongoose.model('Room');
+
+test('moveFunds applies the amount and writes its ledger entry', async (t) => {
+  const { ledger } = captureWrites(t);
+  const update = t.mock.method(User, 'findOneAndUpdate', async () => ({ userId: 'u1', userName: 'Abebe', balance: 70 }));
+  
+  const user = await moveFunds({}, { userId: 'u1', amount: -30, type: 'STAKE', description: 'Joined' });
+  
+  assert.equal(user.balance, 70);
+  assert.deepEqual(update.mock.calls[0].arguments[0], { userId: 'u1', balance: { $gte: 30 } });
+  assert.deepEqual(update.mock.calls[0].arguments[1], { $inc: { balance: -30 } });
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].amount, -30);
+  assert.equal(ledger[0].type, 'STAKE');
+});
+
+test('moveFunds refuses an overdraft and writes nothing', async (t) => {
+  const { ledger } = captureWrites(t);
+  t.mock.method(User, 'findOneAndUpdate', async () => null);
+  t.mock.method(User, 'findOne', () => query({ userId: 'u1', balance: 5 }));
+  
+  await assert.rejects(
+    moveFunds({}, { userId: 'u1', amount: -30, type: 'STAKE', description: 'Joined' }),
+    { code: WALLET_ERRORS.INSUFFICIENT_FUNDS }
+  );
+  assert.equal(ledger.length, 0);
+});
+
+test('moveFunds reports a conflict when the guard no longer matches', async (t) => {
+  const { ledger } = captureWrites(t);
+  const update = t.mock.method(User, 'findOneAndUpdate', async () => null);
+  t.mock.method(User, 'findOne', () => query({ userId: 'u1', balance: 100, currentRoom: 20 }));
+  
+  await assert.rejects(
+    moveFunds({}, { userId: 'u1', amount: 10, type: 'REFUND', description: 'Refund', guard: { currentRoom: 10 } }),
+    { code: WALLET_ERRORS.CONFLICT }
+  );
+  assert.equal(update.mock.calls[0].arguments[0].currentRoom, 10);
+  assert.equal(ledger.length, 0);
+});
+
+test('moveFunds rejects unknown users and invalid amounts', async (t) => {
+  captureWrites(t);
+  t.mock.method(User, 'findOneAndUpdate', async () => null);
+  t.mock.method(User, 'findOne', () => query(null));
+  
+  await assert.rejects(moveFunds({}, { userId: 'nobody', amount: 10, type: 'REFUND', description: 'x' }), { code: WALLET_ERRORS.USER_NOT_FOUND });
+  await assert.rejects(moveFunds({}, { userId: 'u1', amount: 'abc', type: 'REFUND', description: 'x' }), { code: WALLET_ERRORS.INVALID_AMOUNT });
+});
+
+function endedGame() {
+  return {
+    _id: 'room-id',
+    stake: 10,
+    status: 'playing',
+    serverSeedHash: 'hash',
+    players: ['u1', 'u2', 'gone'],
+    cards: [{ userId: 'u1', box: 1 }, { userId: 'u1', box: 2 }, { userId: 'u2', box: 3 }, { userId: 'gone', box: 4 }],
+    stageResults: []
+  };
+}
+
+test('closeRoomWithRefunds claims the room and refunds only players still in it', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const claim = t.mock.method(Room, 'findOneAndUpdate', async () => endedGame());
+  t.mock.method(User, 'exists', (filter) => query(filter.userId === 'gone' ? null : { _id: filter.userId }));
+  const refunds = t.mock.method(User, 'findOneAndUpdate', async (filter, update) => ({ userId: filter.userId, userName: filter.userId, balance: update.$inc.balance }));
+  
+  const closed = await closeRoomWithRefunds({ _id: 'room-id', serverSeedHash: 'hash' }, {
+    guard: { status: 'playing', serverSeedHash: 'hash' },
+    reset: { status: 'waiting' },
+    type: 'REFUND',
+    description: 'No winner'
+  });
+  
+  assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: 'room-id', status: 'playing', serverSeedHash: 'hash' });
+  assert.equal(claim.mock.calls[0].arguments[1].$set.status, 'waiting');
+  assert.deepEqual(claim.mock.calls[0].arguments[1].$set.players, []);
+  
+  assert.deepEqual([...closed.refunds.keys()], ['u1', 'u2']);
+  assert.equal(closed.refunds.get('u1').amount, 20);
+  assert.equal(closed.refunds.get('u2').amount, 10);
+  refunds.mock.calls.forEach(call => assert.equal(call.arguments[0].currentRoom, 10));
+  assert.deepEqual(ledger.map(entry => [entry.userId, entry.amount]), [['u1', 20], ['u2', 10]]);
+});
+
+test('closeRoomWithRefunds refunds nothing once the room was already closed', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  t.mock.method(Room, 'findOneAndUpdate', async () => null);
+  const refunds = t.mock.method(User, 'findOneAndUpdate', async () => assert.fail('no refund expected'));
+  
+  const closed = await closeRoomWithRefunds({ _id: 'room-id' }, { guard: { status: 'playing' }, type: 'REFUND', description: 'No winner' });
+  
+  assert.equal(closed, null);
+  assert.equal(refunds.mock.callCount(), 0);
+  assert.equal(ledger.length, 0);
+});
@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { server, mongoose, query, stubWalletSession, captureWrites } = require('./helpers');
+
+const { createWithdrawalRequest, changeWithdrawalStatus, WALLET_ERRORS } = server;
+const User = mongoose.model('User');
+const WithdrawalRequest = mongoose.model('WithdrawalRequest');
+
+const REFUND = { type: 'WITHDRAWAL_RELEASE', description: 'cancelled by the player', settle: 'refund', admin: false };
+
+// One player and their requests in memory, with the conditional updates applied like the real filters
+function stubWallet(t, balance = 500) {
+  const user = { userId: 'u1', userName: 'Abebe', balance, heldBalance: 0 };
+  const requests = [];
+  
+  t.mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    if (filter.balance && user.balance < filter.balance.$gte) return null;
+    for (const [field, amount] of Object.entries(update.$inc)) user[field] += amount;
+    return { ...user };
+  });
+  t.mock.method(User, 'findOne', () => query({ ...user }));
+  t.mock.method(User, 'updateOne', async (filter, update) => {
+    for (const [field, amount] of Object.entries(update.$inc)) user[field] += amount;
+  });
+  
+  t.mock.method(WithdrawalRequest, 'countDocuments', (filter) => query(requests.filter(request => filter.status.$in.includes(request.status)).length));
+  t.mock.method(WithdrawalRequest, 'create', async ([data]) => {
+    const request = new WithdrawalRequest(data);
+    requests.push(request);
+    return [request];
+  });
+  t.mock.method(WithdrawalRequest, 'findOneAndUpdate', async (filter, update) => {
+    const request = requests.find(candidate => candidate._id.equals(filter._id) && filter.status.$in.includes(candidate.status));
+    if (!request) return null;
+    request.set(update.$set);
+    return request;
+  });
+  
+  return user;
+}
+
+function requestWithdrawal(user, amount = 100) {
+  return createWithdrawalRequest(user, { amount, method: 'telebirr', account: '0911223344' }, 'app');
+}
+
+test('a withdrawal request holds the amount off the balance', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const user = stubWallet(t);
+  
+  const { request } = await requestWithdrawal({ ...user });
+  
+  assert.equal(request.status, 'pending');
+  assert.equal(user.balance, 400);
+  assert.equal(user.heldBalance, 100);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.amount]), [['WITHDRAWAL_HOLD', -100]]);
+});
+
+test('a second open withdrawal is refused without holding anything', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const user = stubWallet(t);
+  
+  await requestWithdrawal({ ...user });
+  await assert.rejects(requestWithdrawal({ ...user }), { code: 'WITHDRAWAL_OPEN' });
+  
+  assert.equal(user.balance, 400);
+  assert.equal(ledger.length, 1);
+});
+
+test('a withdrawal larger than the balance holds nothing', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const user = stubWallet(t, 50);
+  
+  await assert.rejects(requestWithdrawal({ ...user }), { code: 'INVALID_WITHDRAWAL' });
+  // The balance dropped after the player's copy was read - the conditional update still refuses
+  await assert.rejects(requestWithdrawal({ ...user, balance: 500 }), { code: WALLET_ERRORS.INSUFFICIENT_FUNDS });
+  
+  assert.equal(user.balance, 50);
+  assert.equal(user.heldBalance, 0);
+  assert.equal(ledger.length, 0);
+});
+
+test('cancelling a pending withdrawal refunds the hold once', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const user = stubWallet(t);
+  const { request } = await requestWithdrawal({ ...user });
+  
+  const cancelled = await changeWithdrawalStatus(request._id, ['pending'], { status: 'cancelled' }, REFUND);
+  const again = await changeWithdrawalStatus(request._id, ['pending'], { status: 'cancelled' }, REFUND);
+  
+  assert.equal(cancelled.status, 'cancelled');
+  assert.equal(again, null);
+  assert.equal(user.balance, 500);
+  assert.equal(user.heldBalance, 0);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.amount]), [['WITHDRAWAL_HOLD', -100], ['WITHDRAWAL_RELEASE', 100]]);
+});
+
+test('rejecting an approved withdrawal gives the hold back', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const user = stubWallet(t);
+  const { request } = await requestWithdrawal({ ...user });
+  
+  await changeWithdrawalStatus(request._id, ['pending'], { status: 'approved' }, { type: 'WITHDRAWAL_APPROVED', description: 'approved by admin' });
+  assert.equal(user.heldBalance, 100, 'approving keeps the amount held');
+  
+  await changeWithdrawalStatus(request._id, ['pending', 'approved'], { status: 'rejected', rejectReason: 'Wrong number' }, { type: 'WITHDRAWAL_RELEASE', description: 'rejected by admin', settle: 'refund' });
+  
+  assert.equal(user.balance, 500);
+  assert.equal(user.heldBalance, 0);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.amount]), [['WITHDRAWAL_HOLD', -100], ['WITHDRAWAL_APPROVED', 0], ['WITHDRAWAL_RELEASE', 100]]);
+});
+
+test('a paid withdrawal clears the hold and can no longer be cancelled', async (t) => {
+  stubWalletSession(t);
+  const { ledger } = captureWrites(t);
+  const user = stubWallet(t);
+  const { request } = await requestWithdrawal({ ...user });
+  
+  await changeWithdrawalStatus(request._id, ['pending'], { status: 'approved' }, { type: 'WITHDRAWAL_APPROVED', description: 'approved by admin' });
+  await changeWithdrawalStatus(request._id, ['approved'], { status: 'paid', payoutReference: 'TB123' }, { type: 'WITHDRAWAL', description: 'paid by admin', settle: 'paid' });
+  const cancelled = await changeWithdrawalStatus(request._id, ['pending'], { status: 'cancelled' }, REFUND);
+  
+  assert.equal(cancelled, null);
+  assert.equal(user.balance, 400);
+  assert.equal(user.heldBalance, 0);
+  assert.deepEqual(ledger.map(entry => [entry.type, entry.amount]), [['WITHDRAWAL_HOLD', -100], ['WITHDRAWAL_APPROVED', 0], ['WITHDRAWAL', 0]]);
+});